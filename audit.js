@@ -0,0 +1,82 @@
+// Journal d'audit : un événement structuré par action (upload, téléchargement, sondage
+// /exists, suppression, partage…), enregistré dans la collection "activity" et diffusé
+// en direct (événement socket.io "activity"). Un événement porte la liste `access` du
+// fichier concerné : il n'est visible que de ceux qui voient le fichier, et des
+// administrateurs. Un échec d'écriture du journal ne fait jamais échouer la requête.
+// Certaines actions sont aussi transmises aux webhooks abonnés (voir webhooks.js).
+// Un téléchargement date aussi le fichier (`lastDownloadedAt`, critère des règles de
+// conservation).
+import { emitFileEvent } from "./realtime.js";
+import { scanPage } from "./metadata/paging.js";
+
+export const ACTIVITY_ACTIONS = [
+  "upload",
+  "newVersion",
+  "rollback",
+  "download",
+  "exists",
+  "delete",
+  "restore",
+  "purge",
+  "share",
+  "shareRevoke",
+  "shareDownload",
+  "archive",
+  "retentionNotice",
+];
+
+const DOWNLOAD_ACTIONS = ["download", "shareDownload"];
+
+function activityView({ access, ...entry }) {
+  return entry;
+}
+
+export function createAudit({ config, metadata, io, webhooks }) {
+  const activity = metadata.collection("activity");
+
+  // `user` est null pour les actions du système (purge automatique) et les accès publics
+  async function record(action, { user = null, file = null, req = null, ...details } = {}) {
+    const at = new Date().toISOString();
+    try {
+      const entry = await activity.add({
+        action,
+        at,
+        actorId: user?.uid || null,
+        fileId: file?.id || null,
+        originalName: file?.originalName || null,
+        ip: req?.ip || null,
+        details,
+        access: file?.access || (user ? [user.uid] : []),
+      });
+      emitFileEvent(io, entry, "activity", activityView(entry));
+    } catch (err) {
+      console.error("❌ Journal d'audit :", err.message);
+    }
+    if (file && DOWNLOAD_ACTIONS.includes(action)) {
+      await metadata.uploads.update(file.id, { lastDownloadedAt: at }).catch((err) => console.error("❌ Date de téléchargement :", err.message));
+    }
+    try {
+      await webhooks?.dispatch(action, { user, file, details });
+    } catch (err) {
+      console.error("❌ Webhooks :", err.message);
+    }
+  }
+
+  async function page({ where = [], ...options }) {
+    const result = await scanPage(activity, { where, orderBy: "at", direction: "desc", ...options });
+    return { items: result.items.map(activityView), nextCursor: result.nextCursor };
+  }
+
+  async function purgeExpired() {
+    const cutoff = new Date(Date.now() - config.activity.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const entry of await activity.find({ where: [["at", "<", cutoff]] })) await activity.delete(entry.id);
+  }
+
+  function start() {
+    const run = () => purgeExpired().catch((err) => console.error("Activity purge error", err));
+    run();
+    setInterval(run, config.activity.purgeInterval).unref();
+  }
+
+  return { record, page, start };
+}
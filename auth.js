@@ -0,0 +1,118 @@
+// Authentification des requêtes HTTP et des sockets.
+//
+// Deux modes sont acceptés :
+//   - token Firebase : "Authorization: Bearer <idToken>", vérifié via firebase-admin ;
+//   - clé d'API (scripts) : "X-API-Key: <clé>", déclarée dans API_KEYS.
+// Pour les liens ouverts directement par le navigateur (téléchargement, miniature, ZIP),
+// le client demande un jeton de lien (issueLinkToken) : valable pour un seul chemin,
+// une seule fois et quelques secondes, il est passé en paramètre `link_token` à la place
+// du token ou de la clé, qui restent ainsi hors des URL (historique, journaux des proxys).
+import crypto from "crypto";
+import { HttpError } from "./errors.js";
+
+export const EVERYONE = "*";
+
+// Un fichier est visible par son propriétaire, les utilisateurs avec qui il est partagé
+// (champ `access`, EVERYONE pour tout le monde) et les administrateurs.
+export function canAccess(user, record) {
+  if (user.admin) return true;
+  const access = record.access || [];
+  return access.includes(user.uid) || access.includes(EVERYONE);
+}
+
+// Équivalent de canAccess() sous forme de filtre pour les requêtes de métadonnées
+export function visibilityFilter(user) {
+  return user.admin ? [] : [["access", "array-contains-any", [user.uid, EVERYONE]]];
+}
+
+export function isOwner(user, record) {
+  return user.admin || record.ownerId === user.uid;
+}
+
+// Envoi d'une nouvelle version : le propriétaire et les utilisateurs avec qui le fichier
+// est nommément partagé (un fichier public reste en lecture seule pour les autres)
+export function canEdit(user, record) {
+  return isOwner(user, record) || (record.sharedWith || []).includes(user.uid);
+}
+
+// Accepte "alice,bob" (champ de formulaire) ou ["alice", "bob"] (JSON)
+export function parseSharedWith(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((uid) => String(uid).trim()).filter(Boolean);
+}
+
+export function accessList(ownerId, sharedWith = []) {
+  return [...new Set([ownerId, ...sharedWith])];
+}
+
+export function createAuth({ apiKeys, admin, linkTokenTtl = 60 }) {
+  // jeton de lien -> { user, path, expiresAt }
+  const linkTokens = new Map();
+
+  async function verify(credential) {
+    if (!credential) return null;
+
+    const key = apiKeys[credential];
+    if (key) return { uid: key.uid, admin: key.admin, via: "apiKey" };
+
+    if (!admin) return null;
+    try {
+      const decoded = await admin.auth().verifyIdToken(credential);
+      return { uid: decoded.uid, email: decoded.email, admin: decoded.admin === true, via: "firebase" };
+    } catch {
+      return null;
+    }
+  }
+
+  function credentialFromRequest(req) {
+    const header = req.get("authorization");
+    if (header?.startsWith("Bearer ")) return header.slice(7);
+    return req.get("x-api-key");
+  }
+
+  function issueLinkToken(user, path) {
+    const now = Date.now();
+    for (const [token, entry] of linkTokens) {
+      if (entry.expiresAt <= now) linkTokens.delete(token);
+    }
+    const token = crypto.randomBytes(24).toString("base64url");
+    linkTokens.set(token, { user, path, expiresAt: now + linkTokenTtl * 1000 });
+    return { token, expiresIn: linkTokenTtl };
+  }
+
+  // Le jeton est consommé à la première utilisation, même sur un autre chemin
+  function consumeLinkToken(token, path) {
+    const entry = linkTokens.get(token);
+    if (!entry) return null;
+    linkTokens.delete(token);
+    return entry.expiresAt > Date.now() && entry.path === path ? entry.user : null;
+  }
+
+  async function authenticate(req, res, next) {
+    try {
+      const linkToken = req.query.link_token;
+      const user = linkToken ? consumeLinkToken(String(linkToken), req.path) : await verify(credentialFromRequest(req));
+      if (!user) return next(new HttpError(401, "AUTH_REQUIRED"));
+      req.user = user;
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!req.user?.admin) return next(new HttpError(403, "ADMIN_REQUIRED"));
+    next();
+  }
+
+  async function authenticateSocket(socket, next) {
+    const { token, apiKey } = socket.handshake.auth || {};
+    const user = await verify(token || apiKey);
+    if (!user) return next(new Error("Authentification requise"));
+    socket.data.user = user;
+    next();
+  }
+
+  return { verify, authenticate, requireAdmin, authenticateSocket, issueLinkToken };
+}
@@ -0,0 +1,30 @@
+import axios from "axios";
+
+// La clé d'API part dans l'en-tête Authorization, que les redirections vers un autre hôte
+// (URL signée du stockage) ne transmettent pas
+export function createClient({ server, apiKey }) {
+  return axios.create({
+    baseURL: server,
+    headers: { Authorization: `Bearer ${apiKey}`, "Accept-Language": "fr", "User-Agent": "fichiers-cli" },
+    maxBodyLength: Infinity,
+    maxContentLength: Infinity,
+  });
+}
+
+// Message d'une erreur de l'API ({ error, code }) ou du réseau
+export async function errorMessage(err) {
+  const res = err.response;
+  if (!res) return err.code === "ECONNREFUSED" ? `Serveur injoignable (${err.config?.baseURL})` : err.message;
+
+  let body = res.data;
+  if (typeof body?.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of body) chunks.push(chunk);
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch {
+      body = null;
+    }
+  }
+  return body?.error ? `${body.error} (${body.code}, HTTP ${res.status})` : `HTTP ${res.status}`;
+}
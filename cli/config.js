@@ -0,0 +1,27 @@
+// Configuration du client en ligne de commande : fichier JSON
+//   { "server": "https://fichiers.example.com", "apiKey": "…" }
+// lu depuis --config, la variable FICHIERS_CONFIG ou ~/.fichiers.json. Les variables
+// FICHIERS_SERVER et FICHIERS_API_KEY remplacent les valeurs du fichier.
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+
+export const DEFAULT_CONFIG_FILE = path.join(os.homedir(), ".fichiers.json");
+
+export async function loadConfig(file) {
+  const configFile = file || process.env.FICHIERS_CONFIG || DEFAULT_CONFIG_FILE;
+  let values = {};
+  try {
+    values = JSON.parse(await fsPromises.readFile(configFile, "utf8"));
+  } catch (err) {
+    // Sans fichier, les variables d'environnement peuvent suffire
+    if (err.code !== "ENOENT" || file) throw new Error(`Configuration illisible (${configFile}) : ${err.message}`);
+  }
+
+  const server = process.env.FICHIERS_SERVER || values.server;
+  const apiKey = process.env.FICHIERS_API_KEY || values.apiKey;
+  if (!server || !apiKey) {
+    throw new Error(`Adresse du serveur ou clé d'API manquante : renseigner "server" et "apiKey" dans ${configFile}`);
+  }
+  return { server: server.replace(/\/+$/, ""), apiKey };
+}
@@ -0,0 +1,33 @@
+const UNITS = ["o", "Ko", "Mo", "Go", "To"];
+
+export function formatSize(bytes) {
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < UNITS.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit ? value.toFixed(1) : value} ${UNITS[unit]}`;
+}
+
+export function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString("fr-FR", { dateStyle: "short", timeStyle: "short" }) : "";
+}
+
+// Progression sur une seule ligne de stderr, uniquement dans un terminal
+export function createProgress(label, total) {
+  const tty = process.stderr.isTTY;
+  let last = 0;
+  return {
+    update(done) {
+      if (!tty || (Date.now() - last < 100 && done < total)) return;
+      last = Date.now();
+      const percent = total ? Math.floor((done / total) * 100) : 100;
+      const bar = "#".repeat(Math.floor(percent / 5)).padEnd(20, ".");
+      process.stderr.write(`\r${label} [${bar}] ${String(percent).padStart(3)} % ${formatSize(done)} / ${formatSize(total)}\x1b[K`);
+    },
+    end() {
+      if (tty) process.stderr.write("\r\x1b[K");
+    },
+  };
+}
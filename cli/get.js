@@ -0,0 +1,111 @@
+// fichiers get <id ou nom> : téléchargement dans un fichier ".part", repris là où il
+// s'était arrêté (requête Range) au lancement suivant, puis vérifié avec l'empreinte
+// SHA-256 de l'enregistrement avant d'être renommé.
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import { Transform } from "stream";
+import { sha256File } from "../hashing.js";
+import { createProgress, formatSize } from "./format.js";
+import { listFiles } from "./ls.js";
+
+export const getOptions = {
+  output: { type: "string", short: "o" },
+  version: { type: "string" },
+  force: { type: "boolean" },
+};
+
+// Un id, sinon un nom affiché (ou un nom de stockage) qui doit désigner un seul fichier
+async function resolveFile(client, ref) {
+  try {
+    return (await client.get(`/files/${encodeURIComponent(ref)}`)).data;
+  } catch (err) {
+    if (err.response?.status !== 404) throw err;
+  }
+  const matches = [];
+  for await (const page of listFiles(client, { q: ref, limit: 200 })) {
+    matches.push(...page.filter((item) => item.originalName === ref || item.storedAs === ref));
+  }
+  if (!matches.length) throw new Error(`Aucun fichier "${ref}"`);
+  if (matches.length > 1) {
+    throw new Error(`Plusieurs fichiers s'appellent "${ref}", préciser l'id :\n${matches.map((item) => `  ${item.id}  ${item.receivedAt}`).join("\n")}`);
+  }
+  return matches[0];
+}
+
+async function sizeOf(file) {
+  return (await fsPromises.stat(file).catch(() => null))?.size ?? null;
+}
+
+// Renvoie true si la copie partielle est complète
+async function downloadTo(client, record, part, { version, sha256 }) {
+  const offset = (await sizeOf(part)) || 0;
+  const headers = {};
+  if (offset > 0) {
+    headers.Range = `bytes=${offset}-`;
+    // Contenu différent depuis la première tentative : le serveur renvoie le fichier entier
+    if (sha256) headers["If-Range"] = `"${sha256}"`;
+  }
+  const res = await client.get(`/download/${encodeURIComponent(record.storedAs)}`, {
+    params: { version },
+    headers,
+    responseType: "stream",
+    validateStatus: (status) => status === 200 || status === 206 || status === 416,
+  });
+  if (res.status === 416) {
+    res.data.destroy();
+    await fsPromises.rm(part, { force: true });
+    return false;
+  }
+
+  const resumed = res.status === 206;
+  const total = resumed ? Number(res.headers["content-range"].split("/")[1]) : Number(res.headers["content-length"]) || record.size;
+  if (resumed) console.error(`Reprise à ${formatSize(offset)}`);
+
+  const progress = createProgress(path.basename(part, ".part"), total);
+  let done = resumed ? offset : 0;
+  const counter = new Transform({
+    transform(chunk, encoding, cb) {
+      done += chunk.length;
+      progress.update(done);
+      cb(null, chunk);
+    },
+  });
+  try {
+    await pipeline(res.data, counter, fs.createWriteStream(part, { flags: resumed ? "a" : "w" }));
+  } finally {
+    progress.end();
+  }
+  return true;
+}
+
+export async function get(client, { positionals, values }) {
+  if (positionals.length !== 1) throw new Error("Indiquer un fichier : fichiers get <id ou nom> [-o destination]");
+  const record = await resolveFile(client, positionals[0]);
+
+  let sha256 = record.sha256;
+  if (values.version && Number(values.version) !== (record.version || 1)) {
+    const { data } = await client.get(`/files/${record.id}/versions`);
+    const entry = data.versions.find((candidate) => candidate.version === Number(values.version));
+    if (!entry) throw new Error(`Version ${values.version} introuvable`);
+    sha256 = entry.sha256;
+  }
+
+  let target = values.output || record.originalName;
+  if ((await fsPromises.stat(target).catch(() => null))?.isDirectory()) target = path.join(target, record.originalName);
+  if (!values.force && (await sizeOf(target)) !== null) throw new Error(`"${target}" existe déjà (--force pour le remplacer)`);
+  const part = `${target}.part`;
+
+  // Une copie partielle plus longue que le fichier est recommencée depuis le début
+  if (!(await downloadTo(client, record, part, { version: values.version, sha256 }))) {
+    await downloadTo(client, record, part, { version: values.version, sha256 });
+  }
+
+  if (sha256 && (await sha256File(part)) !== sha256) {
+    await fsPromises.rm(part, { force: true });
+    throw new Error("Empreinte SHA-256 différente de celle du serveur : fichier supprimé, relancer le téléchargement");
+  }
+  await fsPromises.rename(part, target);
+  console.log(`✅ ${target} (${formatSize((await sizeOf(target)) || 0)})`);
+}
@@ -0,0 +1,60 @@
+#!/usr/bin/env node
+// Client en ligne de commande du serveur de fichiers (commande "fichiers", voir package.json).
+// L'adresse du serveur et la clé d'API viennent d'un fichier de configuration (cli/config.js).
+import { parseArgs } from "util";
+import { loadConfig, DEFAULT_CONFIG_FILE } from "./config.js";
+import { createClient, errorMessage } from "./client.js";
+import { upload, uploadOptions } from "./upload.js";
+import { ls, lsOptions } from "./ls.js";
+import { get, getOptions } from "./get.js";
+import { watch, watchOptions } from "./watch.js";
+import { tail, tailOptions } from "./tail.js";
+
+const COMMANDS = {
+  upload: { run: upload, options: uploadOptions },
+  ls: { run: ls, options: lsOptions },
+  get: { run: get, options: getOptions },
+  watch: { run: watch, options: watchOptions },
+  tail: { run: (client, args, config) => tail(config, args), options: tailOptions },
+};
+
+const USAGE = `Usage : fichiers <commande> [options]
+
+  upload <fichiers ou motifs…>   envoie des fichiers ("rapports/**/*.pdf")
+      --folder <id>  --share <uid,uid>  --channel <canal>  --replaces <id>  --ingest
+  ls [texte]                      liste les fichiers visibles
+      --owner <uid>  --folder <id|root>  --ext <pdf,xlsx>  --from <date>  --to <date>
+      --min-size <octets>  --max-size <octets>  --sort <receivedAt|originalName|size>
+      --order <asc|desc>  --limit <n>  --all  --json
+  get <id ou nom>                 télécharge un fichier (reprend un téléchargement interrompu)
+      -o, --output <chemin>  --version <n>  --force
+  watch <dossier>                 envoie les nouveaux fichiers d'un dossier
+      --interval <secondes>  et les options de upload
+  tail                            affiche les événements en temps réel
+      --event <nom,nom>  --json
+
+Options communes : --config <fichier> (défaut : $FICHIERS_CONFIG ou ${DEFAULT_CONFIG_FILE})`;
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    console.log(USAGE);
+    return;
+  }
+  const command = COMMANDS[name];
+  if (!command) throw new Error(`Commande inconnue : "${name}"\n\n${USAGE}`);
+
+  const args = parseArgs({
+    args: rest,
+    options: { ...command.options, config: { type: "string" } },
+    allowPositionals: true,
+  });
+  const config = await loadConfig(args.values.config);
+  delete args.values.config;
+  await command.run(createClient(config), args, config);
+}
+
+main(process.argv.slice(2)).catch(async (err) => {
+  console.error(`❌ ${err.response || err.request ? await errorMessage(err) : err.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,73 @@
+// fichiers ls [texte] : liste paginée de GET /files, en tableau ou en JSON (une page, ou
+// toutes avec --all)
+import { formatDate, formatSize } from "./format.js";
+
+export const lsOptions = {
+  owner: { type: "string" },
+  folder: { type: "string" },
+  ext: { type: "string" },
+  from: { type: "string" },
+  to: { type: "string" },
+  "min-size": { type: "string" },
+  "max-size": { type: "string" },
+  sort: { type: "string" },
+  order: { type: "string" },
+  limit: { type: "string" },
+  all: { type: "boolean" },
+  json: { type: "boolean" },
+};
+
+// Options de la ligne de commande -> paramètres de GET /files
+function listQuery({ positionals, values }) {
+  const params = {
+    q: positionals.join(" ") || undefined,
+    owner: values.owner,
+    folder: values.folder,
+    ext: values.ext,
+    from: values.from,
+    to: values.to,
+    minSize: values["min-size"],
+    maxSize: values["max-size"],
+    sort: values.sort,
+    order: values.order,
+    limit: values.limit,
+  };
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+}
+
+export async function* listFiles(client, params) {
+  let cursor;
+  do {
+    const { data } = await client.get("/files", { params: { ...params, cursor } });
+    yield data.items;
+    cursor = data.nextCursor;
+  } while (cursor);
+}
+
+export async function ls(client, args) {
+  const params = listQuery(args);
+  const items = [];
+  let nextCursor = null;
+  if (args.values.all) {
+    for await (const page of listFiles(client, params)) items.push(...page);
+  } else {
+    const { data } = await client.get("/files", { params });
+    items.push(...data.items);
+    nextCursor = data.nextCursor;
+  }
+
+  if (args.values.json) {
+    console.log(JSON.stringify(args.values.all ? items : { items, nextCursor }, null, 2));
+    return;
+  }
+  if (!items.length) {
+    console.log("Aucun fichier");
+    return;
+  }
+  const rows = items.map((item) => [item.id, formatSize(item.size || 0), formatDate(item.receivedAt), item.ownerId || "", item.originalName]);
+  const widths = rows[0].slice(0, -1).map((_, i) => Math.max(...rows.map((row) => row[i].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, i) => (i < widths.length ? (i === 1 ? cell.padStart(widths[i]) : cell.padEnd(widths[i])) : cell)).join("  "));
+  }
+  if (nextCursor) console.log(`… d'autres fichiers : --all pour tout lister`);
+}
@@ -0,0 +1,38 @@
+// fichiers tail : événements temps réel reçus par socket.io, une ligne par événement
+// (ou un objet JSON par ligne avec --json). --event limite l'affichage à certains événements.
+import { io } from "socket.io-client";
+
+export const tailOptions = {
+  event: { type: "string", multiple: true },
+  json: { type: "boolean" },
+};
+
+function summary(event, payload) {
+  if (event === "uploadJob") return `${payload.originalName || payload.jobId} : ${payload.stage}`;
+  if (event === "retention") return `${payload.action} ${payload.originalName} (règle "${payload.policyName}")`;
+  if (event === "activity") return `${payload.actorId || "système"} ${payload.action} ${payload.originalName || ""}`.trim();
+  if (typeof payload !== "object" || payload === null) return String(payload ?? "");
+  return payload.originalName || payload.name || payload.message || JSON.stringify(payload);
+}
+
+export function tail({ server, apiKey }, { values }) {
+  const events = values.event?.flatMap((value) => value.split(",")) || null;
+  const socket = io(server, { auth: { apiKey } });
+
+  socket.on("connect", () => console.error(`Connecté à ${server} (Ctrl+C pour arrêter)`));
+  socket.on("disconnect", (reason) => console.error(`Déconnecté (${reason}), reconnexion…`));
+  socket.on("connect_error", (err) => {
+    console.error(`❌ Connexion impossible : ${err.message}`);
+    // Une clé refusée ne le sera pas moins à la tentative suivante
+    if (!socket.active) process.exit(1);
+  });
+
+  socket.onAny((event, payload) => {
+    if (events && !events.includes(event)) return;
+    const at = new Date().toISOString();
+    if (values.json) console.log(JSON.stringify({ at, event, payload }));
+    else console.log(`${at}  ${event.padEnd(14)}  ${summary(event, payload)}`);
+  });
+
+  return new Promise(() => {});
+}
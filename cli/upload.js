@@ -0,0 +1,119 @@
+// fichiers upload <fichiers ou motifs…> : envoi par sessions de morceaux (voir
+// routes/upload.js), repris à l'offset du serveur après une coupure.
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { Transform } from "stream";
+import { glob } from "glob";
+import { sha256File } from "../hashing.js";
+import { errorMessage } from "./client.js";
+import { createProgress, formatSize } from "./format.js";
+
+// Coupures successives tolérées sur un même morceau
+const MAX_RETRIES = 3;
+
+export const uploadOptions = {
+  folder: { type: "string" },
+  share: { type: "string" },
+  channel: { type: "string" },
+  replaces: { type: "string" },
+  ingest: { type: "boolean" },
+};
+
+// Les motifs sont développés ici pour les shells qui ne le font pas ; un chemin existant
+// est pris tel quel, même s'il contient des caractères spéciaux
+async function expandPatterns(patterns) {
+  const files = [];
+  for (const pattern of patterns) {
+    const stat = await fsPromises.stat(pattern).catch(() => null);
+    if (stat?.isFile()) files.push(pattern);
+    else if (stat?.isDirectory()) throw new Error(`"${pattern}" est un dossier : utiliser un motif, par exemple "${path.join(pattern, "**", "*")}"`);
+    else {
+      const matches = await glob(pattern, { nodir: true, windowsPathsNoEscape: true });
+      if (!matches.length) throw new Error(`Aucun fichier ne correspond à "${pattern}"`);
+      files.push(...matches.sort());
+    }
+  }
+  return [...new Set(files.map((file) => path.resolve(file)))];
+}
+
+function sessionFields(options) {
+  return {
+    folderId: options.folder,
+    sharedWith: options.share,
+    channel: options.channel,
+    replaces: options.replaces,
+    ingest: options.ingest || undefined,
+  };
+}
+
+async function sendChunk(client, session, file, offset, onProgress) {
+  const end = Math.min(offset + session.chunkSize, session.size);
+  let sent = offset;
+  const counter = new Transform({
+    transform(chunk, encoding, cb) {
+      sent += chunk.length;
+      onProgress(sent);
+      cb(null, chunk);
+    },
+  });
+  const body = fs.createReadStream(file, { start: offset, end: end - 1 }).pipe(counter);
+  const res = await client.put(`/upload/sessions/${session.id}`, body, {
+    headers: { "Content-Type": "application/octet-stream", "Content-Length": end - offset, "Upload-Offset": offset },
+  });
+  return res.data.offset;
+}
+
+// Renvoie la réponse du serveur (enregistrement, doublon ou nouvelle version)
+export async function uploadFile(client, file, options = {}, { onProgress = () => {} } = {}) {
+  const { size } = await fsPromises.stat(file);
+  const filename = path.basename(file);
+
+  if (size === 0) throw new Error("Fichier vide");
+
+  const sha256 = await sha256File(file);
+  const { data: session } = await client.post("/upload/sessions", { filename, size, sha256, ...sessionFields(options) });
+  let offset = session.offset;
+  let failures = 0;
+  while (offset < size) {
+    try {
+      offset = await sendChunk(client, session, file, offset, onProgress);
+      failures = 0;
+    } catch (err) {
+      const status = err.response?.status;
+      if ((status && status !== 409 && status !== 400) || ++failures > MAX_RETRIES) throw err;
+      const head = await client.head(`/upload/sessions/${session.id}`);
+      offset = Number(head.headers["upload-offset"]);
+    }
+  }
+  return (await client.post(`/upload/sessions/${session.id}/complete`)).data;
+}
+
+export function describeUpload(result) {
+  if (result.duplicate) return `déjà présent (${result.id})`;
+  if (result.newVersion) return `version ${result.version} (${result.id})`;
+  return `envoyé (${result.id})`;
+}
+
+export async function upload(client, { positionals, values }) {
+  if (!positionals.length) throw new Error("Indiquer au moins un fichier : fichiers upload <fichiers ou motifs…>");
+  const files = await expandPatterns(positionals);
+  if (values.replaces && files.length > 1) throw new Error("--replaces ne s'applique qu'à un seul fichier");
+
+  let failed = 0;
+  for (const file of files) {
+    const name = path.relative(process.cwd(), file);
+    const { size } = await fsPromises.stat(file);
+    const progress = createProgress(name, size);
+    try {
+      const result = await uploadFile(client, file, values, { onProgress: progress.update });
+      progress.end();
+      console.log(`✅ ${name} (${formatSize(size)}) : ${describeUpload(result)}`);
+    } catch (err) {
+      progress.end();
+      failed++;
+      console.error(`❌ ${name} : ${await errorMessage(err)}`);
+    }
+  }
+  if (failed) throw new Error(`${failed} fichier(s) sur ${files.length} non envoyé(s)`);
+}
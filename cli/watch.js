@@ -0,0 +1,101 @@
+// fichiers watch <dossier> : synchronisation d'un dossier vers le serveur. Le dossier est
+// parcouru toutes les --interval secondes ; un fichier est envoyé une fois que sa taille et
+// sa date de modification n'ont pas changé entre deux parcours (écriture terminée). Un
+// contenu que le serveur possède déjà (HEAD /exists/sha256) n'est pas renvoyé ; un fichier
+// modifié après son envoi devient une nouvelle version du même enregistrement.
+import fsPromises from "fs/promises";
+import path from "path";
+import { sha256File } from "../hashing.js";
+import { errorMessage } from "./client.js";
+import { uploadFile, uploadOptions, describeUpload } from "./upload.js";
+
+export const watchOptions = {
+  ...uploadOptions,
+  interval: { type: "string" },
+};
+
+// Fichiers cachés et téléchargements en cours ignorés
+const ignored = (name) => name.startsWith(".") || name.endsWith(".part") || name.endsWith("~");
+
+async function* walk(dir) {
+  for (const entry of await fsPromises.readdir(dir, { withFileTypes: true })) {
+    if (ignored(entry.name)) continue;
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) yield* walk(file);
+    else if (entry.isFile()) yield file;
+  }
+}
+
+async function existingId(client, sha256) {
+  try {
+    const res = await client.head(`/exists/sha256/${sha256}`);
+    return res.headers["x-file-id"];
+  } catch (err) {
+    if (err.response?.status === 404) return null;
+    throw err;
+  }
+}
+
+export async function watch(client, { positionals, values }) {
+  if (positionals.length !== 1) throw new Error("Indiquer un dossier : fichiers watch <dossier>");
+  const dir = path.resolve(positionals[0]);
+  if (!(await fsPromises.stat(dir).catch(() => null))?.isDirectory()) throw new Error(`"${dir}" n'est pas un dossier`);
+  const interval = (Number(values.interval) || 5) * 1000;
+  const { interval: _, ...options } = values;
+
+  // Chemin -> { signature, id } des fichiers traités ; chemin -> signature des fichiers vus
+  // une fois, ou refusés (pas de nouvel essai avant une modification)
+  const synced = new Map();
+  const seen = new Map();
+  const failed = new Map();
+
+  async function sync(file, signature) {
+    const name = path.relative(dir, file);
+    const previous = synced.get(file);
+    const sha256 = await sha256File(file);
+    const id = await existingId(client, sha256);
+    if (id) {
+      synced.set(file, { signature, id });
+      if (!previous) console.log(`= ${name} : déjà sur le serveur (${id})`);
+      return;
+    }
+    const result = await uploadFile(client, file, previous ? { ...options, replaces: previous.id } : options);
+    synced.set(file, { signature, id: result.id });
+    console.log(`${previous ? "~" : "+"} ${name} : ${describeUpload(result)}`);
+  }
+
+  async function scan() {
+    const present = new Set();
+    for await (const file of walk(dir)) {
+      present.add(file);
+      const stat = await fsPromises.stat(file).catch(() => null);
+      if (!stat) continue;
+      const signature = `${stat.size}:${stat.mtimeMs}`;
+      if (synced.get(file)?.signature === signature || failed.get(file) === signature) continue;
+      if (seen.get(file) !== signature) {
+        seen.set(file, signature);
+        continue;
+      }
+      try {
+        await sync(file, signature);
+      } catch (err) {
+        const status = err.response?.status;
+        if (status >= 400 && status < 500 && status !== 429) failed.set(file, signature);
+        console.error(`❌ ${path.relative(dir, file)} : ${await errorMessage(err)}`);
+      }
+    }
+    for (const files of [synced, seen, failed]) {
+      for (const file of files.keys()) if (!present.has(file)) files.delete(file);
+    }
+  }
+
+  console.log(`Surveillance de ${dir} (toutes les ${interval / 1000} s, Ctrl+C pour arrêter)`);
+  for (;;) {
+    try {
+      await scan();
+    } catch (err) {
+      console.error(`❌ Parcours de ${dir} : ${err.message}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+}
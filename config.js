@@ -0,0 +1,225 @@
+import path from "path";
+
+const env = process.env;
+
+// API_KEYS="cle1:alice,cle2:ops:admin"
+function parseApiKeys(value = "") {
+  const keys = {};
+  for (const entry of value.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [key, uid, role] = entry.split(":");
+    if (key && uid) keys[key] = { uid, admin: role === "admin" };
+  }
+  return keys;
+}
+
+// UPLOAD_LIMITS="csv:50,pdf:25" (en MB, par extension)
+function parseSizeLimits(value = "", defaultMb) {
+  const limits = { default: defaultMb * 1024 * 1024 };
+  for (const entry of value.split(",").map((e) => e.trim()).filter(Boolean)) {
+    const [ext, mb] = entry.split(":");
+    if (ext && Number(mb) > 0) limits["." + ext.replace(/^\./, "").toLowerCase()] = Number(mb) * 1024 * 1024;
+  }
+  return limits;
+}
+
+// MONITOR_TARGETS : liste JSON de cibles ([{ "url": "…", "interval": 300, "expectedStatus": 200 }])
+// ou URLs séparées par des virgules. Sans cette variable, le serveur compagnon historique
+// est pingé toutes les 2 à 7 minutes (120 s + jusqu'à 300 s de délai aléatoire).
+function parseMonitorTargets(value) {
+  if (value === undefined) {
+    return [{ id: "serveur-vt4p", url: "https://serveur-vt4p.onrender.com/ping", interval: 120, jitter: 300 }];
+  }
+  if (value.trim().startsWith("[")) return JSON.parse(value);
+  return value.split(",").map((url) => url.trim()).filter(Boolean).map((url) => ({ url }));
+}
+
+// QUOTA_USER_MB="500" ; 0 pour ne pas limiter
+function parseLimit(value, fallback = null, unit = 1) {
+  const number = value === undefined || value === "" ? fallback : Number(value);
+  return number === null || !(number > 0) ? null : number * unit;
+}
+
+// RATE_LIMIT_UPLOAD="30:10" : 30 requêtes d'affilée, puis 10 par minute ; "off" pour désactiver
+function parseRateLimit(value, fallback) {
+  if (value === "off") return null;
+  const [capacity, perMinute] = (value || fallback).split(":").map(Number);
+  return { capacity, perMinute };
+}
+
+const config = {
+  port: env.PORT || 3000,
+  // Nombre de proxys devant le serveur (ex. 1 sur Render) : req.ip est alors l'adresse du client
+  trustProxy: env.TRUST_PROXY === "true" ? true : Number(env.TRUST_PROXY) || env.TRUST_PROXY || false,
+  uploadDir: path.join(process.cwd(), "uploads"),
+
+  // Firebase (Firestore, FCM, vérification des tokens) n'est utilisé que si le compte de service est fourni
+  firebase: {
+    enabled: Boolean(env.FIREBASE_SERVICE_ACCOUNT),
+  },
+
+  auth: {
+    apiKeys: parseApiKeys(env.API_KEYS),
+    // Durée de validité d'un jeton de lien (téléchargement, miniature, ZIP), en secondes
+    linkTokenTtl: Number(env.LINK_TOKEN_TTL) || 60,
+  },
+
+  metadata: {
+    driver: env.METADATA_DRIVER || (env.FIREBASE_SERVICE_ACCOUNT ? "firestore" : "json"),
+    json: {
+      file: env.METADATA_FILE || path.join(process.cwd(), "data", "metadata.json"),
+    },
+  },
+
+  storage: {
+    driver: env.STORAGE_DRIVER || (env.IMAGEKIT_PRIVATE_KEY ? "imagekit" : "local"),
+    imagekit: {
+      folder: env.IMAGEKIT_FOLDER || "/uploads",
+    },
+    local: {
+      dir: env.LOCAL_STORAGE_DIR || path.join(process.cwd(), "storage-data"),
+      folder: "uploads",
+    },
+    s3: {
+      endpoint: env.S3_ENDPOINT, // ex. http://localhost:9000 pour MinIO
+      region: env.S3_REGION || "us-east-1",
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: env.S3_FORCE_PATH_STYLE !== "false",
+      folder: env.S3_PREFIX || "uploads",
+    },
+    // Stockage d'archive des règles de conservation (voir retention.js) : mêmes réglages que
+    // le driver choisi, dans un autre dossier (et pour S3, un autre bucket ou une classe de
+    // stockage moins chère, lisible sans restauration : STANDARD_IA, GLACIER_IR…)
+    archive: {
+      driver: env.ARCHIVE_STORAGE_DRIVER || null,
+      folder: env.ARCHIVE_FOLDER || "archive",
+      bucket: env.ARCHIVE_S3_BUCKET || env.S3_BUCKET,
+      storageClass: env.ARCHIVE_S3_STORAGE_CLASS,
+    },
+  },
+
+  upload: {
+    maxFiles: Number(env.UPLOAD_MAX_FILES) || 20,
+    chunkSize: 5 * 1024 * 1024,
+    sessionTtl: 24 * 60 * 60 * 1000, // sessions d'upload par morceaux abandonnées
+    limits: parseSizeLimits(env.UPLOAD_LIMITS, Number(env.UPLOAD_MAX_SIZE_MB) || 25),
+    // Fichier identique (même SHA-256) déjà visible par l'utilisateur :
+    // reuse = renvoyer l'existant, reject = refuser (409), off = enregistrer quand même
+    dedup: env.UPLOAD_DEDUP || "reuse",
+  },
+
+  scanner: {
+    driver: env.SCANNER || "none",
+    clamd: {
+      socket: env.CLAMD_SOCKET, // ex. /var/run/clamav/clamd.ctl ; sinon TCP
+      host: env.CLAMD_HOST || "127.0.0.1",
+      port: Number(env.CLAMD_PORT) || 3310,
+    },
+    command: env.SCANNER_COMMAND,
+    quarantineDir: env.QUARANTINE_DIR || path.join(process.cwd(), "quarantine"),
+  },
+
+  notifications: {
+    // fcm = Firebase Cloud Messaging, memory = messages gardés en mémoire et journalisés
+    driver: env.NOTIFIER || (env.FIREBASE_SERVICE_ACCOUNT ? "fcm" : "memory"),
+    digestInterval: 60 * 60 * 1000, // vérification des résumés quotidiens à envoyer
+  },
+
+  trash: {
+    retentionDays: env.TRASH_RETENTION_DAYS ? Number(env.TRASH_RETENTION_DAYS) : 30,
+    purgeInterval: 60 * 60 * 1000,
+  },
+
+  // DOWNLOAD_MODE="stream" : le serveur relaie les fichiers au lieu de rediriger vers une URL
+  // signée du stockage (un lien de partage peut aussi choisir son mode). Avec ImageKit, seul
+  // ce mode télécharge les fichiers sous leur nom d'origine.
+  download: {
+    mode: env.DOWNLOAD_MODE === "stream" ? "stream" : "redirect",
+    urlExpiresIn: 3600,
+  },
+
+  // Aperçus générés à l'upload (PREVIEWS=off pour les désactiver)
+  previews: {
+    enabled: env.PREVIEWS !== "off",
+    pageWidth: 1000, // largeur en pixels de la première page d'un PDF
+    maxRows: 200, // lignes par feuille dans l'aperçu d'un tableur
+    maxTextLength: 100000, // caractères gardés du texte d'un document Word
+  },
+
+  // Données des tableurs envoyés avec "ingest" (voir datasets.js)
+  data: {
+    maxRows: Number(env.DATA_MAX_ROWS) || 100000, // lignes gardées par feuille
+    cacheSize: 5, // jeux de données gardés en mémoire pour les requêtes successives
+  },
+
+  quotas: {
+    user: {
+      bytes: parseLimit(env.QUOTA_USER_MB, 1024, 1024 * 1024),
+      files: parseLimit(env.QUOTA_USER_FILES, 1000),
+    },
+    global: {
+      bytes: parseLimit(env.QUOTA_TOTAL_MB, null, 1024 * 1024),
+      files: parseLimit(env.QUOTA_TOTAL_FILES),
+    },
+  },
+
+  rateLimits: {
+    upload: parseRateLimit(env.RATE_LIMIT_UPLOAD, "30:10"),
+    download: parseRateLimit(env.RATE_LIMIT_DOWNLOAD, "120:60"),
+    ping: parseRateLimit(env.RATE_LIMIT_PING, "10:6"),
+    // Notifications push déclenchées par un même auteur ; au-delà, elles rejoignent le résumé quotidien
+    notifications: parseRateLimit(env.RATE_LIMIT_NOTIFICATIONS, "10:5"),
+  },
+
+  search: {
+    file: env.SEARCH_INDEX_FILE || path.join(process.cwd(), "data", "search-index.json"),
+    maxTextLength: 200000, // caractères indexés par fichier
+  },
+
+  // Tableau de bord d'administration, /health et /metrics
+  admin: {
+    statsDays: 30, // uploads par jour
+    statsCacheTtl: 60 * 1000, // les statistiques de stockage parcourent tous les enregistrements
+    healthTimeout: 5 * 1000, // par service vérifié
+    healthCacheTtl: 5 * 1000,
+  },
+
+  // Règles de conservation : évaluées à chaque intervalle (voir retention.js)
+  retention: {
+    interval: (Number(env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000,
+  },
+
+  monitor: {
+    autoStart: env.MONITOR_AUTOSTART !== "false",
+    targets: parseMonitorTargets(env.MONITOR_TARGETS),
+    historyDays: 7,
+    purgeInterval: 24 * 60 * 60 * 1000,
+  },
+
+  activity: {
+    retentionDays: Number(env.ACTIVITY_RETENTION_DAYS) || 90,
+    purgeInterval: 24 * 60 * 60 * 1000,
+  },
+
+  // Webhooks sortants : une livraison en échec est retentée après retryDelay, puis un délai
+  // doublé à chaque fois (au plus maxRetryDelay), jusqu'à maxAttempts envois
+  webhooks: {
+    timeout: 10 * 1000,
+    maxAttempts: Number(env.WEBHOOK_MAX_ATTEMPTS) || 10,
+    retryDelay: (Number(env.WEBHOOK_RETRY_DELAY) || 30) * 1000,
+    maxRetryDelay: 6 * 60 * 60 * 1000,
+    pollInterval: 15 * 1000, // recherche des livraisons dont la prochaine tentative est due
+    retentionDays: 30, // livraisons réussies ou abandonnées
+    purgeInterval: 24 * 60 * 60 * 1000,
+  },
+
+  shares: {
+    defaultExpiresIn: 7 * 24 * 3600, // secondes
+    maxExpiresIn: (Number(env.SHARE_MAX_DAYS) || 90) * 24 * 3600,
+    // Reprise par plages d'un téléchargement déjà compté (mode "stream"), en secondes
+    resumeWindow: 3600,
+  },
+};
+
+export default config;
@@ -0,0 +1,244 @@
+// Données des tableurs (csv, xls, xlsx) : à la demande de l'envoyeur (champ "ingest"),
+// chaque feuille est lue, le type de chaque colonne déduit de ses valeurs et les lignes
+// typées enregistrées dans le stockage (dossier "datasets"), nommées d'après l'empreinte
+// du contenu comme les aperçus. L'enregistrement (et chaque entrée de version) garde la
+// description du jeu de données :
+//   { status: "ready", content, sheets: [{ name, columns: [{ name, type }], rowCount, truncated }], ingestedAt }
+//   { status: "unsupported" } ou { status: "failed", error }
+// La première ligne d'une feuille donne les noms des colonnes. Types : integer, number,
+// boolean, date (ISO 8601), string ; une colonne aux valeurs de types différents est
+// une colonne de texte. Une cellule vide vaut null.
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import XLSX from "xlsx";
+import { HttpError } from "./errors.js";
+import { kindOf, readWorkbook } from "./documents.js";
+import { withLocalCopy } from "./storage/index.js";
+
+export const TABULAR_KINDS = ["text", "xls", "xlsx"];
+export const CONVERSION_FORMATS = ["csv", "json", "xlsx"];
+export const FILTER_OPERATORS = ["eq", "ne", "gt", "gte", "lt", "lte", "contains"];
+
+// Les nombres commençant par 0 (codes postaux, identifiants) restent du texte
+const NUMBER = /^[+-]?(0|[1-9]\d*|[1-9]\d{0,2}( \d{3})+)([.,]\d+)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const BOOLEANS = { true: true, false: false, vrai: true, faux: false };
+
+function typeOf(value) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return "date";
+  if (typeof value === "boolean") return "boolean";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  const text = String(value).trim();
+  if (!text) return null;
+  if (text.toLowerCase() in BOOLEANS) return "boolean";
+  if (NUMBER.test(text)) return Number.isInteger(toNumber(text)) ? "integer" : "number";
+  if (DATE.test(text) && !isNaN(new Date(text))) return "date";
+  return "string";
+}
+
+const toNumber = (text) => Number(text.replace(/ /g, "").replace(",", "."));
+
+function columnType(values) {
+  const types = new Set(values.map(typeOf).filter(Boolean));
+  if (types.size === 0) return "string";
+  if (types.size === 1) return [...types][0];
+  if (types.size === 2 && types.has("integer") && types.has("number")) return "number";
+  return "string";
+}
+
+// Date sans heure : "2024-03-01" ; sinon ISO 8601 complet
+function toDate(value) {
+  if (!(value instanceof Date) && /^\d{4}-\d{2}-\d{2}$/.test(String(value).trim())) return String(value).trim();
+  const iso = new Date(value).toISOString();
+  return iso.endsWith("T00:00:00.000Z") ? iso.slice(0, 10) : iso;
+}
+
+export function convertValue(value, type) {
+  if (typeOf(value) === null) return null;
+  switch (type) {
+    case "integer":
+    case "number":
+      return typeof value === "number" ? value : toNumber(String(value).trim());
+    case "boolean":
+      return typeof value === "boolean" ? value : BOOLEANS[String(value).trim().toLowerCase()];
+    case "date":
+      return toDate(value);
+    default:
+      return value instanceof Date ? toDate(value) : String(value);
+  }
+}
+
+// Noms des colonnes : en-têtes vides remplacés, doublons numérotés
+function columnNames(header, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, i) => {
+    const base = String(header[i] ?? "").trim() || `colonne_${i + 1}`;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count > 1 ? `${base}_${count}` : base;
+  });
+}
+
+export function parseSheet(sheet, { maxRows = Infinity } = {}) {
+  const [header = [], ...body] = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: null, blankrows: false });
+  const lines = body.slice(0, maxRows);
+  const width = lines.reduce((max, line) => Math.max(max, line.length), header.length);
+  const names = columnNames(header, width);
+  const columns = names.map((name, i) => ({ name, type: columnType(lines.map((line) => line[i])) }));
+  const rows = lines.map((line) => columns.map((column, i) => convertValue(line[i], column.type)));
+  return { columns, rows, truncated: body.length > lines.length };
+}
+
+// Les dates des classeurs sont lues comme des dates (et non leur numéro de série). Une
+// ligne de plus que `maxRows` est lue pour savoir si la feuille est tronquée.
+export async function readTables(source, originalName, { maxRows } = {}) {
+  const kind = kindOf(originalName);
+  const workbook = await readWorkbook(source, kind, { cellDates: true, sheetRows: maxRows && maxRows + 2 });
+  return workbook.SheetNames.map((name) => ({ name, ...parseSheet(workbook.Sheets[name], { maxRows }) }));
+}
+
+// Filtre "colonne:opérateur:valeur", la valeur étant lue selon le type de la colonne
+export function parseFilter(expression, columns) {
+  const match = /^(.+):([a-z]+):(.*)$/.exec(expression);
+  if (!match || !FILTER_OPERATORS.includes(match[2])) {
+    throw new HttpError(400, "INVALID_FILTER", { filter: expression, operators: FILTER_OPERATORS });
+  }
+  const [, name, operator, raw] = match;
+  const index = columns.findIndex((column) => column.name === name);
+  if (index === -1) throw new HttpError(400, "INVALID_PARAMETER", { param: "filter", allowed: columns.map((column) => column.name) });
+
+  const { type } = columns[index];
+  if (operator === "contains") {
+    const needle = raw.toLowerCase();
+    return (row) => row[index] !== null && String(row[index]).toLowerCase().includes(needle);
+  }
+  const value = raw === "" ? null : convertValue(raw, type);
+  const numeric = (candidate) => candidate === "integer" || candidate === "number";
+  if (value !== null && type !== "string" && typeOf(raw) !== type && !(numeric(type) && numeric(typeOf(raw)))) {
+    throw new HttpError(400, "INVALID_FILTER", { filter: expression, type });
+  }
+  const tests = {
+    eq: (cell) => cell === value,
+    ne: (cell) => cell !== value,
+    gt: (cell) => cell !== null && cell > value,
+    gte: (cell) => cell !== null && cell >= value,
+    lt: (cell) => cell !== null && cell < value,
+    lte: (cell) => cell !== null && cell <= value,
+  };
+  const test = tests[operator];
+  return (row) => test(row[index]);
+}
+
+export function createDatasets({ config, storage }) {
+  const options = config.data;
+  // Jeux de données récemment consultés, par empreinte du contenu
+  const cache = new Map();
+
+  // Ne lève jamais d'erreur : un tableur illisible ne doit pas faire échouer l'upload
+  async function ingest(source, { originalName, sha256 }) {
+    if (!TABULAR_KINDS.includes(kindOf(originalName))) return { status: "unsupported" };
+
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "dataset-"));
+    try {
+      const sheets = await readTables(source, originalName, { maxRows: options.maxRows });
+      const name = `${sha256}.json`;
+      const file = path.join(dir, name);
+      const data = Buffer.from(JSON.stringify({ sheets }));
+      await fsPromises.writeFile(file, data);
+      return {
+        status: "ready",
+        content: await storage.put({ source: file, name, folder: "datasets", size: data.length, contentType: "application/json" }),
+        sheets: sheets.map(({ name, columns, rows, truncated }) => ({ name, columns, rowCount: rows.length, truncated })),
+        ingestedAt: new Date().toISOString(),
+      };
+    } catch (err) {
+      console.error(`❌ Lecture des données impossible pour "${originalName}" :`, err.message);
+      return { status: "failed", error: err.message };
+    } finally {
+      await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  async function load(source) {
+    const key = source.sha256;
+    if (cache.has(key)) {
+      const data = cache.get(key);
+      cache.delete(key);
+      cache.set(key, data);
+      return data;
+    }
+    const data = await withLocalCopy(storage, source.dataset.content, async (file) => JSON.parse(await fsPromises.readFile(file, "utf8")));
+    cache.set(key, data);
+    if (cache.size > options.cacheSize) cache.delete(cache.keys().next().value);
+    return data;
+  }
+
+  // Lignes d'une feuille : colonnes choisies, filtres (tous vérifiés), pagination par décalage
+  async function query(source, { sheet, columns, filters = [], offset = 0, limit = 100 }) {
+    if (source.dataset?.status !== "ready") {
+      throw new HttpError(404, "DATA_UNAVAILABLE", { status: source.dataset?.status || "none" });
+    }
+    const { sheets } = await load(source);
+    const table = sheet === undefined ? sheets[0] : sheets.find((candidate) => candidate.name === sheet);
+    if (!table) throw new HttpError(400, "INVALID_PARAMETER", { param: "sheet", allowed: sheets.map((candidate) => candidate.name) });
+
+    const names = table.columns.map((column) => column.name);
+    const unknown = columns?.filter((name) => !names.includes(name));
+    if (unknown?.length) throw new HttpError(400, "INVALID_PARAMETER", { param: "columns", allowed: names });
+    const selected = (columns || names).map((name) => names.indexOf(name));
+
+    const tests = filters.map((expression) => parseFilter(expression, table.columns));
+    const matching = tests.length ? table.rows.filter((row) => tests.every((test) => test(row))) : table.rows;
+
+    return {
+      sheet: table.name,
+      sheets: sheets.map((candidate) => candidate.name),
+      columns: selected.map((i) => table.columns[i]),
+      total: matching.length,
+      offset,
+      limit,
+      truncated: source.dataset.sheets.find((candidate) => candidate.name === table.name)?.truncated || false,
+      rows: matching.slice(offset, offset + limit).map((row) => Object.fromEntries(selected.map((i) => [names[i], row[i]]))),
+    };
+  }
+
+  // Conversion du fichier d'origine : une feuille en csv ou json, tout le classeur en xlsx
+  async function convert(source, originalName, { format, sheet }) {
+    const kind = kindOf(originalName);
+    if (!TABULAR_KINDS.includes(kind)) throw new HttpError(415, "CONVERSION_UNSUPPORTED");
+    const allowed = CONVERSION_FORMATS.filter((candidate) => !(kind === "text" && candidate === "csv") && !(kind === "xlsx" && candidate === "xlsx"));
+    if (!allowed.includes(format)) throw new HttpError(400, "INVALID_PARAMETER", { param: "format", allowed });
+
+    return withLocalCopy(storage, source, async (file) => {
+      const workbook = await readWorkbook(file, kind, { cellDates: true });
+      const name = sheet === undefined ? workbook.SheetNames[0] : sheet;
+      if (format !== "xlsx" && !workbook.SheetNames.includes(name)) {
+        throw new HttpError(400, "INVALID_PARAMETER", { param: "sheet", allowed: workbook.SheetNames });
+      }
+      const base = path.parse(originalName).name;
+
+      if (format === "csv") {
+        return { name: `${base}.csv`, type: "text/csv; charset=utf-8", content: Buffer.from(XLSX.utils.sheet_to_csv(workbook.Sheets[name])) };
+      }
+      if (format === "json") {
+        const { columns, rows } = parseSheet(workbook.Sheets[name]);
+        const items = rows.map((row) => Object.fromEntries(columns.map((column, i) => [column.name, row[i]])));
+        return { name: `${base}.json`, type: "application/json; charset=utf-8", content: Buffer.from(JSON.stringify(items, null, 2)) };
+      }
+      return {
+        name: `${base}.xlsx`,
+        type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        content: XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }),
+      };
+    });
+  }
+
+  async function remove(dataset) {
+    if (dataset?.status !== "ready") return;
+    await storage.delete(dataset.content).catch(() => {});
+  }
+
+  return { ingest, query, convert, remove };
+}
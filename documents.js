@@ -0,0 +1,72 @@
+// Lecture du contenu des documents acceptés, commune aux aperçus (previews.js) et à la
+// recherche plein texte (search.js).
+import fsPromises from "fs/promises";
+import path from "path";
+import { createRequire } from "module";
+import XLSX from "xlsx";
+import mammoth from "mammoth";
+import WordExtractor from "word-extractor";
+import { fileTypes, extensionOf } from "./filetypes.js";
+
+const require = createRequire(import.meta.url);
+const PDF_FONTS = path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts") + path.sep;
+
+export const kindOf = (originalName) => fileTypes[extensionOf(originalName)]?.kind;
+
+// Le document doit être fermé par l'appelant (doc.destroy())
+export async function openPdf(source) {
+  const { getDocument } = await import("pdfjs-dist/legacy/build/pdf.mjs");
+  return getDocument({
+    data: new Uint8Array(await fsPromises.readFile(source)),
+    standardFontDataUrl: PDF_FONTS,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+}
+
+// Les CSV sont lus tels quels (pas de conversion de dates ou de nombres)
+export async function readWorkbook(source, kind, { sheetRows, cellDates } = {}) {
+  return kind === "text"
+    ? XLSX.read(await fsPromises.readFile(source, "utf8"), { type: "string", raw: true, sheetRows })
+    : XLSX.read(await fsPromises.readFile(source), { type: "buffer", sheetRows, cellDates });
+}
+
+async function pdfText(source, kind, maxLength) {
+  const doc = await openPdf(source);
+  try {
+    const pages = [];
+    let length = 0;
+    for (let i = 1; i <= doc.numPages && length < maxLength; i++) {
+      const { items } = await (await doc.getPage(i)).getTextContent();
+      const text = items.map((item) => item.str + (item.hasEOL ? "\n" : " ")).join("");
+      pages.push(text);
+      length += text.length;
+    }
+    return pages.join("\n");
+  } finally {
+    await doc.destroy();
+  }
+}
+
+async function spreadsheetText(source, kind) {
+  if (kind === "text") return fsPromises.readFile(source, "utf8");
+  const workbook = await readWorkbook(source, kind);
+  return workbook.SheetNames.map((name) => `${name}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[name])}`).join("\n");
+}
+
+const extractors = {
+  pdf: pdfText,
+  docx: async (source) => (await mammoth.extractRawText({ path: source })).value,
+  doc: async (source) => (await new WordExtractor().extract(source)).getBody(),
+  text: spreadsheetText,
+  xls: spreadsheetText,
+  xlsx: spreadsheetText,
+};
+
+// Texte brut du document, tronqué à `maxLength` caractères ("" pour un type sans extracteur)
+export async function extractText(source, originalName, { maxLength = Infinity } = {}) {
+  const kind = kindOf(originalName);
+  const extract = extractors[kind];
+  if (!extract) return "";
+  return (await extract(source, kind, maxLength)).slice(0, maxLength);
+}
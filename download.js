@@ -0,0 +1,118 @@
+// Envoi d'un fichier stocké, commun aux téléchargements authentifiés et aux liens de partage.
+// `source` est l'enregistrement (ou l'entrée de version) qui désigne l'objet de stockage.
+//
+// Deux modes d'envoi :
+//   - "redirect" : redirection vers une URL signée du stockage (ImageKit, S3). Avec ImageKit,
+//     le fichier est téléchargé sous le nom de l'objet stocké, pas sous son nom d'origine ;
+//   - "stream" : le serveur relaie l'objet lui-même, avec les requêtes Range (reprise d'un
+//     téléchargement interrompu). Le client ne voit pas le stockage et le serveur sait si le
+//     téléchargement est allé jusqu'au bout.
+// Un driver sans URL signée (disque local) est toujours servi en "stream".
+import { fileTypes, extensionOf } from "./filetypes.js";
+
+export const DOWNLOAD_MODES = ["redirect", "stream"];
+
+// Le contenu d'une version ne change jamais : son empreinte sert d'ETag.
+// Renvoie true si le client a déjà ce contenu (réponse 304 envoyée).
+export function sendValidators(req, res, source) {
+  if (!source.sha256) return false;
+  const etag = `"${source.sha256}"`;
+  res.set({ ETag: etag, Digest: `sha-256=${Buffer.from(source.sha256, "hex").toString("base64")}` });
+  if (req.get("if-none-match") !== etag) return false;
+  res.status(304).end();
+  return true;
+}
+
+// En-tête Content-Disposition (RFC 6266) : un nom ASCII de repli pour les anciens clients et
+// le nom exact encodé selon la RFC 5987 (accents, guillemets, espaces…)
+export function contentDisposition(filename) {
+  const fallback = filename.normalize("NFD").replace(/\p{M}/gu, "").replace(/[^\x20-\x7e]|["\\%]/g, "_");
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Une seule plage "bytes=a-b", "bytes=a-" ou "bytes=-n" : { start, end } (bornes incluses),
+// null si l'en-tête est absent ou illisible (fichier entier), false si la plage est hors du fichier
+export function parseRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!match || (!match[1] && !match[2])) return null;
+  let start;
+  let end = size - 1;
+  if (!match[1]) {
+    start = Math.max(0, size - Number(match[2]));
+    if (!Number(match[2])) return false;
+  } else {
+    start = Number(match[1]);
+    if (match[2]) end = Math.min(Number(match[2]), size - 1);
+  }
+  return start <= end ? { start, end } : false;
+}
+
+// Relais de l'objet ; se termine avec la réponse. `complete` : le client a reçu le dernier
+// octet du fichier (réponse entière, ou dernière plage d'un téléchargement repris) ;
+// `bytes` : octets relayés. `beforeStream({ start, end, length })` est appelé avant tout
+// en-tête de contenu : une erreur levée à ce moment ne laisse rien de la réponse partielle.
+async function streamStoredFile(req, res, storage, source, { downloadName, beforeStream }) {
+  const { size } = source;
+  const sized = Number.isInteger(size) && size > 0;
+
+  let range = null;
+  if (sized) {
+    // If-Range : la plage ne vaut que si le client a toujours le même contenu
+    const ifRange = req.get("if-range");
+    if (req.get("range") && (!ifRange || ifRange === res.get("ETag"))) range = parseRange(req.get("range"), size);
+    if (range === false) {
+      res.status(416).set({ "Accept-Ranges": "bytes", "Content-Range": `bytes */${size}` }).end();
+      return { mode: "stream", complete: false, bytes: 0 };
+    }
+  }
+  const { start, end } = range || { start: 0, end: sized ? size - 1 : null };
+  const length = sized ? end - start + 1 : null;
+  const setHeaders = () => {
+    res.set({
+      "Content-Type": fileTypes[extensionOf(downloadName)]?.mime || "application/octet-stream",
+      "Content-Disposition": contentDisposition(downloadName),
+    });
+    if (!sized) return;
+    res.set({ "Accept-Ranges": "bytes", "Content-Length": String(length) });
+    if (range) res.status(206).set("Content-Range", `bytes ${start}-${end}/${size}`);
+  };
+  if (req.method === "HEAD") {
+    setHeaders();
+    res.end();
+    return { mode: "stream", complete: false, bytes: 0 };
+  }
+
+  await beforeStream?.({ start, end, length });
+  setHeaders();
+  const lastByte = !range || range.end === size - 1;
+  const stream = await storage.stream(source, range || {});
+  let bytes = 0;
+  return new Promise((resolve) => {
+    stream.on("data", (chunk) => {
+      bytes += chunk.length;
+    });
+    stream.on("error", (err) => {
+      console.error("Download stream error", err);
+      res.destroy(err);
+    });
+    res.on("close", () => {
+      stream.destroy();
+      resolve({ mode: "stream", complete: res.writableFinished && lastByte, range, bytes });
+    });
+    stream.pipe(res);
+  });
+}
+
+// Renvoie { mode, complete } ; une redirection est considérée comme un téléchargement complet,
+// sauf en réponse à une requête HEAD
+export async function sendStoredFile(req, res, storage, source, { downloadName, expiresIn, mode = "redirect", beforeStream }) {
+  if (mode !== "stream") {
+    const url = await storage.getUrl(source, { expiresIn, disposition: contentDisposition(downloadName) });
+    if (url) {
+      res.redirect(url);
+      return { mode: "redirect", complete: req.method !== "HEAD" };
+    }
+  }
+  return streamStoredFile(req, res, storage, source, { downloadName, beforeStream });
+}
@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import { translate, languageOf } from "./messages.js";
+
+// Erreur portant le statut HTTP à renvoyer au client, un code stable (voir messages.js) et
+// d'éventuels champs supplémentaires : ils servent au message et sont repris dans la réponse.
+// `message` est le message en français, pour les journaux et les événements socket.io.
+export class HttpError extends Error {
+  constructor(status, code, details = {}) {
+    super(translate(code, details));
+    this.name = "HttpError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Les erreurs qui ne viennent pas de l'application (corps JSON mal formé, trop volumineux…)
+// gardent leur statut ; toutes les autres sont des erreurs serveur
+export function toHttpError(err) {
+  if (err instanceof HttpError) return err;
+  if (err.type === "entity.parse.failed") return new HttpError(400, "INVALID_JSON");
+  if (err.type === "entity.too.large") return new HttpError(413, "BODY_TOO_LARGE");
+  if (err.status >= 400 && err.status < 500) return new HttpError(err.status, "INVALID_REQUEST");
+  return new HttpError(500, "INTERNAL_ERROR");
+}
+
+// Corps d'erreur de toute l'API : { error, code, ...détails }
+export function errorBody(err, lang) {
+  const { code, details } = toHttpError(err);
+  return { error: translate(code, details, lang), code, ...details };
+}
+
+// Identifiant de la requête, fourni par le client ou un proxy (X-Request-Id) ou généré ;
+// il est renvoyé dans l'en-tête et dans les erreurs, et figure dans les journaux
+export function requestId(req, res, next) {
+  const id = req.get("x-request-id");
+  req.id = id && /^[\w.:-]{1,100}$/.test(id) ? id : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+}
+
+export function notFound(req, res, next) {
+  next(new HttpError(404, "ROUTE_NOT_FOUND", { method: req.method, path: req.path }));
+}
+
+// Dernier middleware : toutes les erreurs passées à next() aboutissent ici. Une erreur
+// d'upload indique son job (req.job) pour que le client retrouve son suivi.
+export function errorHandler(err, req, res, next) {
+  const error = toHttpError(err);
+  if (error.status >= 500) console.error(`❌ [${req.id}] ${req.method} ${req.originalUrl}`, err);
+  if (res.headersSent) return next(err);
+  res.status(error.status).json({
+    ...errorBody(error, languageOf(req)),
+    ...(req.job && { jobId: req.job.id }),
+    requestId: req.id,
+  });
+}
@@ -0,0 +1,143 @@
+// Types de fichiers acceptés et vérification du contenu réel (signatures binaires).
+// L'extension seule ne suffit pas : un exécutable renommé en .pdf doit être refusé.
+import fsPromises from "fs/promises";
+import path from "path";
+import { HttpError } from "./errors.js";
+
+export const fileTypes = {
+  ".pdf": { mime: "application/pdf", kind: "pdf" },
+  ".doc": { mime: "application/msword", kind: "doc" },
+  ".docx": { mime: "application/vnd.openxmlformats-officedocument.wordprocessingml.document", kind: "docx" },
+  ".xls": { mime: "application/vnd.ms-excel", kind: "xls" },
+  ".xlsx": { mime: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", kind: "xlsx" },
+  ".csv": { mime: "text/csv", kind: "text" },
+};
+
+export const allowedExt = Object.keys(fileTypes);
+
+export function extensionOf(originalName) {
+  return path.extname(originalName).toLowerCase();
+}
+
+// Les vérifications renvoient l'erreur à lever (ou à signaler fichier par fichier), sinon null
+export function checkExtension(originalName) {
+  const ext = extensionOf(originalName);
+  return fileTypes[ext] ? null : new HttpError(415, "FILE_TYPE_NOT_ALLOWED", { extension: ext });
+}
+
+export function sizeLimit(limits, originalName) {
+  return limits[extensionOf(originalName)] ?? limits.default;
+}
+
+export function checkSize(limits, originalName, size) {
+  const limit = sizeLimit(limits, originalName);
+  if (size <= limit) return null;
+  return new HttpError(413, "FILE_TOO_LARGE", { maxMb: Math.round(limit / 1024 / 1024), extension: extensionOf(originalName) });
+}
+
+async function readAt(handle, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+// Noms des entrées d'une archive ZIP (répertoire central)
+async function zipEntries(handle, size) {
+  const tailLength = Math.min(size, 65557);
+  const tail = await readAt(handle, size - tailLength, tailLength);
+  const eocd = tail.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (eocd === -1) return [];
+
+  const cdSize = tail.readUInt32LE(eocd + 12);
+  const cdOffset = tail.readUInt32LE(eocd + 16);
+  const cd = await readAt(handle, cdOffset, cdSize);
+
+  const names = [];
+  for (let i = 0; i + 46 <= cd.length && cd.readUInt32LE(i) === 0x02014b50;) {
+    const nameLength = cd.readUInt16LE(i + 28);
+    const extraLength = cd.readUInt16LE(i + 30);
+    const commentLength = cd.readUInt16LE(i + 32);
+    names.push(cd.toString("utf8", i + 46, i + 46 + nameLength));
+    i += 46 + nameLength + extraLength + commentLength;
+  }
+  return names;
+}
+
+// Noms des flux d'un document OLE2 (.doc/.xls) : parcours de la chaîne FAT du répertoire
+async function oleStreams(handle) {
+  const header = await readAt(handle, 0, 512);
+  const sectorSize = 1 << header.readUInt16LE(0x1e);
+  const fatSectors = Math.min(header.readUInt32LE(0x2c), 109);
+  const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+  const fat = [];
+  for (let i = 0; i < fatSectors; i++) {
+    const sector = await readAt(handle, sectorOffset(header.readUInt32LE(0x4c + i * 4)), sectorSize);
+    for (let j = 0; j + 4 <= sector.length; j += 4) fat.push(sector.readUInt32LE(j));
+  }
+
+  const names = [];
+  const seen = new Set();
+  for (let sector = header.readUInt32LE(0x30); sector < 0xfffffffa && !seen.has(sector); sector = fat[sector]) {
+    seen.add(sector);
+    const dir = await readAt(handle, sectorOffset(sector), sectorSize);
+    for (let i = 0; i + 128 <= dir.length; i += 128) {
+      const nameLength = dir.readUInt16LE(i + 0x40);
+      if (nameLength > 2) names.push(dir.toString("utf16le", i, i + nameLength - 2));
+    }
+  }
+  return names;
+}
+
+function looksLikeText(sample) {
+  for (const byte of sample) {
+    if (byte === 0) return false;
+    if (byte < 0x20 && ![0x09, 0x0a, 0x0c, 0x0d].includes(byte)) return false;
+  }
+  return true;
+}
+
+// Détecte le type réel du fichier : pdf, docx, xlsx, doc, xls, text ou null
+export async function sniff(file) {
+  const handle = await fsPromises.open(file, "r");
+  try {
+    const { size } = await handle.stat();
+    const head = await readAt(handle, 0, 8192);
+
+    if (head.subarray(0, 5).toString("latin1") === "%PDF-") return "pdf";
+
+    if (head.readUInt32LE(0) === 0x04034b50) {
+      const entries = await zipEntries(handle, size);
+      if (entries.includes("word/document.xml")) return "docx";
+      if (entries.includes("xl/workbook.xml")) return "xlsx";
+      return null;
+    }
+
+    if (head.subarray(0, 8).equals(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]))) {
+      const streams = await oleStreams(handle);
+      if (streams.includes("WordDocument")) return "doc";
+      if (streams.includes("Workbook") || streams.includes("Book")) return "xls";
+      return null;
+    }
+
+    return head.length && looksLikeText(head) ? "text" : null;
+  } catch {
+    return null; // structure illisible : fichier corrompu ou déguisé
+  } finally {
+    await handle.close();
+  }
+}
+
+// Vérifie qu'un fichier reçu correspond à son extension et respecte la taille maximale.
+// Renvoie le type MIME fiable à enregistrer avec le fichier.
+export async function validateFile({ source, originalName, size }, limits) {
+  const error = checkExtension(originalName) || checkSize(limits, originalName, size);
+  if (error) throw error;
+
+  const type = fileTypes[extensionOf(originalName)];
+  const detected = await sniff(source);
+  if (detected !== type.kind) {
+    throw new HttpError(415, "CONTENT_MISMATCH", { extension: extensionOf(originalName) });
+  }
+  return { mime: type.mime };
+}
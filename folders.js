@@ -0,0 +1,156 @@
+// Dossiers : arborescence de rangement des fichiers (`folderId` des enregistrements,
+// null à la racine). Elle n'existe que dans les métadonnées : les objets de stockage
+// restent à plat et déplacer un fichier ne touche pas au stockage.
+// Un dossier a un propriétaire et un partage, comme un fichier. Ses membres (propriétaire
+// et partage) sont hérités par les sous-dossiers et les fichiers qui y sont rangés.
+import path from "path";
+import sanitize from "sanitize-filename";
+import { canAccess, canEdit, accessList, visibilityFilter } from "./auth.js";
+import { emitFileEvent } from "./realtime.js";
+import { HttpError } from "./errors.js";
+
+// Valeur de `folder` / `folderId` désignant la racine dans l'API
+export const ROOT = "root";
+
+export function parseFolderId(value) {
+  if (value === undefined) return undefined;
+  return value === null || value === "" || value === ROOT ? null : String(value);
+}
+
+function checkName(value) {
+  const name = String(value || "").trim();
+  if (!name || name.length > 255 || /[\\/]/.test(name) || name === "." || name === "..") {
+    throw new HttpError(400, "INVALID_FOLDER_NAME");
+  }
+  return name;
+}
+
+// Partage d'un élément rangé dans `folder` : le sien plus les membres du dossier
+export function inheritSharing(folder, ownerId, sharedWith = []) {
+  if (!folder) return sharedWith;
+  return [...new Set([...folder.access, ...sharedWith])].filter((uid) => uid !== ownerId);
+}
+
+export function createFolders({ metadata, io }) {
+  const folders = metadata.collection("folders");
+
+  async function get(id, user) {
+    const folder = id ? await folders.get(id) : null;
+    if (!folder || !canAccess(user, folder)) throw new HttpError(404, "FOLDER_NOT_FOUND");
+    return folder;
+  }
+
+  async function getEditable(id, user) {
+    const folder = await get(id, user);
+    if (!canEdit(user, folder)) throw new HttpError(403, "FOLDER_EDIT_FORBIDDEN");
+    return folder;
+  }
+
+  function children(parentId, user) {
+    return folders.find({ where: [["parentId", "==", parentId], ...visibilityFilter(user)], orderBy: "name" });
+  }
+
+  async function checkUnique(parentId, name, exceptId = null) {
+    const siblings = await folders.find({ where: [["parentId", "==", parentId], ["name", "==", name]] });
+    if (siblings.some((folder) => folder.id !== exceptId)) {
+      throw new HttpError(409, "FOLDER_EXISTS", { name });
+    }
+  }
+
+  // Chemin depuis la racine, dossier compris (fil d'Ariane)
+  async function ancestors(folder) {
+    const chain = [folder];
+    while (chain[0].parentId && chain.length < 100) {
+      const parent = await folders.get(chain[0].parentId);
+      if (!parent) break;
+      chain.unshift(parent);
+    }
+    return chain.map(({ id, name }) => ({ id, name }));
+  }
+
+  async function create({ name, parentId = null, sharedWith = [] }, user) {
+    name = checkName(name);
+    const parent = parentId ? await getEditable(parentId, user) : null;
+    await checkUnique(parentId, name);
+
+    const shared = inheritSharing(parent, user.uid, sharedWith);
+    const folder = await folders.add({
+      name,
+      parentId,
+      ownerId: user.uid,
+      sharedWith: shared,
+      access: accessList(user.uid, shared),
+      createdAt: new Date().toISOString(),
+    });
+    emitFileEvent(io, folder, "folderCreated", { id: folder.id, name, parentId });
+    return folder;
+  }
+
+  // Renommage et/ou déplacement (parentId)
+  async function update(folder, { name, parentId }, user) {
+    const patch = {};
+    if (name !== undefined) patch.name = checkName(name);
+    if (parentId !== undefined && parentId !== folder.parentId) {
+      if (parentId) {
+        await getEditable(parentId, user);
+        const chain = await ancestors(await folders.get(parentId));
+        if (chain.some((ancestor) => ancestor.id === folder.id)) {
+          throw new HttpError(400, "FOLDER_MOVE_INTO_SELF");
+        }
+      }
+      patch.parentId = parentId;
+    }
+    if (!Object.keys(patch).length) return folder;
+
+    await checkUnique(patch.parentId !== undefined ? patch.parentId : folder.parentId, patch.name || folder.name, folder.id);
+    let updated = await folders.update(folder.id, { ...patch, updatedAt: new Date().toISOString() });
+    if (patch.parentId) updated = await inherit(updated, await folders.get(patch.parentId));
+    emitFileEvent(io, updated, "folderUpdated", { id: folder.id, name: updated.name, parentId: updated.parentId });
+    return updated;
+  }
+
+  // Un dossier déplacé prend les membres de son nouveau parent et les transmet à ses
+  // sous-dossiers et aux fichiers qui y sont rangés (corbeille comprise), comme à la création
+  async function inherit(folder, parent) {
+    const sharedWith = inheritSharing(parent, folder.ownerId, folder.sharedWith);
+    const updated = await folders.update(folder.id, { sharedWith, access: accessList(folder.ownerId, sharedWith) });
+
+    const where = [["folderId", "==", folder.id]];
+    for (const record of [...await metadata.uploads.list({ where }), ...await metadata.uploads.listTrash({ where })]) {
+      const shared = inheritSharing(updated, record.ownerId, record.sharedWith);
+      await metadata.uploads.update(record.id, { sharedWith: shared, access: accessList(record.ownerId, shared) });
+    }
+    for (const child of await folders.find({ where: [["parentId", "==", folder.id]] })) await inherit(child, updated);
+    return updated;
+  }
+
+  // Seul un dossier vide (sans sous-dossier ni fichier actif) peut être supprimé ; les
+  // fichiers de la corbeille qui y étaient rangés seront restaurés à la racine
+  async function remove(folder) {
+    const [child] = await folders.find({ where: [["parentId", "==", folder.id]], limit: 1 });
+    const [file] = await metadata.uploads.list({ where: [["folderId", "==", folder.id]], limit: 1 });
+    if (child || file) throw new HttpError(409, "FOLDER_NOT_EMPTY");
+    await folders.delete(folder.id);
+    emitFileEvent(io, folder, "folderDeleted", { id: folder.id, name: folder.name, parentId: folder.parentId });
+  }
+
+  // Fichiers visibles du dossier et de ses sous-dossiers, avec leur chemin relatif
+  // (noms en double suffixés pour ne pas s'écraser dans une archive)
+  async function* walk(folder, user, prefix = "") {
+    const used = new Set();
+    const unique = (value) => {
+      const name = sanitize(value) || "fichier";
+      const ext = path.extname(name);
+      let candidate = name;
+      for (let i = 2; used.has(candidate.toLowerCase()); i++) candidate = `${path.basename(name, ext)} (${i})${ext}`;
+      used.add(candidate.toLowerCase());
+      return candidate;
+    };
+
+    const files = await metadata.uploads.list({ where: [["folderId", "==", folder.id], ...visibilityFilter(user)] });
+    for (const record of files) yield { record, name: prefix + unique(record.originalName) };
+    for (const child of await children(folder.id, user)) yield* walk(child, user, `${prefix}${unique(child.name)}/`);
+  }
+
+  return { get, getEditable, children, ancestors, create, update, remove, walk, exists: async (id) => Boolean(await folders.get(id)) };
+}
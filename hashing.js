@@ -0,0 +1,42 @@
+// Empreintes SHA-256 des fichiers, calculées pendant la réception.
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { pipeline } from "stream/promises";
+
+export function isSha256(value) {
+  return typeof value === "string" && /^[a-f0-9]{64}$/i.test(value);
+}
+
+export async function sha256File(file) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(file), hash);
+  return hash.digest("hex");
+}
+
+// Moteur de stockage multer : écrit le fichier sur le disque comme diskStorage et
+// calcule son empreinte au passage (file.sha256), sans relire le fichier ensuite.
+export function hashingDiskStorage({ destination, filename }) {
+  return {
+    _handleFile(req, file, cb) {
+      filename(req, file, (err, name) => {
+        if (err) return cb(err);
+        const target = path.join(destination, name);
+        const hash = crypto.createHash("sha256");
+        let size = 0;
+
+        file.stream.on("data", (chunk) => {
+          hash.update(chunk);
+          size += chunk.length;
+        });
+        pipeline(file.stream, fs.createWriteStream(target))
+          .then(() => cb(null, { destination, filename: name, path: target, size, sha256: hash.digest("hex") }))
+          .catch(cb);
+      });
+    },
+
+    _removeFile(req, file, cb) {
+      fs.rm(file.path, { force: true }, cb);
+    },
+  };
+}
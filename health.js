@@ -0,0 +1,44 @@
+// Disponibilité du serveur (GET /health) : le magasin de métadonnées, le stockage des
+// fichiers et le service de notifications sont vérifiés (check() de chaque driver), chacun
+// dans la limite de `healthTimeout` ms. Le résultat est gardé `healthCacheTtl` ms pour
+// qu'une sonde trop fréquente ne sollicite pas les services.
+import { performance } from "perf_hooks";
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Délai dépassé (${ms / 1000} s)`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export function createHealth({ config, metadata, storage, notifier }) {
+  const options = config.admin;
+  const components = { metadata, storage, notifier };
+  let cached = null;
+
+  async function probe(name, component) {
+    const started = performance.now();
+    try {
+      await withTimeout(component.check(), options.healthTimeout);
+      return { status: "ok", driver: component.name, latency: Math.round(performance.now() - started) };
+    } catch (err) {
+      console.error(`❌ Santé : ${name} (${component.name}) indisponible :`, err.message);
+      return { status: "error", driver: component.name, latency: Math.round(performance.now() - started) };
+    }
+  }
+
+  async function check() {
+    if (cached && Date.now() - cached.at < options.healthCacheTtl) return cached.value;
+    const checks = {};
+    await Promise.all(Object.entries(components).map(async ([name, component]) => {
+      checks[name] = await probe(name, component);
+    }));
+    const ok = Object.values(checks).every((result) => result.status === "ok");
+    const value = { status: ok ? "ok" : "error", checks, uptime: Math.round(process.uptime()), checkedAt: new Date().toISOString() };
+    cached = { at: Date.now(), value };
+    return value;
+  }
+
+  return { check };
+}
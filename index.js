@@ -1,87 +1,104 @@
 import express from "express";
-import multer from "multer";
 import fs from "fs";
-import fsPromises from "fs/promises";
 import path from "path";
 import { fileURLToPath } from "url";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import cors from "cors";
-import sanitize from "sanitize-filename";
 
-import admin from "firebase-admin";
-import { getApps } from "firebase-admin/app";
-import { getFirestore } from "firebase-admin/firestore";
-
-import ImageKit from "imagekit";
-import axios from "axios";
+import config from "./config.js";
+import { createStorage } from "./storage/index.js";
+import { createMetadataStore } from "./metadata/index.js";
+import { createAuth } from "./auth.js";
+import { setupSockets } from "./realtime.js";
+import { createJobTracker } from "./jobs.js";
+import { createUploadPipeline } from "./pipeline.js";
+import { createTrash } from "./trash.js";
+import { createScanner } from "./scanner.js";
+import { createVersioning } from "./versions.js";
+import { createNotifier } from "./notifier/index.js";
+import { createNotifications } from "./notifications.js";
+import { createFolders } from "./folders.js";
+import { createShares } from "./shares.js";
+import { createAudit } from "./audit.js";
+import { createPreviews } from "./previews.js";
+import { createDatasets } from "./datasets.js";
+import { createSearch } from "./search.js";
+import { createQuotas } from "./quotas.js";
+import { rateLimit } from "./ratelimit.js";
+import { createMonitor } from "./monitor.js";
+import { createWebhooks } from "./webhooks.js";
+import { createStats } from "./stats.js";
+import { createHealth } from "./health.js";
+import { createMetrics } from "./metrics.js";
+import { createRetention } from "./retention.js";
+import { requestId, notFound, errorHandler } from "./errors.js";
+import uploadRouter from "./routes/upload.js";
+import filesRouter from "./routes/files.js";
+import notificationsRouter from "./routes/notifications.js";
+import foldersRouter from "./routes/folders.js";
+import sharesRouter from "./routes/shares.js";
+import activityRouter from "./routes/activity.js";
+import monitorRouter from "./routes/monitor.js";
+import previewsRouter from "./routes/previews.js";
+import dataRouter from "./routes/data.js";
+import searchRouter from "./routes/search.js";
+import usageRouter from "./routes/usage.js";
+import webhooksRouter from "./routes/webhooks.js";
+import adminRouter from "./routes/admin.js";
+import authRouter from "./routes/auth.js";
+import retentionRouter from "./routes/retention.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const raw = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-if (raw.private_key) raw.private_key = raw.private_key.replace(/\\n/g, "\n");
-
-if (!getApps().length) {
-  admin.initializeApp({ credential: admin.credential.cert(raw) });
-}
-const db = getFirestore();
+const admin = config.firebase.enabled ? (await import("./firebase.js")).default : null;
 
 const app = express();
+app.set("trust proxy", config.trustProxy);
+app.use(requestId);
 app.use(cors());
 app.use(express.json());
+app.use(express.static(path.join(__dirname, "public"), { index: false }));
 
 const httpServer = createServer(app);
 const io = new Server(httpServer, {});
 
-const PORT = process.env.PORT || 3000;
-const UPLOAD_DIR = path.join(process.cwd(), "uploads");
+const PORT = config.port;
+const UPLOAD_DIR = config.uploadDir;
 
 if (!fs.existsSync(UPLOAD_DIR)) fs.mkdirSync(UPLOAD_DIR, { recursive: true });
 
-const imagekit = new ImageKit({
-  publicKey: process.env.IMAGEKIT_PUBLIC_KEY,
-  privateKey: process.env.IMAGEKIT_PRIVATE_KEY,
-  urlEndpoint: process.env.IMAGEKIT_URL_ENDPOINT,
-});
-
-if (!process.env.IMAGEKIT_PUBLIC_KEY || !process.env.IMAGEKIT_PRIVATE_KEY || !process.env.IMAGEKIT_URL_ENDPOINT) {
-  throw new Error("Variables ImageKit manquantes !");
-}
-
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const original = sanitize(file.originalname);
-    const unique = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${original}`;
-    cb(null, unique);
-  },
-});
-
-const allowedExt = [".pdf", ".doc", ".docx", ".xls", ".xlsx", ".csv"];
-function fileFilter(req, file, cb) {
-  const ext = path.extname(file.originalname).toLowerCase();
-  if (allowedExt.includes(ext)) cb(null, true);
-  else cb(new Error("Type de fichier non autorisé: " + ext));
-}
-
-const upload = multer({ storage, fileFilter });
-
-async function sendNotificationToAll(title, body, fileData = null) {
-  const message = {
-    topic: "allUsers",
-    notification: { title, body },
-    data: fileData ? { fileData: JSON.stringify(fileData) } : {},
-  };
-  try {
-    const response = await admin.messaging().send(message);
-    console.log("✅ Notification FCM envoyée :", response);
-  } catch (error) {
-    console.error("❌ Erreur FCM :", error.message);
-  }
-}
-
-app.get('/ping', (req, res) => {
+const storage = await createStorage(config.storage);
+const metadata = await createMetadataStore(config.metadata);
+console.log(`Stockage : ${storage.name}${storage.archive ? ` (archive : ${storage.archive.name})` : ""} — Métadonnées : ${metadata.name}`);
+
+const auth = createAuth({ ...config.auth, admin });
+setupSockets(io, auth);
+const jobs = createJobTracker(io);
+
+const notifier = await createNotifier(config.notifications);
+const notifications = createNotifications({ config, notifier, metadata });
+notifications.start();
+const webhooks = createWebhooks({ config, metadata });
+webhooks.start();
+
+// Supervision : /health, /metrics et statistiques du tableau de bord
+const stats = createStats({ config, metadata, io });
+const health = createHealth({ config, metadata, storage, notifier });
+const metrics = createMetrics({ stats, notifications, webhooks });
+app.use(metrics.track);
+app.use(adminRouter({ auth, health, metrics, stats, notifications }));
+app.use(authRouter({ auth }));
+
+// Seaux de jetons partagés par toutes les routes d'un même type (voir ratelimit.js)
+const limits = {
+  upload: rateLimit(config.rateLimits.upload),
+  download: rateLimit(config.rateLimits.download),
+  ping: rateLimit(config.rateLimits.ping),
+};
+
+app.get('/ping', limits.ping, (req, res) => {
   const msg = `🔔 Ping reçu de la part de ${req.ip}`;
   console.log(`[${new Date().toISOString()}] ${msg}`);
   io.emit('pingStatus', msg);
@@ -92,117 +109,46 @@ app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'dashboard.html'));
 });
 
-app.post("/upload", upload.single("file"), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: "Aucun fichier sélectionné." });
-
-    const filePath = path.join(UPLOAD_DIR, req.file.filename);
-    const fileBuffer = await fsPromises.readFile(filePath);
-
-    const result = await imagekit.upload({
-      file: fileBuffer,
-      fileName: req.file.filename,
-      folder: "/uploads",
-    });
-
-    await fsPromises.unlink(filePath);
-
-    const receivedAt = new Date().toISOString();
-    const originalName = req.file.originalname;
-    const storedAs = req.file.filename;
-
-    await db.collection("uploads").add({
-      originalName,
-      storedAs,
-      fileId: result.fileId,
-      filePath: result.filePath, // ✅ chemin correct vers le fichier
-      receivedAt,
-    });
-
-    await sendNotificationToAll("Nouveau fichier reçu", `"${originalName}"`);
-    io.emit("fileUploaded", { originalName, storedAs, receivedAt });
-
-    res.json({ message: "Fichier envoyé ✅", originalName, storedAs, receivedAt });
-  } catch (err) {
-    console.error("Upload error:", err);
-    let msg = "Erreur serveur";
-    if (err.statusCode === 413) msg = "Fichier trop lourd (max ~25 MB).";
-    if (err.statusCode === 401) msg = "Clés ImageKit invalides.";
-    res.status(500).json({ error: msg });
-  }
-});
-
-app.get("/files", async (req, res) => {
-  try {
-    const snap = await db.collection("uploads").orderBy("receivedAt", "desc").get();
-    const list = snap.docs.map(d => ({ id: d.id, ...d.data() }));
-    res.json(list);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: "Impossible de lire les fichiers" });
-  }
-});
-
-app.get("/download/:filename", async (req, res) => {
-  const filename = req.params.filename;
-  if (filename.includes("..")) return res.status(400).send("Nom invalide");
-  try {
-    const snap = await db.collection("uploads").where("storedAs", "==", filename).limit(1).get();
-    if (snap.empty) return res.status(404).send("Fichier non trouvé");
-
-    const { filePath, originalName } = snap.docs[0].data();
-
-    const url = imagekit.url({
-      path: filePath, // ✅ Utiliser le vrai chemin
-      expiresIn: 3600,
-      responseHeaders: {
-        "Content-Disposition": `attachment; filename="${originalName}"`,
-      },
-    });
-
-    res.redirect(url);
-  } catch (e) {
-    console.error("Download error", e);
-    res.status(500).send("Erreur serveur");
-  }
-});
-
-app.head("/exists/:filename", async (req, res) => {
-  const filename = req.params.filename;
-  if (filename.includes("..")) return res.status(400).send("Nom invalide");
-
-  try {
-    const snap = await db.collection("uploads").where("storedAs", "==", filename).limit(1).get();
-    if (snap.empty) return res.status(404).send("Non trouvé");
-    res.status(200).send("Existe");
-  } catch (e) {
-    console.error("Exists error", e);
-    res.status(500).send("Erreur serveur");
-  }
-});
-
-io.on("connection", (socket) => {
-  console.log("Socket connecté :", socket.id);
-  socket.on("disconnect", () => console.log("Socket déconnecté :", socket.id));
-});
+const scanner = createScanner({ options: config.scanner, metadata, io });
+const audit = createAudit({ config, metadata, io, webhooks });
+audit.start();
+const folders = createFolders({ metadata, io });
+const search = createSearch({ config, storage, metadata });
+search.load();
+const versioning = createVersioning({ metadata, io, notify: notifications.notifyFile, search });
+const previews = createPreviews({ config, storage });
+const datasets = createDatasets({ config, storage });
+const quotas = createQuotas({ config, metadata });
+const storeUpload = createUploadPipeline({ config, storage, metadata, io, scanner, previews, datasets, search, quotas, notify: notifications.notifyFile, versioning, folders, audit });
+
+app.use(uploadRouter({ config, auth, metadata, folders, quotas, limits, jobs, storeUpload }));
+const trash = createTrash({ config, storage, metadata, io, previews, datasets, search, quotas, folders, audit });
+trash.start();
+
+app.use(filesRouter({ config, auth, storage, metadata, io, trash, versioning, folders, audit, limits }));
+app.use(previewsRouter({ auth, storage, metadata, previews }));
+app.use(dataRouter({ auth, storage, metadata, datasets, audit, limits }));
+app.use(searchRouter({ auth, search }));
+app.use(usageRouter({ auth, quotas }));
+app.use(foldersRouter({ auth, storage, folders, limits }));
+const shares = createShares({ config, metadata });
+app.use(sharesRouter({ config, auth, storage, metadata, shares, audit, limits }));
+app.use(activityRouter({ auth, audit }));
+app.use(notificationsRouter({ auth, notifications }));
+app.use(webhooksRouter({ auth, webhooks }));
+
+// Règles de conservation : archivage, mise à la corbeille et avertissements programmés
+const retention = createRetention({ config, storage, metadata, io, trash, notifications, audit });
+retention.start();
+app.use(retentionRouter({ auth, retention }));
+
+// Maintien en éveil et supervision des serveurs distants (MONITOR_TARGETS)
+const monitor = createMonitor({ config, metadata, io, notifications });
+await monitor.init();
+if (config.monitor.autoStart) monitor.start();
+app.use(monitorRouter({ auth, monitor }));
+
+app.use(notFound);
+app.use(errorHandler);
 
 httpServer.listen(PORT, () => console.log(`Serveur lancé sur le port ${PORT}`));
-
-const TARGET_SERVER = 'https://serveur-vt4p.onrender.com/ping';
-async function pingTargetServer() {
-  try {
-    const res = await axios.get(TARGET_SERVER);
-    const msg = `✅ Ping envoyé à ${TARGET_SERVER} - Status: ${res.status}`;
-    console.log(`[${new Date().toISOString()}] ${msg}`);
-    io.emit('pingStatus', msg);
-  } catch (err) {
-    const msg = `❌ Erreur de ping vers ${TARGET_SERVER}: ${err.message}`;
-    console.error(`[${new Date().toISOString()}] ${msg}`);
-    io.emit('pingStatus', msg);
-  }
-  const delay = Math.floor(Math.random() * (7 - 2 + 1) + 2) * 60 * 1000;
-  console.log(`🕒 Prochain ping dans ${(delay / 60000).toFixed(1)} minutes...`);
-  io.emit('pingStatus', `🕒 Prochain ping dans ${(delay / 60000).toFixed(1)} minutes...`);
-  setTimeout(pingTargetServer, delay);
-}
-pingTargetServer();
@@ -0,0 +1,104 @@
+// Suivi en temps réel des uploads : chaque upload a un identifiant de job et ses étapes
+// sont diffusées sur socket.io (événement "uploadJob") dans la room du job, celle du
+// propriétaire et celle des administrateurs.
+//
+// Étapes : receiving (octets reçus), validating (contenu et antivirus), relaying (envoi au
+// stockage), previewing (génération de l'aperçu), ingesting (lecture des données d'un
+// tableur), indexing (extraction du texte pour la recherche), persisted (métadonnées enregistrées), notified (notifications envoyées),
+// duplicate (fichier identique déjà présent, réutilisé), failed.
+//
+// L'id d'un job peut venir du client (en-tête X-Upload-Job) : les jobs et leurs rooms sont
+// donc rangés par propriétaire, un même id choisi par un autre utilisateur désigne un autre job.
+import crypto from "crypto";
+import { userRoom, ADMIN_ROOM } from "./realtime.js";
+import { toHttpError } from "./errors.js";
+
+export const jobRoom = (ownerId, id) => `job:${ownerId}:${id}`;
+const jobKey = (ownerId, id) => `${ownerId}:${id}`;
+
+const PROGRESS_INTERVAL = 250; // ms entre deux événements de progression
+const RETENTION = 10 * 60 * 1000; // un job terminé reste consultable 10 minutes
+
+export function isValidJobId(id) {
+  return typeof id === "string" && /^[\w-]{8,64}$/.test(id);
+}
+
+export function createJobTracker(io) {
+  const jobs = new Map();
+
+  function emit(job) {
+    io.to([jobRoom(job.ownerId, job.id), userRoom(job.ownerId), ADMIN_ROOM]).emit("uploadJob", job.state);
+  }
+
+  function start({ id, ownerId, originalName, totalBytes }) {
+    let lastProgress = 0;
+    let cleanup;
+
+    const job = {
+      id: isValidJobId(id) ? id : crypto.randomUUID(),
+      ownerId,
+      state: null,
+
+      update(stage, fields = {}) {
+        job.state = { ...job.state, stage, ...fields, at: new Date().toISOString() };
+        emit(job);
+      },
+
+      progress(receivedBytes) {
+        job.state.receivedBytes = receivedBytes;
+        const now = Date.now();
+        if (now - lastProgress < PROGRESS_INTERVAL && receivedBytes !== job.state.totalBytes) return;
+        lastProgress = now;
+        job.update("receiving");
+      },
+
+      fail(err, fields = {}) {
+        job.update("failed", { ...fields, error: err.message, code: toHttpError(err).code });
+        job.finish();
+      },
+
+      finish() {
+        clearTimeout(cleanup);
+        cleanup = setTimeout(() => {
+          if (jobs.get(jobKey(ownerId, job.id)) === job) jobs.delete(jobKey(ownerId, job.id));
+        }, RETENTION);
+        cleanup.unref();
+      },
+    };
+
+    job.state = { jobId: job.id, ownerId, originalName, totalBytes, receivedBytes: 0, stage: "receiving" };
+    jobs.set(jobKey(ownerId, job.id), job);
+    return job;
+  }
+
+  // Job des uploads par morceaux : il porte l'id de la session et survit entre les requêtes
+  function resume(options) {
+    return jobs.get(jobKey(options.ownerId, options.id)) || start(options);
+  }
+
+  // Un administrateur peut suivre le job d'un autre utilisateur
+  function find(user, id) {
+    const own = jobs.get(jobKey(user.uid, id));
+    if (own || !user.admin) return own;
+    return [...jobs.values()].find((job) => job.id === id);
+  }
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+
+    socket.on("subscribeUpload", (jobId, ack = () => {}) => {
+      const job = find(user, jobId);
+      if (!job) return ack({ error: "Job introuvable" });
+      socket.join(jobRoom(job.ownerId, job.id));
+      ack({ state: job.state });
+    });
+
+    socket.on("unsubscribeUpload", (jobId) => {
+      for (const room of socket.rooms) {
+        if (room.startsWith("job:") && room.endsWith(`:${jobId}`)) socket.leave(room);
+      }
+    });
+  });
+
+  return { start, resume, get: (ownerId, id) => jobs.get(jobKey(ownerId, id)) };
+}
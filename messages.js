@@ -0,0 +1,341 @@
+// Messages des erreurs de l'API, par code et par langue. Le code est stable et documente
+// l'erreur pour les clients ; le message est choisi d'après l'en-tête Accept-Language
+// (français par défaut). Les paramètres de chaque message sont ceux de l'erreur (voir
+// HttpError), renvoyés aussi tels quels dans le corps de la réponse.
+export const LANGUAGES = ["fr", "en"];
+
+const mb = (bytes) => `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+
+// Contrainte d'un paramètre invalide : valeurs permises, bornes, longueur ou format attendus
+function constraint({ allowed, min, max, unit, minLength, format }, lang) {
+  const fr = lang === "fr";
+  if (allowed) return ` (${allowed.join(", ")})`;
+  if (min !== undefined && max !== undefined) {
+    const suffix = unit === "s" ? (fr ? " secondes" : " seconds") : "";
+    return fr ? ` (${min} à ${max}${suffix})` : ` (${min} to ${max}${suffix})`;
+  }
+  if (minLength) return fr ? ` (${minLength} caractères minimum)` : ` (at least ${minLength} characters)`;
+  if (format === "date") return fr ? " (date ISO attendue)" : " (ISO 8601 date expected)";
+  return "";
+}
+
+export const MESSAGES = {
+  // Génériques
+  INTERNAL_ERROR: {
+    fr: () => "Erreur serveur",
+    en: () => "Internal server error",
+  },
+  ROUTE_NOT_FOUND: {
+    fr: ({ method, path }) => `Aucune route pour ${method} ${path}`,
+    en: ({ method, path }) => `No route for ${method} ${path}`,
+  },
+  INVALID_REQUEST: {
+    fr: () => "Requête invalide",
+    en: () => "Invalid request",
+  },
+  INVALID_JSON: {
+    fr: () => "Corps JSON invalide",
+    en: () => "Malformed JSON body",
+  },
+  BODY_TOO_LARGE: {
+    fr: () => "Corps de requête trop volumineux",
+    en: () => "Request body too large",
+  },
+  INVALID_PARAMETER: {
+    fr: (p) => `Paramètre ${p.param} invalide${constraint(p, "fr")}`,
+    en: (p) => `Invalid ${p.param} parameter${constraint(p, "en")}`,
+  },
+  MISSING_PARAMETER: {
+    fr: ({ params, oneOf }) => `${params.length > 1 ? "Paramètres" : "Paramètre"} ${params.join(oneOf ? " ou " : " et ")} requis`,
+    en: ({ params, oneOf }) => `Missing ${params.join(oneOf ? " or " : " and ")} parameter${params.length > 1 && !oneOf ? "s" : ""}`,
+  },
+  RATE_LIMITED: {
+    fr: ({ retryAfter }) => `Trop de requêtes, réessayez dans ${retryAfter} s`,
+    en: ({ retryAfter }) => `Too many requests, retry in ${retryAfter} s`,
+  },
+
+  // Authentification
+  AUTH_REQUIRED: {
+    fr: () => "Authentification requise",
+    en: () => "Authentication required",
+  },
+  ADMIN_REQUIRED: {
+    fr: () => "Accès réservé aux administrateurs",
+    en: () => "Administrator access required",
+  },
+
+  // Fichiers
+  FILE_NOT_FOUND: {
+    fr: () => "Fichier non trouvé",
+    en: () => "File not found",
+  },
+  TRASHED_FILE_NOT_FOUND: {
+    fr: () => "Fichier non trouvé dans la corbeille",
+    en: () => "File not found in trash",
+  },
+  INVALID_FILENAME: {
+    fr: () => "Nom invalide",
+    en: () => "Invalid file name",
+  },
+  OWNER_REQUIRED: {
+    fr: ({ action }) => `Seul le propriétaire peut ${{ share: "modifier le partage", edit: "modifier le fichier", delete: "supprimer le fichier" }[action]}`,
+    en: ({ action }) => `Only the owner can ${{ share: "change sharing", edit: "modify the file", delete: "delete the file" }[action]}`,
+  },
+  FILE_EDIT_FORBIDDEN: {
+    fr: () => "Vous ne pouvez pas modifier ce fichier",
+    en: () => "You cannot modify this file",
+  },
+  EXTENSION_CHANGE: {
+    fr: () => "L'extension du fichier ne peut pas être modifiée",
+    en: () => "The file extension cannot be changed",
+  },
+  VERSION_NOT_FOUND: {
+    fr: () => "Version introuvable",
+    en: () => "Version not found",
+  },
+  VERSION_ALREADY_CURRENT: {
+    fr: () => "Cette version est déjà la version courante",
+    en: () => "This version is already the current version",
+  },
+  REPLACE_TARGET_NOT_FOUND: {
+    fr: () => "Fichier à remplacer introuvable",
+    en: () => "File to replace not found",
+  },
+  VERSION_FORBIDDEN: {
+    fr: () => "Vous ne pouvez pas ajouter de version à ce fichier",
+    en: () => "You cannot add a version to this file",
+  },
+  VERSION_EXTENSION_MISMATCH: {
+    fr: ({ extension }) => `La nouvelle version doit garder l'extension ${extension || "du fichier"}`,
+    en: ({ extension }) => `The new version must keep the ${extension || "file"} extension`,
+  },
+  PREVIEW_UNAVAILABLE: {
+    fr: () => "Aperçu indisponible pour ce fichier",
+    en: () => "No preview available for this file",
+  },
+  DATA_UNAVAILABLE: {
+    fr: ({ status }) => status === "none" ? "Les données de ce fichier n'ont pas été lues (champ ingest à l'envoi)" : "Données indisponibles pour ce fichier",
+    en: ({ status }) => status === "none" ? "This file's data was not ingested (ingest field on upload)" : "No data available for this file",
+  },
+  INVALID_FILTER: {
+    fr: ({ filter, type }) => `Filtre invalide : ${filter}${type ? ` (valeur de type ${type} attendue)` : " (colonne:opérateur:valeur)"}`,
+    en: ({ filter, type }) => `Invalid filter: ${filter}${type ? ` (${type} value expected)` : " (column:operator:value)"}`,
+  },
+  CONVERSION_UNSUPPORTED: {
+    fr: () => "Seuls les tableurs (csv, xls, xlsx) peuvent être convertis",
+    en: () => "Only spreadsheets (csv, xls, xlsx) can be converted",
+  },
+
+  // Upload
+  NO_FILE: {
+    fr: () => "Aucun fichier sélectionné.",
+    en: () => "No file selected.",
+  },
+  FILE_TYPE_NOT_ALLOWED: {
+    fr: ({ extension }) => `Type de fichier non autorisé: ${extension}`,
+    en: ({ extension }) => `File type not allowed: ${extension}`,
+  },
+  FILE_TOO_LARGE: {
+    fr: ({ maxMb, extension }) => `Fichier trop lourd (max ${maxMb} MB${extension ? ` pour ${extension}` : ""}).`,
+    en: ({ maxMb, extension }) => `File too large (max ${maxMb} MB${extension ? ` for ${extension}` : ""}).`,
+  },
+  CONTENT_MISMATCH: {
+    fr: ({ extension }) => `Le contenu du fichier ne correspond pas à l'extension ${extension}`,
+    en: ({ extension }) => `The file content does not match the ${extension} extension`,
+  },
+  TOO_MANY_FILES: {
+    fr: ({ max }) => `Trop de fichiers (${max} au maximum)`,
+    en: ({ max }) => `Too many files (${max} at most)`,
+  },
+  UNEXPECTED_FIELD: {
+    fr: ({ field }) => `Champ de fichier inattendu : ${field}`,
+    en: ({ field }) => `Unexpected file field: ${field}`,
+  },
+  INVALID_UPLOAD: {
+    fr: () => "Envoi mal formé",
+    en: () => "Malformed upload",
+  },
+  INVALID_CHANNEL: {
+    fr: () => "Nom de canal invalide",
+    en: () => "Invalid channel name",
+  },
+  CHECKSUM_MISMATCH: {
+    fr: () => "Somme de contrôle SHA-256 incorrecte : le fichier a été altéré pendant l'envoi",
+    en: () => "SHA-256 checksum mismatch: the file was altered during upload",
+  },
+  DUPLICATE_FILE: {
+    fr: ({ originalName }) => `Fichier identique déjà présent : "${originalName}"`,
+    en: ({ originalName }) => `An identical file already exists: "${originalName}"`,
+  },
+  VIRUS_DETECTED: {
+    fr: ({ signature }) => `Fichier refusé : menace détectée (${signature})`,
+    en: ({ signature }) => `File rejected: threat detected (${signature})`,
+  },
+  SCANNER_UNAVAILABLE: {
+    fr: () => "Analyse antivirus indisponible, réessayez plus tard.",
+    en: () => "Virus scanning unavailable, try again later.",
+  },
+  STORAGE_FILE_TOO_LARGE: {
+    fr: () => "Fichier trop lourd (max ~25 MB).",
+    en: () => "File too large (max ~25 MB).",
+  },
+  STORAGE_AUTH_FAILED: {
+    fr: () => "Clés ImageKit invalides.",
+    en: () => "Invalid ImageKit keys.",
+  },
+  QUOTA_EXCEEDED: {
+    fr: ({ quota: q }) => `${q.scope === "global" ? "Espace de stockage du serveur épuisé" : "Quota de stockage dépassé"} (${
+      q.exceeded === "files" ? `${q.files} fichiers sur ${q.limits.files}` : `${mb(q.bytes)} utilisés sur ${mb(q.limits.bytes)}`})`,
+    en: ({ quota: q }) => `${q.scope === "global" ? "Server storage is full" : "Storage quota exceeded"} (${
+      q.exceeded === "files" ? `${q.files} of ${q.limits.files} files` : `${mb(q.bytes)} of ${mb(q.limits.bytes)} used`})`,
+  },
+
+  // Upload par morceaux
+  UPLOAD_SESSION_NOT_FOUND: {
+    fr: () => "Session d'upload introuvable",
+    en: () => "Upload session not found",
+  },
+  UPLOAD_SESSION_EXPIRED: {
+    fr: () => "Session d'upload expirée",
+    en: () => "Upload session expired",
+  },
+  UPLOAD_OFFSET_MISMATCH: {
+    fr: () => "Offset incorrect",
+    en: () => "Offset mismatch",
+  },
+  UPLOAD_CHUNK_IN_PROGRESS: {
+    fr: () => "Un morceau est déjà en cours d'envoi",
+    en: () => "A chunk is already being uploaded",
+  },
+  UPLOAD_SIZE_EXCEEDED: {
+    fr: () => "Taille annoncée dépassée",
+    en: () => "Declared size exceeded",
+  },
+  UPLOAD_CHUNK_INTERRUPTED: {
+    fr: () => "Morceau interrompu",
+    en: () => "Chunk interrupted",
+  },
+  UPLOAD_INCOMPLETE: {
+    fr: () => "Upload incomplet",
+    en: () => "Upload incomplete",
+  },
+
+  // Dossiers
+  FOLDER_NOT_FOUND: {
+    fr: () => "Dossier introuvable",
+    en: () => "Folder not found",
+  },
+  FOLDER_EDIT_FORBIDDEN: {
+    fr: () => "Vous ne pouvez pas modifier ce dossier",
+    en: () => "You cannot modify this folder",
+  },
+  INVALID_FOLDER_NAME: {
+    fr: () => "Nom de dossier invalide",
+    en: () => "Invalid folder name",
+  },
+  FOLDER_EXISTS: {
+    fr: ({ name }) => `Un dossier "${name}" existe déjà à cet endroit`,
+    en: ({ name }) => `A folder named "${name}" already exists here`,
+  },
+  FOLDER_MOVE_INTO_SELF: {
+    fr: () => "Un dossier ne peut pas être déplacé dans lui-même",
+    en: () => "A folder cannot be moved into itself",
+  },
+  FOLDER_NOT_EMPTY: {
+    fr: () => "Le dossier n'est pas vide",
+    en: () => "The folder is not empty",
+  },
+
+  // Liens de partage
+  SHARE_FORBIDDEN: {
+    fr: () => "Vous ne pouvez pas partager ce fichier",
+    en: () => "You cannot share this file",
+  },
+  SHARE_NOT_FOUND: {
+    fr: () => "Lien de partage introuvable",
+    en: () => "Share link not found",
+  },
+  SHARE_INVALID_EXPIRY: {
+    fr: () => "Date d'expiration invalide",
+    en: () => "Invalid expiry date",
+  },
+  SHARE_EXPIRY_TOO_LONG: {
+    fr: ({ maxDays }) => `Un lien ne peut pas durer plus de ${maxDays} jours`,
+    en: ({ maxDays }) => `A link cannot last more than ${maxDays} days`,
+  },
+  SHARE_PASSWORD_TOO_SHORT: {
+    fr: ({ minLength }) => `Le mot de passe doit faire au moins ${minLength} caractères`,
+    en: ({ minLength }) => `The password must be at least ${minLength} characters long`,
+  },
+  SHARE_REVOKED: {
+    fr: () => "Ce lien de partage a été révoqué",
+    en: () => "This share link has been revoked",
+  },
+  SHARE_EXPIRED: {
+    fr: () => "Ce lien de partage a expiré",
+    en: () => "This share link has expired",
+  },
+  SHARE_EXHAUSTED: {
+    fr: () => "Nombre maximal de téléchargements atteint",
+    en: () => "Maximum number of downloads reached",
+  },
+  SHARE_FILE_GONE: {
+    fr: () => "Le fichier n'est plus disponible",
+    en: () => "The file is no longer available",
+  },
+  SHARE_PASSWORD_REQUIRED: {
+    fr: () => "Mot de passe requis",
+    en: () => "Password required",
+  },
+  SHARE_PASSWORD_INVALID: {
+    fr: () => "Mot de passe incorrect",
+    en: () => "Incorrect password",
+  },
+
+  // Notifications
+  INVALID_TOPIC: {
+    fr: () => "Sujet invalide (all, monitor, channel:<nom> ou folder:<id>)",
+    en: () => "Invalid topic (all, monitor, channel:<name> or folder:<id>)",
+  },
+  DEVICE_NOT_FOUND: {
+    fr: () => "Appareil inconnu",
+    en: () => "Unknown device",
+  },
+
+  // Moniteur
+  MONITOR_TARGET_NOT_FOUND: {
+    fr: () => "Cible inconnue",
+    en: () => "Unknown target",
+  },
+
+  // Webhooks
+  WEBHOOK_NOT_FOUND: {
+    fr: () => "Webhook inconnu",
+    en: () => "Unknown webhook",
+  },
+  WEBHOOK_DELIVERY_NOT_FOUND: {
+    fr: () => "Livraison inconnue",
+    en: () => "Unknown delivery",
+  },
+
+  // Règles de conservation
+  RETENTION_POLICY_NOT_FOUND: {
+    fr: () => "Règle de conservation inconnue",
+    en: () => "Unknown retention policy",
+  },
+  RETENTION_RUNNING: {
+    fr: () => "Les règles de conservation sont déjà en cours d'application",
+    en: () => "Retention policies are already being applied",
+  },
+};
+
+export function translate(code, params = {}, lang = LANGUAGES[0]) {
+  const messages = MESSAGES[code];
+  if (!messages) return code;
+  return (messages[lang] || messages[LANGUAGES[0]])(params);
+}
+
+// Langue préférée du client parmi celles disponibles
+export function languageOf(req) {
+  return req.acceptsLanguages(...LANGUAGES) || LANGUAGES[0];
+}
@@ -0,0 +1,92 @@
+import { getFirestore } from "firebase-admin/firestore";
+
+function toDoc(snap) {
+  return snap.exists ? { id: snap.id, ...snap.data() } : null;
+}
+
+async function runQuery(base, { where = [], orderBy, direction = "asc", limit, after } = {}, cursorRef) {
+  let query = base;
+  for (const [field, op, value] of where) query = query.where(field, op, value);
+  if (orderBy) query = query.orderBy(orderBy, direction);
+  if (after && cursorRef) {
+    const cursor = await cursorRef(after).get();
+    if (cursor.exists) query = query.startAfter(cursor);
+  }
+  if (limit) query = query.limit(limit);
+
+  const snap = await query.get();
+  return snap.docs.map(toDoc);
+}
+
+function createCollection(db, name) {
+  const ref = db.collection(name);
+
+  function find(options) {
+    return runQuery(ref, options, (id) => ref.doc(id));
+  }
+
+  return {
+    async add(data) {
+      const doc = await ref.add(data);
+      return { id: doc.id, ...data };
+    },
+
+    async get(id) {
+      return toDoc(await ref.doc(id).get());
+    },
+
+    async set(id, data) {
+      await ref.doc(id).set(data);
+      return { id, ...data };
+    },
+
+    async update(id, patch) {
+      const doc = ref.doc(id);
+      try {
+        await doc.update(patch);
+      } catch (err) {
+        if (err.code === 5) return null; // NOT_FOUND
+        throw err;
+      }
+      return toDoc(await doc.get());
+    },
+
+    // `fn` peut être rappelée si le document change pendant la transaction
+    async transact(id, fn) {
+      const doc = ref.doc(id);
+      return db.runTransaction(async (tx) => {
+        const current = toDoc(await tx.get(doc));
+        if (!current) return null;
+        const patch = fn(current);
+        if (!patch) return current;
+        tx.update(doc, patch);
+        return { ...current, ...patch };
+      });
+    },
+
+    async delete(id) {
+      await ref.doc(id).delete();
+    },
+
+    find,
+
+    async findOne(where) {
+      const [doc] = await find({ where, limit: 1 });
+      return doc || null;
+    },
+  };
+}
+
+export default async function createFirestoreStore() {
+  await import("../firebase.js");
+  const db = getFirestore();
+  db.settings({ ignoreUndefinedProperties: true });
+
+  return {
+    name: "firestore",
+    collection: (name) => createCollection(db, name),
+    // Sans curseur : les ids de documents ne sont pas uniques entre sous-collections
+    group: (name) => ({ find: (options) => runQuery(db.collectionGroup(name), options) }),
+    check: () => db.listCollections(),
+  };
+}
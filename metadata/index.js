@@ -0,0 +1,42 @@
+// Abstraction des métadonnées (enregistrements d'upload, etc.).
+//
+// Chaque driver expose `name`, `collection(nom)`, `group(nom)` et `check()` (lève une erreur si
+// le magasin est inaccessible, voir GET /health). Une collection offre :
+//   add(data)             -> document créé ({ id, ...data })
+//   get(id)               -> document ou null
+//   set(id, data)         -> remplace (ou crée) le document
+//   update(id, patch)     -> fusionne les champs, renvoie le document ou null s'il n'existe pas
+//   transact(id, fn)      -> lit le document et fusionne le patch renvoyé par fn(document) de façon
+//                            atomique (fn synchrone, sans effet de bord : elle peut être rappelée ;
+//                            null pour ne rien modifier) ; renvoie le document ou null
+//   delete(id)
+//   find({ where, orderBy, direction, limit, after }) -> documents
+//   findOne(where)        -> premier document correspondant ou null
+//
+// `where` est une liste de conditions [champ, opérateur, valeur] avec les opérateurs
+// "==", "!=", "<", "<=", ">", ">=", "in", "array-contains" et "array-contains-any". `after` est l'id du
+// dernier document de la page précédente. Les noms de collection peuvent désigner une
+// sous-collection ("uploads/<id>/versions") ; `group("versions")` n'offre que find() et
+// porte sur toutes les sous-collections de ce nom (collection group Firestore).
+
+import createUploadRepository from "./uploads.js";
+import { runMigrations } from "./migrations.js";
+
+const drivers = {
+  firestore: () => import("./firestore.js"),
+  json: () => import("./json.js"),
+};
+
+export async function createMetadataStore(options) {
+  const load = drivers[options.driver];
+  if (!load) throw new Error(`Driver de métadonnées inconnu : ${options.driver}`);
+
+  const { default: create } = await load();
+  const store = await create(options[options.driver] || {});
+  await runMigrations(store);
+
+  return {
+    ...store,
+    uploads: createUploadRepository(store.collection("uploads"), store),
+  };
+}
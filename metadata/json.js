@@ -0,0 +1,163 @@
+// Driver de métadonnées embarqué : toutes les collections dans un seul fichier JSON.
+// Pensé pour le développement local, les tests d'intégration et les petits déploiements.
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+const operators = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "in": (a, b) => b.includes(a),
+  "array-contains": (a, b) => Array.isArray(a) && a.includes(b),
+  "array-contains-any": (a, b) => Array.isArray(a) && b.some((v) => a.includes(v)),
+};
+
+function matches(doc, where) {
+  return where.every(([field, op, value]) => {
+    const test = operators[op];
+    if (!test) throw new Error(`Opérateur non supporté : ${op}`);
+    return test(doc[field], value);
+  });
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+function load(file) {
+  if (!fs.existsSync(file)) return {};
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  // Ancien format metadata.json : un simple tableau d'uploads
+  if (Array.isArray(data)) {
+    return { uploads: Object.fromEntries(data.map((r) => [crypto.randomUUID(), r])) };
+  }
+  return data;
+}
+
+export default function createJsonStore({ file }) {
+  const collections = load(file);
+  let writing = Promise.resolve();
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+
+  // Les écritures sont sérialisées et atomiques (fichier temporaire + rename)
+  function persist() {
+    writing = writing.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsPromises.writeFile(tmp, JSON.stringify(collections, null, 2), "utf8");
+      await fsPromises.rename(tmp, file);
+    });
+    return writing;
+  }
+
+  function query(entries, { where = [], orderBy, direction = "asc", limit, after } = {}) {
+    let result = entries.filter((doc) => matches(doc, where));
+
+    if (orderBy) {
+      const sign = direction === "desc" ? -1 : 1;
+      result.sort((a, b) => sign * compare(a[orderBy], b[orderBy]) || compare(a.id, b.id));
+    }
+    if (after) {
+      const index = result.findIndex((doc) => doc.id === after);
+      if (index !== -1) result = result.slice(index + 1);
+    }
+    if (limit) result = result.slice(0, limit);
+    return result;
+  }
+
+  function merge(data, patch) {
+    for (const [key, value] of Object.entries(structuredClone(patch))) {
+      if (value === undefined) continue;
+      data[key] = value;
+    }
+  }
+
+  function createCollection(name) {
+    const docs = () => (collections[name] ||= {});
+    const clone = (id, data) => ({ id, ...structuredClone(data) });
+
+    async function find(options) {
+      return query(Object.entries(docs()).map(([id, data]) => clone(id, data)), options);
+    }
+
+    return {
+      async add(data) {
+        const id = crypto.randomUUID();
+        docs()[id] = structuredClone(data);
+        await persist();
+        return clone(id, data);
+      },
+
+      async get(id) {
+        const data = docs()[id];
+        return data ? clone(id, data) : null;
+      },
+
+      async set(id, data) {
+        docs()[id] = structuredClone(data);
+        await persist();
+        return clone(id, data);
+      },
+
+      async update(id, patch) {
+        const data = docs()[id];
+        if (!data) return null;
+        merge(data, patch);
+        await persist();
+        return clone(id, data);
+      },
+
+      // Lecture, calcul et modification dans le même tick : rien ne s'intercale
+      async transact(id, fn) {
+        const data = docs()[id];
+        if (!data) return null;
+        const patch = fn(clone(id, data));
+        if (!patch) return clone(id, data);
+        merge(data, patch);
+        await persist();
+        return clone(id, data);
+      },
+
+      async delete(id) {
+        delete docs()[id];
+        // Comme avec Firestore, une sous-collection vide n'existe plus
+        if (name.includes("/") && !Object.keys(docs()).length) delete collections[name];
+        await persist();
+      },
+
+      find,
+
+      async findOne(where) {
+        const [doc] = await find({ where, limit: 1 });
+        return doc || null;
+      },
+    };
+  }
+
+  return {
+    name: "json",
+    collection: createCollection,
+    group: (name) => ({
+      async find(options) {
+        const entries = Object.entries(collections)
+          .filter(([key]) => key === name || key.endsWith(`/${name}`))
+          .flatMap(([, docs]) => Object.entries(docs).map(([id, data]) => ({ id, ...structuredClone(data) })));
+        return query(entries, options);
+      },
+    }),
+    // La dernière écriture du fichier a réussi et le dossier est toujours accessible en écriture
+    async check() {
+      await writing;
+      await fsPromises.access(path.dirname(file), fs.constants.W_OK);
+    },
+  };
+}
@@ -0,0 +1,58 @@
+// Migrations des métadonnées, appliquées une seule fois au démarrage et tracées
+// dans la collection "migrations".
+import { EVERYONE } from "../auth.js";
+import { GLOBAL_USAGE, storedBytes } from "../quotas.js";
+
+const migrations = [
+  {
+    // Les enregistrements antérieurs au contrôle d'accès et à la corbeille étaient visibles
+    // de tous ; les requêtes filtrent désormais sur `access` et `deletedAt`, qui doivent exister.
+    id: "uploads-access-and-trash",
+    async up(store) {
+      const uploads = store.collection("uploads");
+      for (const record of await uploads.find()) {
+        const patch = {};
+        if (!record.access) Object.assign(patch, { access: [EVERYONE], sharedWith: [] });
+        if (record.deletedAt === undefined) patch.deletedAt = null;
+        if (Object.keys(patch).length) await uploads.update(record.id, patch);
+      }
+    },
+  },
+  {
+    // Les fichiers existants sont à la racine ; `folderId` doit exister pour la lister
+    id: "uploads-folders",
+    async up(store) {
+      const uploads = store.collection("uploads");
+      for (const record of await uploads.find()) {
+        if (record.folderId === undefined) await uploads.update(record.id, { folderId: null });
+      }
+    },
+  },
+  {
+    // Compteurs des quotas pour les fichiers déjà présents, corbeille comprise
+    id: "usage-counters",
+    async up(store) {
+      const totals = new Map();
+      for (const record of await store.collection("uploads").find()) {
+        const bytes = storedBytes(record, await store.collection(`uploads/${record.id}/versions`).find());
+        for (const uid of [record.ownerId, GLOBAL_USAGE].filter(Boolean)) {
+          const total = totals.get(uid) || { bytes: 0, files: 0 };
+          totals.set(uid, { bytes: total.bytes + bytes, files: total.files + 1 });
+        }
+      }
+      const usage = store.collection("usage");
+      const updatedAt = new Date().toISOString();
+      for (const [uid, total] of totals) await usage.set(uid, { ...total, updatedAt });
+    },
+  },
+];
+
+export async function runMigrations(store) {
+  const applied = store.collection("migrations");
+  for (const migration of migrations) {
+    if (await applied.get(migration.id)) continue;
+    await migration.up(store);
+    await applied.set(migration.id, { appliedAt: new Date().toISOString() });
+    console.log(`Migration appliquée : ${migration.id}`);
+  }
+}
@@ -0,0 +1,34 @@
+// Pagination par curseur au-dessus de find(). `where` et le tri sont passés au driver ;
+// `filter` (recherche par nom, plages…) est appliqué en mémoire, lot par lot, ce qui évite
+// un index composite par combinaison de filtres. Le curseur est l'id du dernier document
+// examiné : la page suivante reprend le parcours juste après. `maxScan` borne le nombre de
+// documents lus par requête, quitte à renvoyer une page incomplète.
+const SCAN_BATCH = 100;
+
+export async function scanPage(collection, { where = [], orderBy, direction = "desc", limit = 50, after, filter, maxScan = 1000 } = {}) {
+  const items = [];
+  let cursor = after;
+  let scanned = 0;
+  let exhausted = false;
+
+  while (items.length < limit && scanned < maxScan) {
+    const size = Math.min(SCAN_BATCH, maxScan - scanned);
+    const batch = await collection.find({ where, orderBy, direction, limit: size, after: cursor });
+
+    let consumed = 0;
+    for (const doc of batch) {
+      cursor = doc.id;
+      consumed++;
+      if (!filter || filter(doc)) items.push(doc);
+      if (items.length === limit) break;
+    }
+    scanned += consumed;
+
+    if (batch.length < size && consumed === batch.length) {
+      exhausted = true;
+      break;
+    }
+  }
+
+  return { items, nextCursor: exhausted ? null : cursor || null };
+}
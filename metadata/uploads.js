@@ -0,0 +1,64 @@
+// Dépôt des enregistrements d'upload, au-dessus d'une collection de métadonnées.
+// Un fichier supprimé passe d'abord par la corbeille (`deletedAt` renseigné) : les
+// recherches courantes l'ignorent, seules les fonctions "trash" le voient.
+// L'historique des versions d'un fichier est rangé dans la sous-collection
+// "uploads/<id>/versions", un document par version (id = numéro de version).
+import { scanPage } from "./paging.js";
+
+const ACTIVE = ["deletedAt", "==", null];
+
+export default function createUploadRepository(collection, store) {
+  function versions(uploadId) {
+    const versionCollection = store.collection(`uploads/${uploadId}/versions`);
+    return {
+      list: () => versionCollection.find({ orderBy: "version", direction: "desc" }),
+      get: (version) => versionCollection.get(String(version)),
+      add: (entry) => versionCollection.set(String(entry.version), { ...entry, uploadId }),
+      async removeAll() {
+        for (const entry of await versionCollection.find()) await versionCollection.delete(entry.id);
+      },
+    };
+  }
+
+  return {
+    create: (record) => collection.add({ ...record, deletedAt: null }),
+    get: (id) => collection.get(id),
+    update: (id, patch) => collection.update(id, patch),
+    remove: (id) => collection.delete(id),
+
+    findByStoredAs: (storedAs) => collection.findOne([["storedAs", "==", storedAs], ACTIVE]),
+
+    findBySha256: (sha256, where = []) => collection.findOne([["sha256", "==", sha256], ...where, ACTIVE]),
+
+    // Enregistrements (corbeille comprise) partageant un même objet de stockage
+    findByStorageObject: (fileId) => collection.find({ where: [["fileId", "==", fileId]] }),
+
+    // Enregistrements (corbeille comprise) de même contenu : ils partagent aperçus et données
+    findByContent: (sha256) => collection.find({ where: [["sha256", "==", sha256]] }),
+
+    versions,
+
+    // Versions (de tous les fichiers) stockées dans un même objet. Avec Firestore, cette
+    // requête de groupe demande un index "versions.fileId" de portée collection group.
+    findVersionsByStorageObject: (fileId) => store.group("versions").find({ where: [["fileId", "==", fileId]] }),
+
+    // Versions (de tous les fichiers) de même contenu ; index "versions.sha256", même portée
+    findVersionsByContent: (sha256) => store.group("versions").find({ where: [["sha256", "==", sha256]] }),
+
+    list: ({ where = [], limit, after } = {}) =>
+      collection.find({ where: [...where, ACTIVE], orderBy: "receivedAt", direction: "desc", limit, after }),
+
+    // Page de résultats avec curseur (voir paging.js)
+    page: ({ where = [], orderBy = "receivedAt", ...options } = {}) =>
+      scanPage(collection, { where: [...where, ACTIVE], orderBy, ...options }),
+
+    listTrash: ({ where = [] } = {}) =>
+      collection.find({ where: [...where, ["deletedAt", "!=", null]], orderBy: "deletedAt", direction: "desc" }),
+
+    // Tous les enregistrements, corbeille comprise (statistiques)
+    listAll: () => collection.find(),
+
+    listExpiredTrash: (cutoff) =>
+      collection.find({ where: [["deletedAt", "<", cutoff]] }),
+  };
+}
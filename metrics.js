@@ -0,0 +1,93 @@
+// Métriques au format texte de Prometheus (GET /metrics). Les requêtes HTTP sont comptées
+// par le middleware `track` (route Express, sans les paramètres, pour borner le nombre de
+// séries) ; les autres valeurs sont relevées à chaque lecture auprès des modules.
+
+const PREFIX = "fichiers_";
+const BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function labelsOf(labels) {
+  const entries = Object.entries(labels);
+  return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}` : "";
+}
+
+// Une métrique : en-têtes HELP et TYPE, puis une ligne par échantillon [labels, valeur, suffixe]
+// (suffixes _bucket, _sum et _count d'un histogramme)
+function metric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const [labels, value, suffix = ""] of samples) lines.push(`${name}${suffix}${labelsOf(labels)} ${value}`);
+  return lines.join("\n");
+}
+
+export function createMetrics({ stats, notifications, webhooks }) {
+  const requests = new Map();
+  const durations = new Map();
+
+  function track(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on("finish", () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+      const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+
+      const key = JSON.stringify([req.method, route, res.statusCode]);
+      requests.set(key, (requests.get(key) || 0) + 1);
+
+      const durationKey = JSON.stringify([req.method, route]);
+      let histogram = durations.get(durationKey);
+      if (!histogram) durations.set(durationKey, (histogram = { buckets: BUCKETS.map(() => 0), count: 0, sum: 0 }));
+      BUCKETS.forEach((bound, i) => {
+        if (seconds <= bound) histogram.buckets[i]++;
+      });
+      histogram.count++;
+      histogram.sum += seconds;
+    });
+    next();
+  }
+
+  function durationSamples() {
+    const samples = [];
+    for (const [key, histogram] of durations) {
+      const [method, route] = JSON.parse(key);
+      BUCKETS.forEach((bound, i) => samples.push([{ method, route, le: bound }, histogram.buckets[i], "_bucket"]));
+      samples.push([{ method, route, le: "+Inf" }, histogram.count, "_bucket"]);
+      samples.push([{ method, route }, histogram.sum, "_sum"], [{ method, route }, histogram.count, "_count"]);
+    }
+    return samples;
+  }
+
+  async function render() {
+    const storage = await stats.storage();
+    const notified = notifications.counters();
+    const delivered = webhooks.counters();
+    const memory = process.memoryUsage();
+    const name = (suffix) => PREFIX + suffix;
+
+    const blocks = [
+      metric(name("http_requests_total"), "counter", "Requêtes HTTP traitées", [...requests].map(([key, value]) => {
+        const [method, route, status] = JSON.parse(key);
+        return [{ method, route, status }, value];
+      })),
+      metric(name("http_request_duration_seconds"), "histogram", "Durée des requêtes HTTP", durationSamples()),
+      metric(name("files"), "gauge", "Fichiers enregistrés", [[{ state: "active" }, storage.files], [{ state: "trash" }, storage.trash.files]]),
+      metric(name("stored_bytes"), "gauge", "Octets des fichiers (version courante)", [[{ state: "active" }, storage.bytes], [{ state: "trash" }, storage.trash.bytes]]),
+      metric(name("socket_connections"), "gauge", "Clients socket.io connectés", [[{}, stats.sockets()]]),
+      metric(name("notifications_total"), "counter", "Notifications push par résultat", [
+        [{ driver: notified.driver, result: "success" }, notified.successes],
+        [{ driver: notified.driver, result: "failure" }, notified.failures],
+      ]),
+      metric(name("notification_errors_total"), "counter", "Envois de notifications en erreur", [[{ driver: notified.driver }, notified.errors]]),
+      metric(name("webhook_attempts_total"), "counter", "Tentatives de livraison des webhooks", [
+        [{ result: "delivered" }, delivered.delivered],
+        [{ result: "failed" }, delivered.failed],
+      ]),
+      metric(name("webhook_dead_total"), "counter", "Livraisons de webhooks abandonnées", [[{}, delivered.dead]]),
+      metric("process_resident_memory_bytes", "gauge", "Mémoire résidente", [[{}, memory.rss]]),
+      metric("nodejs_heap_used_bytes", "gauge", "Tas JavaScript utilisé", [[{}, memory.heapUsed]]),
+      metric("process_uptime_seconds", "gauge", "Durée depuis le démarrage", [[{}, Math.round(process.uptime())]]),
+    ];
+    return `${blocks.join("\n")}\n`;
+  }
+
+  return { track, render };
+}
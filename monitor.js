@@ -0,0 +1,248 @@
+// Supervision de serveurs distants (maintien en éveil d'instances, disponibilité).
+// Chaque cible est interrogée à son propre rythme ; chaque vérification est enregistrée
+// (collection "monitorChecks") et diffusée aux sockets ("monitorCheck"). Un changement
+// d'état peut déclencher une alerte push aux administrateurs abonnés au sujet "monitor".
+// Les cibles de la configuration sont ajoutées à la collection "monitorTargets" au
+// démarrage si elles n'y sont pas encore ; l'API permet ensuite de les gérer.
+import axios from "axios";
+import { performance } from "perf_hooks";
+import { HttpError } from "./errors.js";
+import { MONITOR_TOPIC } from "./notifications.js";
+
+// Vérifications gardées en mémoire par cible (graphique de latence)
+const RECENT = 100;
+
+const DEFAULTS = { method: "GET", interval: 300, jitter: 0, timeout: 10, expectedStatus: null, alert: true, enabled: true };
+
+// Valide une cible (durées en secondes) ; `current` sert de base pour une modification
+export function normalizeTarget(input, current = DEFAULTS) {
+  const target = { ...current, ...Object.fromEntries(Object.entries(input).filter(([, v]) => v !== undefined)) };
+
+  let url;
+  try {
+    url = new URL(target.url);
+  } catch {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "url" });
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new HttpError(400, "INVALID_PARAMETER", { param: "url", allowed: ["http", "https"] });
+
+  const seconds = (name, min, max) => {
+    const value = Number(target[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new HttpError(400, "INVALID_PARAMETER", { param: name, min, max, unit: "s" });
+    }
+    return value;
+  };
+
+  const expected = target.expectedStatus === null ? null : [].concat(target.expectedStatus).map(Number);
+  if (expected?.some((code) => !Number.isInteger(code) || code < 100 || code > 599)) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "expectedStatus" });
+  }
+  if (!["GET", "HEAD"].includes(String(target.method).toUpperCase())) throw new HttpError(400, "INVALID_PARAMETER", { param: "method", allowed: ["GET", "HEAD"] });
+
+  return {
+    name: String(target.name || url.host),
+    url: url.href,
+    method: String(target.method).toUpperCase(),
+    interval: seconds("interval", 10, 24 * 3600),
+    jitter: seconds("jitter", 0, 24 * 3600),
+    timeout: seconds("timeout", 1, 120),
+    expectedStatus: expected,
+    alert: Boolean(target.alert),
+    enabled: Boolean(target.enabled),
+  };
+}
+
+// Sans statut attendu, toute réponse 2xx ou 3xx compte comme disponible
+function isExpected(target, status) {
+  return target.expectedStatus ? target.expectedStatus.includes(status) : status >= 200 && status < 400;
+}
+
+export function createMonitor({ config, metadata, io, notifications }) {
+  const targets = metadata.collection("monitorTargets");
+  const checks = metadata.collection("monitorChecks");
+  const states = new Map();
+  let running = false;
+
+  function view(state) {
+    const { target, status, since, lastCheck, recent } = state;
+    return { ...target, status, since, lastCheck, recent };
+  }
+
+  function status() {
+    return { running, targets: [...states.values()].map(view) };
+  }
+
+  const broadcast = () => io.emit("monitorStatus", status());
+
+  async function load(target) {
+    const history = await checks.find({ where: [["targetId", "==", target.id]], orderBy: "at", direction: "desc", limit: RECENT });
+    const last = history[0];
+    states.set(target.id, {
+      target,
+      status: last ? (last.up ? "up" : "down") : "unknown",
+      since: null,
+      lastCheck: last || null,
+      recent: history.reverse().map(({ at, up, latency }) => ({ at, up, latency })),
+      timer: null,
+    });
+  }
+
+  async function init() {
+    for (const input of config.monitor.targets) {
+      const url = new URL(input.url);
+      const id = input.id || `${url.host}${url.pathname}`.replace(/[^\w.-]+/g, "_").replace(/_$/, "");
+      if (!(await targets.get(id))) await targets.set(id, { ...normalizeTarget(input), source: "config" });
+    }
+    for (const target of await targets.find({ orderBy: "name" })) await load(target);
+  }
+
+  function schedule(state, delay) {
+    clearTimeout(state.timer);
+    state.timer = null;
+    if (!running || !state.target.enabled) return;
+    state.timer = setTimeout(() => run(state), delay);
+    state.timer.unref();
+  }
+
+  // Une erreur imprévue (alerte, diffusion…) est journalisée : elle ne doit ni devenir un
+  // rejet non géré ni arrêter la surveillance de la cible
+  async function run(state) {
+    try {
+      await check(state);
+    } catch (err) {
+      console.error(`Monitor check error (${state.target.name})`, err);
+    }
+    // La cible a pu être supprimée ou modifiée pendant la vérification
+    if (states.get(state.target.id) !== state) return;
+    schedule(state, (state.target.interval + Math.random() * state.target.jitter) * 1000);
+  }
+
+  async function alert(target, up, check) {
+    if (!target.alert) return;
+    await notifications.notifyAdmins({
+      type: "monitorAlert",
+      topic: MONITOR_TOPIC,
+      title: up ? `🟢 ${target.name} est de nouveau joignable` : `🔴 ${target.name} ne répond plus`,
+      body: up ? `${target.url} répond (${check.status}, ${check.latency} ms)` : `${target.url} : ${check.error || `statut ${check.status}`}`,
+      data: { targetId: target.id, status: up ? "up" : "down" },
+    });
+  }
+
+  async function check(state) {
+    const { target } = state;
+    const started = performance.now();
+    let httpStatus = null;
+    let error = null;
+    try {
+      // Seuls les en-têtes comptent : le corps de la réponse n'est pas lu
+      const res = await axios.request({
+        url: target.url,
+        method: target.method,
+        timeout: target.timeout * 1000,
+        responseType: "stream",
+        validateStatus: () => true,
+      });
+      res.data.destroy();
+      httpStatus = res.status;
+    } catch (err) {
+      error = err.code === "ECONNABORTED" ? `Délai dépassé (${target.timeout} s)` : err.message;
+    }
+
+    const up = httpStatus !== null && isExpected(target, httpStatus);
+    const result = {
+      targetId: target.id,
+      at: new Date().toISOString(),
+      up,
+      status: httpStatus,
+      latency: Math.round(performance.now() - started),
+      error: error || (up ? null : `Statut inattendu : ${httpStatus}`),
+    };
+
+    // La cible a pu être supprimée ou modifiée pendant la requête
+    if (states.get(target.id) !== state) return;
+    try {
+      await checks.add(result);
+    } catch (err) {
+      console.error("Monitor history error", err.message);
+    }
+
+    const previous = state.status;
+    const current = up ? "up" : "down";
+    state.lastCheck = result;
+    state.recent = [...state.recent, { at: result.at, up, latency: result.latency }].slice(-RECENT);
+    if (current !== previous) {
+      state.status = current;
+      state.since = result.at;
+      if (previous !== "unknown" || !up) await alert(target, up, result);
+    }
+
+    const msg = up
+      ? `✅ Ping envoyé à ${target.url} - Status: ${httpStatus} (${result.latency} ms)`
+      : `❌ Erreur de ping vers ${target.url}: ${result.error}`;
+    (up ? console.log : console.error)(`[${result.at}] ${msg}`);
+    io.emit("monitorCheck", { ...result, name: target.name, state: state.status, since: state.since });
+  }
+
+  function start() {
+    running = true;
+    for (const state of states.values()) schedule(state, 0);
+    broadcast();
+  }
+
+  function stop() {
+    running = false;
+    for (const state of states.values()) schedule(state, 0);
+    broadcast();
+  }
+
+  function get(id) {
+    const state = states.get(id);
+    if (!state) throw new HttpError(404, "MONITOR_TARGET_NOT_FOUND");
+    return state;
+  }
+
+  async function add(input) {
+    const target = await targets.add({ ...normalizeTarget(input), source: "api" });
+    await load(target);
+    schedule(states.get(target.id), 0);
+    broadcast();
+    return view(states.get(target.id));
+  }
+
+  async function update(id, input) {
+    const { timer, ...state } = get(id);
+    const { id: _, source, ...current } = state.target;
+    const target = await targets.update(id, normalizeTarget(input, current));
+    clearTimeout(timer);
+    const next = { ...state, target, timer: null };
+    states.set(id, next);
+    schedule(next, 0);
+    broadcast();
+    return view(next);
+  }
+
+  async function remove(id) {
+    const state = get(id);
+    clearTimeout(state.timer);
+    states.delete(id);
+    await targets.delete(id);
+    broadcast();
+  }
+
+  const history = (id, { limit = 500, from } = {}) => {
+    get(id);
+    const where = [["targetId", "==", id]];
+    if (from) where.push(["at", ">=", from]);
+    return checks.find({ where, orderBy: "at", direction: "desc", limit });
+  };
+
+  async function purgeHistory() {
+    const cutoff = new Date(Date.now() - config.monitor.historyDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const entry of await checks.find({ where: [["at", "<", cutoff]] })) await checks.delete(entry.id);
+  }
+
+  setInterval(() => purgeHistory().catch((err) => console.error("Monitor purge error", err)), config.monitor.purgeInterval).unref();
+
+  return { init, start, stop, status, add, update, remove, history, isRunning: () => running };
+}
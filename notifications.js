@@ -0,0 +1,262 @@
+// Notifications push ciblées.
+//
+// Les appareils (tokens FCM) sont enregistrés par utilisateur. Chaque utilisateur est
+// abonné à des sujets gérés par le serveur : "all" (par défaut), "channel:<nom>" et
+// "folder:<id>".
+// Un événement sur un fichier est envoyé :
+//   - aux utilisateurs qui ont accès au fichier (propriétaire, partage), sauf son auteur ;
+//   - aux abonnés des sujets du fichier ("all" s'il est public, son canal, son dossier),
+//     s'ils y ont accès.
+// Les préférences de chaque utilisateur s'appliquent ensuite : types d'événements coupés,
+// ou résumé quotidien au lieu d'une notification par événement.
+// Un auteur qui déclenche trop de notifications d'affilée (config.rateLimits.notifications)
+// voit les suivantes rejoindre le résumé quotidien des destinataires.
+// Les données jointes (`data`) portent l'id du fichier pour l'ouvrir depuis l'application.
+// Les alertes de supervision ("monitor") vont aux administrateurs abonnés à ce sujet,
+// sans passer par le résumé quotidien. Les avertissements des règles de conservation
+// ("retentionWarning") ne vont qu'au propriétaire du fichier.
+import crypto from "crypto";
+import { EVERYONE } from "./auth.js";
+import { HttpError } from "./errors.js";
+import { createRateLimiter } from "./ratelimit.js";
+
+export const NOTIFICATION_TYPES = ["fileUploaded", "fileVersion", "monitorAlert", "retentionWarning"];
+export const DEFAULT_TOPIC = "all";
+export const MONITOR_TOPIC = "monitor";
+
+const CHANNEL_PATTERN = /^[\w.-]{1,64}$/;
+const DIGEST_PERIOD = 24 * 60 * 60 * 1000;
+// Taille des requêtes "in" sur les uid
+const IN_BATCH = 10;
+
+export const isValidChannel = (channel) => CHANNEL_PATTERN.test(channel);
+
+export function isValidTopic(topic) {
+  const [kind, name] = topic.split(/:(.*)/);
+  if (kind === DEFAULT_TOPIC || kind === MONITOR_TOPIC) return name === undefined;
+  return ["channel", "folder"].includes(kind) && isValidChannel(name || "");
+}
+
+function topicsFor(record) {
+  const topics = [];
+  if ((record.access || []).includes(EVERYONE)) topics.push(DEFAULT_TOPIC);
+  if (record.channel) topics.push(`channel:${record.channel}`);
+  if (record.folderId) topics.push(`folder:${record.folderId}`);
+  return topics;
+}
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+const deviceId = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+export function createNotifications({ config, notifier, metadata }) {
+  const devices = metadata.collection("devices");
+  const preferencesCollection = metadata.collection("notificationPrefs");
+  const digests = metadata.collection("notificationDigests");
+  const limiter = config.rateLimits.notifications && createRateLimiter(config.rateLimits.notifications);
+  // Envois depuis le démarrage (tableau de bord d'administration, /metrics)
+  const counters = { sends: 0, successes: 0, failures: 0, invalidTokens: 0, errors: 0 };
+
+  async function preferences(uid) {
+    const prefs = await preferencesCollection.get(uid);
+    return {
+      muted: prefs?.muted || [],
+      digest: prefs?.digest || "off",
+      topics: prefs?.topics || [DEFAULT_TOPIC],
+      lastDigestAt: prefs?.lastDigestAt || null,
+    };
+  }
+
+  async function savePreferences(uid, patch) {
+    const { lastDigestAt, ...current } = await preferences(uid);
+    const prefs = { ...current, ...patch };
+
+    if (!Array.isArray(prefs.muted) || prefs.muted.some((type) => !NOTIFICATION_TYPES.includes(type))) {
+      throw new HttpError(400, "INVALID_PARAMETER", { param: "muted", allowed: NOTIFICATION_TYPES });
+    }
+    if (!["off", "daily"].includes(prefs.digest)) throw new HttpError(400, "INVALID_PARAMETER", { param: "digest", allowed: ["off", "daily"] });
+    if (!Array.isArray(prefs.topics) || prefs.topics.some((topic) => !isValidTopic(String(topic)))) {
+      throw new HttpError(400, "INVALID_TOPIC");
+    }
+    prefs.topics = [...new Set(prefs.topics)];
+
+    await preferencesCollection.set(uid, { ...prefs, lastDigestAt });
+    return prefs;
+  }
+
+  async function subscribe(uid, topic) {
+    const { topics } = await preferences(uid);
+    return savePreferences(uid, { topics: [...topics, topic] });
+  }
+
+  async function unsubscribe(uid, topic) {
+    const { topics } = await preferences(uid);
+    return savePreferences(uid, { topics: topics.filter((t) => t !== topic) });
+  }
+
+  // Un token déjà connu est rattaché à l'utilisateur qui l'enregistre (changement de compte)
+  async function registerDevice(user, token, platform = null) {
+    if (!(await preferencesCollection.get(user.uid))) await savePreferences(user.uid, {});
+    const device = await devices.set(deviceId(token), {
+      token,
+      uid: user.uid,
+      admin: user.admin,
+      platform,
+      registeredAt: new Date().toISOString(),
+    });
+    return { id: device.id, platform, registeredAt: device.registeredAt };
+  }
+
+  async function unregisterDevice(user, token) {
+    const device = await devices.get(deviceId(token));
+    if (!device || device.uid !== user.uid) return false;
+    await devices.delete(device.id);
+    return true;
+  }
+
+  async function devicesOf(uids) {
+    const result = [];
+    for (let i = 0; i < uids.length; i += IN_BATCH) {
+      result.push(...await devices.find({ where: [["uid", "in", uids.slice(i, i + IN_BATCH)]] }));
+    }
+    return result;
+  }
+
+  async function deliver(tokens, message) {
+    if (!tokens.length) return;
+    counters.sends++;
+    let result;
+    try {
+      result = await notifier.send(tokens, message);
+    } catch (err) {
+      counters.errors++;
+      throw err;
+    }
+    counters.successes += result.successCount;
+    counters.failures += result.failureCount;
+    counters.invalidTokens += result.invalidTokens.length;
+    for (const token of result.invalidTokens) await devices.delete(deviceId(token));
+    if (result.failureCount) console.error(`❌ Notifications : ${result.failureCount} échec(s) sur ${tokens.length}`);
+    return result;
+  }
+
+  async function notifyFile({ type, record, actor, title, body }) {
+    try {
+      const access = record.access || [];
+      const open = access.includes(EVERYONE);
+      const topics = topicsFor(record);
+
+      const uids = new Set(access.filter((uid) => uid !== EVERYONE));
+      if (topics.length) {
+        const subscribers = await preferencesCollection.find({ where: [["topics", "array-contains-any", topics]] });
+        subscribers.forEach((prefs) => uids.add(prefs.id));
+      }
+      uids.delete(actor?.uid);
+      const throttled = Boolean(actor && limiter && !limiter.take(actor.uid).allowed);
+      if (throttled) console.log(`🔕 Trop de notifications de ${actor.uid} : envoi dans le résumé quotidien`);
+
+      const data = {
+        type,
+        fileId: record.id,
+        storedAs: record.storedAs,
+        originalName: record.originalName,
+        version: String(record.version || 1),
+      };
+
+      const tokens = [];
+      const byUser = groupBy(await devicesOf([...uids]), (device) => device.uid);
+      for (const [uid, userDevices] of byUser) {
+        const allowed = userDevices.filter((device) => open || device.admin || access.includes(uid));
+        if (!allowed.length) continue;
+
+        const prefs = await preferences(uid);
+        if (prefs.muted.includes(type)) continue;
+        if (prefs.digest === "daily" || throttled) {
+          await digests.add({ uid, type, title, body, data, createdAt: new Date().toISOString() });
+          continue;
+        }
+        tokens.push(...allowed.map((device) => device.token));
+      }
+
+      await deliver(tokens, { title, body, data });
+    } catch (err) {
+      console.error("❌ Erreur de notification :", err.message);
+    }
+  }
+
+  async function notifyAdmins({ type, topic, title, body, data = {} }) {
+    try {
+      const subscribers = await preferencesCollection.find({ where: [["topics", "array-contains", topic]] });
+      const tokens = [];
+      const byUser = groupBy(await devicesOf(subscribers.map((prefs) => prefs.id)), (device) => device.uid);
+      for (const [uid, userDevices] of byUser) {
+        const allowed = userDevices.filter((device) => device.admin);
+        if (!allowed.length || (await preferences(uid)).muted.includes(type)) continue;
+        tokens.push(...allowed.map((device) => device.token));
+      }
+      await deliver(tokens, { title, body, data: { type, ...data } });
+    } catch (err) {
+      console.error("❌ Erreur de notification :", err.message);
+    }
+  }
+
+  async function notifyUser(uid, { type, title, body, data = {} }) {
+    try {
+      if ((await preferences(uid)).muted.includes(type)) return;
+      const tokens = (await devicesOf([uid])).map((device) => device.token);
+      await deliver(tokens, { title, body, data: { type, ...data } });
+    } catch (err) {
+      console.error("❌ Erreur de notification :", err.message);
+    }
+  }
+
+  // Résumés quotidiens : au plus un par utilisateur et par période de 24 h
+  async function sendDigests() {
+    const pending = groupBy(await digests.find({ orderBy: "createdAt" }), (entry) => entry.uid);
+    const now = Date.now();
+
+    for (const [uid, entries] of pending) {
+      // Premier résumé : 24 h après le premier événement mis de côté
+      const { lastDigestAt } = await preferences(uid);
+      if (now - new Date(lastDigestAt || entries[0].createdAt) < DIGEST_PERIOD) continue;
+
+      const names = entries.map((entry) => `"${entry.data.originalName}"`);
+      const tokens = (await devicesOf([uid])).map((device) => device.token);
+      await deliver(tokens, {
+        title: "Résumé du jour",
+        body: `${entries.length} notification(s) : ${names.slice(0, 5).join(", ")}${names.length > 5 ? "…" : ""}`,
+        data: { type: "digest", count: String(entries.length), fileIds: entries.map((entry) => entry.data.fileId).join(",") },
+      });
+      await preferencesCollection.update(uid, { lastDigestAt: new Date(now).toISOString() });
+      for (const entry of entries) await digests.delete(entry.id);
+    }
+  }
+
+  function start() {
+    const run = () => sendDigests().catch((err) => console.error("Digest error", err));
+    setInterval(run, config.notifications.digestInterval).unref();
+  }
+
+  return {
+    preferences,
+    savePreferences,
+    subscribe,
+    unsubscribe,
+    registerDevice,
+    unregisterDevice,
+    notifyFile,
+    notifyAdmins,
+    notifyUser,
+    sendDigests,
+    start,
+    counters: () => ({ driver: notifier.name, ...counters }),
+  };
+}
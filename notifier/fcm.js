@@ -0,0 +1,36 @@
+import admin from "../firebase.js";
+
+// Limite de FCM pour un envoi multicast
+const BATCH = 500;
+
+const INVALID_TOKEN_CODES = [
+  "messaging/invalid-registration-token",
+  "messaging/registration-token-not-registered",
+];
+
+export default function createFcmNotifier() {
+  const messaging = admin.messaging();
+
+  return {
+    name: "fcm",
+
+    async send(tokens, { title, body, data = {} }) {
+      const result = { successCount: 0, failureCount: 0, invalidTokens: [] };
+      for (let i = 0; i < tokens.length; i += BATCH) {
+        const batch = tokens.slice(i, i + BATCH);
+        const response = await messaging.sendEachForMulticast({ tokens: batch, notification: { title, body }, data });
+        result.successCount += response.successCount;
+        result.failureCount += response.failureCount;
+        response.responses.forEach((r, index) => {
+          if (!r.success && INVALID_TOKEN_CODES.includes(r.error?.code)) result.invalidTokens.push(batch[index]);
+        });
+      }
+      return result;
+    },
+
+    // Les identifiants du compte de service permettent d'obtenir un jeton d'accès
+    async check() {
+      await admin.app().options.credential.getAccessToken();
+    },
+  };
+}
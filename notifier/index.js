@@ -0,0 +1,24 @@
+// Envoi des notifications push.
+//
+// Chaque driver expose la même interface :
+//   name                            nom du driver
+//   send(tokens, { title, body, data }) -> { successCount, failureCount, invalidTokens }
+//   check()                             lève une erreur si le service est inutilisable (GET /health)
+//
+// `data` ne contient que des chaînes (contrainte FCM). `invalidTokens` liste les tokens
+// d'appareils que le service a rejetés définitivement : ils sont à oublier.
+// Le driver "memory" garde les messages en mémoire (`sent`) au lieu de les envoyer : il
+// sert sans Firebase et remplace FCM dans les tests.
+
+const drivers = {
+  fcm: () => import("./fcm.js"),
+  memory: () => import("./memory.js"),
+};
+
+export async function createNotifier(options) {
+  const load = drivers[options.driver];
+  if (!load) throw new Error(`Driver de notifications inconnu : ${options.driver}`);
+
+  const { default: create } = await load();
+  return create(options[options.driver] || {});
+}
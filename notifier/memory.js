@@ -0,0 +1,16 @@
+export default function createMemoryNotifier({ log = true } = {}) {
+  const sent = [];
+
+  return {
+    name: "memory",
+    sent,
+
+    async send(tokens, message) {
+      sent.push({ tokens, ...message, sentAt: new Date().toISOString() });
+      if (log) console.log(`🔔 Notification (${tokens.length} appareil(s)) : ${message.title} — ${message.body}`);
+      return { successCount: tokens.length, failureCount: 0, invalidTokens: [] };
+    },
+
+    async check() {},
+  };
+}
@@ -0,0 +1,161 @@
+// Traitement commun à tous les uploads (simple, multiple ou par morceaux) une fois le
+// fichier complet sur le disque : vérification du contenu et analyse antivirus, envoi au
+// stockage, enregistrement, notifications.
+// Un fichier identique (même SHA-256) déjà visible par l'utilisateur est réutilisé ou refusé
+// selon UPLOAD_DEDUP ; un contenu déjà stocké pour un autre utilisateur n'est pas renvoyé
+// au stockage, les deux enregistrements partagent alors le même objet.
+// Avec `replaces` (id d'un fichier existant), le fichier reçu devient une nouvelle version
+// de ce fichier plutôt qu'un nouvel enregistrement (voir versions.js).
+// L'aperçu du document et son texte (recherche plein texte) sont produits avant la
+// suppression du fichier temporaire (voir previews.js et search.js), ainsi que les données
+// d'un tableur si l'envoyeur le demande (`ingest`) ou si la version précédente en avait
+// (voir datasets.js).
+// Le fichier est refusé (413) s'il dépasse le quota de son propriétaire ou le quota global.
+// Chaque étape est signalée sur le job de l'upload (voir jobs.js).
+import fsPromises from "fs/promises";
+import { accessList, visibilityFilter } from "./auth.js";
+import { emitFileEvent } from "./realtime.js";
+import { validateFile } from "./filetypes.js";
+import { sha256File } from "./hashing.js";
+import { HttpError } from "./errors.js";
+import { loadReplaceTarget, versionEntry } from "./versions.js";
+import { isValidChannel } from "./notifications.js";
+import { inheritSharing } from "./folders.js";
+import { isSharedObject } from "./trash.js";
+
+export function createUploadPipeline({ config, storage, metadata, io, scanner, previews, datasets, search, quotas, notify, versioning, folders, audit }) {
+  return async function storeUpload(upload) {
+    // Objet envoyé au stockage par cet upload : supprimé si l'enregistrement échoue ensuite
+    const stored = { ref: null };
+    try {
+      return await store(upload, stored);
+    } catch (err) {
+      if (stored.ref) await discard(stored.ref);
+      upload.job.fail(err, { originalName: upload.originalName });
+      throw err;
+    }
+  };
+
+  // Sauf si un fichier enregistré entre-temps (ou celui de cet upload) y fait référence
+  async function discard(ref) {
+    try {
+      if (!(await isSharedObject(metadata, ref, null))) await storage.delete(ref);
+    } catch (err) {
+      console.error(`❌ Objet ${ref.fileId} non supprimé après l'échec de l'upload :`, err.message);
+    }
+  }
+
+  async function store({
+    source, originalName, storedAs, size, sha256, expectedSha256, user, sharedWith = [], channel = null, folderId = null, replaces, ingest = false, job,
+  }, stored) {
+    let result;
+    let preview;
+    let dataset = null;
+    let text;
+    let target = null;
+    let folder = null;
+    try {
+      job.update("validating", { originalName });
+      if (channel && !isValidChannel(channel)) throw new HttpError(400, "INVALID_CHANNEL");
+      if (replaces) target = await loadReplaceTarget(metadata, replaces, user, originalName);
+      else if (folderId) folder = await folders.getEditable(folderId, user);
+      sha256 ||= await sha256File(source);
+      if (expectedSha256 && expectedSha256.toLowerCase() !== sha256) {
+        throw new HttpError(422, "CHECKSUM_MISMATCH", { sha256 });
+      }
+      const { mime } = await validateFile({ source, originalName, size }, config.upload.limits);
+      await scanner.check({ source, originalName, storedAs, user });
+
+      if (target?.sha256 === sha256) {
+        job.update("duplicate", { originalName, recordId: target.id });
+        await audit.record("newVersion", { user, file: target, duplicate: true });
+        return { ...target, duplicate: true };
+      }
+      if (!target && config.upload.dedup !== "off") {
+        const copy = await metadata.uploads.findBySha256(sha256, visibilityFilter(user));
+        if (copy && config.upload.dedup === "reject") {
+          throw new HttpError(409, "DUPLICATE_FILE", { originalName: copy.originalName, existingId: copy.id });
+        }
+        if (copy) {
+          job.update("duplicate", { originalName, recordId: copy.id });
+          await audit.record("upload", { user, file: copy, duplicate: true });
+          return { ...copy, duplicate: true };
+        }
+      }
+
+      await quotas.check(target ? target.ownerId : user.uid, { bytes: size, files: target ? 0 : 1 });
+
+      job.update("relaying", { originalName });
+      const twin = await metadata.uploads.findBySha256(sha256, [["storage", "==", storage.name]]);
+      if (twin) {
+        result = { fileId: twin.fileId, filePath: twin.filePath };
+      } else {
+        result = await storage.put({ source, name: storedAs, size, contentType: mime });
+        stored.ref = { storage: storage.name, ...result };
+      }
+
+      preview = twin?.preview;
+      if (!preview) {
+        job.update("previewing", { originalName });
+        preview = await previews.generate(source, { originalName, sha256 });
+      }
+      if (ingest || target?.dataset) {
+        dataset = twin?.dataset?.status === "ready" ? twin.dataset : null;
+        if (!dataset) {
+          job.update("ingesting", { originalName });
+          dataset = await datasets.ingest(source, { originalName, sha256 });
+        }
+      }
+      job.update("indexing", { originalName });
+      text = await search.extract(source, originalName);
+    } finally {
+      await fsPromises.rm(source, { force: true });
+    }
+
+    if (target) {
+      const object = { size, sha256, storedAs, storage: storage.name, fileId: result.fileId, filePath: result.filePath, preview, dataset };
+      const record = await versioning.addVersion(target, object, user);
+      await quotas.add(record.ownerId, { bytes: size, files: 0 });
+      search.add(record, text);
+      job.update("persisted", { originalName, recordId: record.id, version: record.version });
+      await audit.record("newVersion", { user, file: record, version: record.version, size, sha256 });
+      await versioning.announce(record, user);
+      job.update("notified", { originalName, recordId: record.id, version: record.version });
+      return { ...record, newVersion: true };
+    }
+
+    const receivedAt = new Date().toISOString();
+    const ownerId = user.uid;
+    sharedWith = inheritSharing(folder, ownerId, sharedWith);
+
+    const record = await metadata.uploads.create({
+      originalName,
+      storedAs,
+      ownerId,
+      sharedWith,
+      access: accessList(ownerId, sharedWith),
+      channel,
+      folderId: folder?.id || null,
+      size,
+      sha256,
+      storage: storage.name,
+      fileId: result.fileId,
+      filePath: result.filePath, // ✅ chemin correct vers le fichier
+      preview,
+      dataset,
+      receivedAt,
+      version: 1,
+    });
+    await metadata.uploads.versions(record.id).add(versionEntry(record, { version: 1, uploaderId: ownerId, uploadedAt: receivedAt }));
+    await quotas.add(ownerId, { bytes: size, files: 1 });
+    search.add(record, text);
+    job.update("persisted", { originalName, recordId: record.id });
+    await audit.record("upload", { user, file: record, size, sha256 });
+
+    await notify({ type: "fileUploaded", record, actor: user, title: "Nouveau fichier reçu", body: `"${originalName}"` });
+    emitFileEvent(io, record, "fileUploaded", { id: record.id, originalName, storedAs, ownerId, receivedAt, folderId: record.folderId, version: 1, preview });
+    job.update("notified", { originalName, recordId: record.id });
+
+    return record;
+  }
+}
@@ -0,0 +1,188 @@
+// Aperçus des documents, générés à l'upload et stockés à côté de l'original (dossier
+// "previews" du stockage) :
+//   pdf           première page en PNG
+//   csv, xls(x)   tableau HTML des premières lignes de chaque feuille
+//   docx          texte brut
+// Chaque document a aussi une miniature PNG pour la liste des fichiers. Les objets sont
+// nommés d'après l'empreinte du contenu : des fichiers identiques partagent leurs aperçus.
+// L'enregistrement (et chaque entrée de version) garde la description de son aperçu :
+//   { status: "ready", type, content, thumbnail, generatedAt }
+//   { status: "unsupported" } ou { status: "failed", error }
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import { createCanvas } from "@napi-rs/canvas";
+import XLSX from "xlsx";
+import mammoth from "mammoth";
+import { kindOf, openPdf, readWorkbook } from "./documents.js";
+import { withLocalCopy } from "./storage/index.js";
+
+const THUMBNAIL = { width: 240, height: 320 };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+function whiteCanvas(width, height) {
+  const canvas = createCanvas(width, height);
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, width, height);
+  return { canvas, ctx };
+}
+
+function clip(ctx, text, width) {
+  let value = String(text ?? "");
+  while (value && ctx.measureText(value).width > width) value = value.slice(0, -1);
+  return value;
+}
+
+// Miniature d'un tableau : grille des premières lignes, en-tête grisé
+function tableThumbnail(rows) {
+  const { canvas, ctx } = whiteCanvas(THUMBNAIL.width, THUMBNAIL.height);
+  const columns = Math.min(4, Math.max(1, ...rows.map((row) => row.length)));
+  const cellWidth = THUMBNAIL.width / columns;
+  const cellHeight = 20;
+  ctx.font = "11px sans-serif";
+  ctx.textBaseline = "middle";
+  rows.slice(0, THUMBNAIL.height / cellHeight).forEach((row, i) => {
+    if (i === 0) {
+      ctx.fillStyle = "#e5e7eb";
+      ctx.fillRect(0, 0, THUMBNAIL.width, cellHeight);
+    }
+    ctx.fillStyle = "#111";
+    for (let j = 0; j < columns; j++) ctx.fillText(clip(ctx, row[j], cellWidth - 6), j * cellWidth + 3, i * cellHeight + cellHeight / 2);
+  });
+  ctx.strokeStyle = "#d1d5db";
+  for (let y = cellHeight; y < THUMBNAIL.height; y += cellHeight) ctx.strokeRect(0, y, THUMBNAIL.width, 0);
+  for (let j = 1; j < columns; j++) ctx.strokeRect(j * cellWidth, 0, 0, THUMBNAIL.height);
+  return canvas;
+}
+
+// Miniature d'un texte : les premières lignes, coupées à la largeur de la page
+function textThumbnail(text) {
+  const { canvas, ctx } = whiteCanvas(THUMBNAIL.width, THUMBNAIL.height);
+  ctx.font = "10px sans-serif";
+  ctx.fillStyle = "#111";
+  const lines = [];
+  for (const paragraph of text.split("\n").filter((line) => line.trim())) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/)) {
+      if (line && ctx.measureText(`${line} ${word}`).width > THUMBNAIL.width - 24) {
+        lines.push(line);
+        line = word;
+      } else line = line ? `${line} ${word}` : word;
+    }
+    lines.push(line, "");
+    if (lines.length > 30) break;
+  }
+  lines.slice(0, 25).forEach((line, i) => ctx.fillText(clip(ctx, line, THUMBNAIL.width - 24), 12, 20 + i * 12));
+  return canvas;
+}
+
+export function createPreviews({ config, storage }) {
+  const options = config.previews;
+
+  async function renderPdf(source) {
+    const doc = await openPdf(source);
+    try {
+      const page = await doc.getPage(1);
+      const { width } = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: options.pageWidth / width });
+      const { canvas, ctx } = whiteCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvasContext: ctx, viewport }).promise;
+
+      const thumbnail = whiteCanvas(THUMBNAIL.width, Math.ceil(THUMBNAIL.width * canvas.height / canvas.width));
+      thumbnail.ctx.drawImage(canvas, 0, 0, thumbnail.canvas.width, thumbnail.canvas.height);
+      return { type: "image/png", content: await canvas.encode("png"), thumbnail: thumbnail.canvas };
+    } finally {
+      await doc.destroy();
+    }
+  }
+
+  async function renderSpreadsheet(source, kind) {
+    const workbook = await readWorkbook(source, kind, { sheetRows: options.maxRows });
+
+    const sheets = workbook.SheetNames.map((name) => {
+      const table = XLSX.utils.sheet_to_html(workbook.Sheets[name], { header: "", footer: "" });
+      return `<h2>${escapeHtml(name)}</h2>\n${table}`;
+    });
+    const html = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><style>
+body { font-family: sans-serif; font-size: 13px; margin: 1rem; }
+table { border-collapse: collapse; margin-bottom: 1.5rem; }
+td { border: 1px solid #ddd; padding: 2px 6px; white-space: nowrap; }
+tr:first-child td { background: #f3f4f6; font-weight: bold; }
+h2 { font-size: 14px; }
+</style></head><body>
+${sheets.join("\n")}
+</body></html>`;
+
+    const first = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = first ? XLSX.utils.sheet_to_json(first, { header: 1, defval: "" }) : [];
+    return { type: "text/html", content: Buffer.from(html), thumbnail: tableThumbnail(rows) };
+  }
+
+  async function renderDocx(source) {
+    const { value } = await mammoth.extractRawText({ path: source });
+    const text = value.slice(0, options.maxTextLength);
+    return { type: "text/plain", content: Buffer.from(text), thumbnail: textThumbnail(text) };
+  }
+
+  const renderers = {
+    pdf: renderPdf,
+    text: renderSpreadsheet,
+    xls: renderSpreadsheet,
+    xlsx: renderSpreadsheet,
+    docx: renderDocx,
+  };
+
+  const extensions = { "image/png": ".png", "text/html": ".html", "text/plain": ".txt" };
+
+  async function put(dir, name, data, contentType) {
+    const file = path.join(dir, name);
+    await fsPromises.writeFile(file, data);
+    return storage.put({ source: file, name, folder: "previews", size: data.length, contentType });
+  }
+
+  // Ne lève jamais d'erreur : un aperçu manquant ne doit pas faire échouer l'upload
+  async function generate(source, { originalName, sha256 }) {
+    if (!options.enabled) return null;
+    const kind = kindOf(originalName);
+    const render = renderers[kind];
+    if (!render) return { status: "unsupported" };
+
+    const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "preview-"));
+    try {
+      const { type, content, thumbnail } = await render(source, kind);
+      return {
+        status: "ready",
+        type,
+        content: await put(dir, `${sha256}${extensions[type]}`, content, type),
+        thumbnail: await put(dir, `${sha256}-thumb.png`, await thumbnail.encode("png"), "image/png"),
+        generatedAt: new Date().toISOString(),
+      };
+    } catch (err) {
+      console.error(`❌ Aperçu impossible pour "${originalName}" :`, err.message);
+      return { status: "failed", error: err.message };
+    } finally {
+      await fsPromises.rm(dir, { recursive: true, force: true });
+    }
+  }
+
+  // Fichier (ou version) sans aperçu, envoyé avant leur mise en place ou pendant leur
+  // désactivation : l'original est rapatrié pour le générer, puis `save` enregistre le résultat
+  async function ensure(source, originalName, save) {
+    if (source.preview || !options.enabled) return source.preview || null;
+
+    const preview = await withLocalCopy(storage, source, (file) =>
+      generate(file, { originalName, sha256: source.sha256 || path.parse(source.storedAs).name }));
+    await save(preview);
+    return preview;
+  }
+
+  async function remove(preview) {
+    if (preview?.status !== "ready") return;
+    for (const ref of [preview.content, preview.thumbnail]) await storage.delete(ref).catch(() => {});
+  }
+
+  return { generate, ensure, remove };
+}
@@ -0,0 +1,65 @@
+// Quotas de stockage par utilisateur et pour l'ensemble du serveur (octets, nombre de
+// fichiers). Les compteurs (collection "usage", un document par uid et un document
+// "_global") sont tenus à jour à l'upload, à chaque nouvelle version et à la purge d'un
+// fichier : un fichier dans la corbeille compte jusqu'à sa purge, ses anciennes versions
+// aussi. Les octets d'un fichier sont comptés à son propriétaire, quel que soit l'auteur
+// d'une nouvelle version.
+import { HttpError } from "./errors.js";
+
+export const GLOBAL_USAGE = "_global";
+
+// Octets occupés par un fichier : ses versions, hors retours arrière (qui réutilisent un
+// objet existant) ; un fichier antérieur au versionnement n'a que sa taille
+export function storedBytes(record, versions = []) {
+  if (!versions.length) return record.size || 0;
+  return versions.filter((entry) => !entry.rollbackOf).reduce((sum, entry) => sum + (entry.size || 0), 0);
+}
+
+export function createQuotas({ config, metadata }) {
+  const usage = metadata.collection("usage");
+
+  async function get(id) {
+    const doc = await usage.get(id);
+    return { bytes: doc?.bytes || 0, files: doc?.files || 0 };
+  }
+
+  function view(used, limits) {
+    return {
+      ...used,
+      limits,
+      remaining: {
+        bytes: limits.bytes === null ? null : Math.max(0, limits.bytes - used.bytes),
+        files: limits.files === null ? null : Math.max(0, limits.files - used.files),
+      },
+    };
+  }
+
+  // Refuse (413) un ajout de `bytes` octets et `files` fichiers au compte de `uid`
+  async function check(uid, { bytes, files }) {
+    const scopes = [
+      ["user", await get(uid), config.quotas.user],
+      ["global", await get(GLOBAL_USAGE), config.quotas.global],
+    ];
+    for (const [scope, used, limits] of scopes) {
+      const exceeded = (limits.bytes !== null && used.bytes + bytes > limits.bytes && "bytes")
+        || (limits.files !== null && used.files + files > limits.files && "files");
+      if (exceeded) throw new HttpError(413, "QUOTA_EXCEEDED", { quota: { scope, exceeded, ...view(used, limits) } });
+    }
+  }
+
+  async function add(uid, { bytes, files }) {
+    const at = new Date().toISOString();
+    for (const id of [uid, GLOBAL_USAGE].filter(Boolean)) {
+      const used = await get(id);
+      await usage.set(id, { bytes: Math.max(0, used.bytes + bytes), files: Math.max(0, used.files + files), updatedAt: at });
+    }
+  }
+
+  async function report(uid, { global = false } = {}) {
+    const result = { uid, ...view(await get(uid), config.quotas.user) };
+    if (global) result.global = view(await get(GLOBAL_USAGE), config.quotas.global);
+    return result;
+  }
+
+  return { check, add, report };
+}
@@ -0,0 +1,55 @@
+// Limitation de débit par seau à jetons : chaque clé (utilisateur ou adresse IP) dispose de
+// `capacity` jetons, regagnés au rythme de `perMinute` par minute ; chaque requête en
+// consomme un. Les seaux sont en mémoire, propres à chaque instance du serveur.
+import { HttpError } from "./errors.js";
+
+const CLEANUP_INTERVAL = 10 * 60 * 1000;
+
+export function createRateLimiter({ capacity, perMinute }) {
+  const buckets = new Map();
+  const refill = perMinute / 60000; // jetons par milliseconde
+
+  function level(key, now) {
+    const bucket = buckets.get(key) || { tokens: capacity, at: now };
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.at) * refill);
+    bucket.at = now;
+    return bucket;
+  }
+
+  // `retryAfter` : secondes avant qu'un jeton soit de nouveau disponible
+  function take(key, cost = 1) {
+    const now = Date.now();
+    const bucket = level(key, now);
+    buckets.set(key, bucket);
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens) };
+    }
+    return { allowed: false, remaining: 0, retryAfter: Math.ceil((cost - bucket.tokens) / refill / 1000) };
+  }
+
+  // Un seau plein équivaut à un seau absent
+  setInterval(() => {
+    const now = Date.now();
+    for (const [key, bucket] of buckets) {
+      if (level(key, now).tokens >= capacity) buckets.delete(key);
+    }
+  }, CLEANUP_INTERVAL).unref();
+
+  return { take, capacity };
+}
+
+// Middleware : clé = utilisateur authentifié, sinon adresse IP. Sans configuration
+// (limite désactivée), laisse tout passer.
+export function rateLimit(options, { key = (req) => req.user?.uid || req.ip } = {}) {
+  if (!options) return (req, res, next) => next();
+  const limiter = createRateLimiter(options);
+
+  return function limit(req, res, next) {
+    const { allowed, remaining, retryAfter } = limiter.take(key(req));
+    res.set({ "RateLimit-Limit": String(limiter.capacity), "RateLimit-Remaining": String(remaining) });
+    if (allowed) return next();
+    res.set("Retry-After", String(retryAfter));
+    next(new HttpError(429, "RATE_LIMITED", { retryAfter }));
+  };
+}
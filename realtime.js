@@ -0,0 +1,26 @@
+// Diffusion des événements socket.io en fonction des droits d'accès aux fichiers.
+import { EVERYONE } from "./auth.js";
+
+export const userRoom = (uid) => `user:${uid}`;
+export const ADMIN_ROOM = "admins";
+
+export function setupSockets(io, auth) {
+  io.use(auth.authenticateSocket);
+
+  io.on("connection", (socket) => {
+    const { user } = socket.data;
+    console.log("Socket connecté :", socket.id, user.uid);
+
+    socket.join(userRoom(user.uid));
+    if (user.admin) socket.join(ADMIN_ROOM);
+
+    socket.on("disconnect", () => console.log("Socket déconnecté :", socket.id));
+  });
+}
+
+// N'envoie l'événement qu'aux sockets autorisés à voir le fichier
+export function emitFileEvent(io, record, event, payload) {
+  const access = record.access || [];
+  if (access.includes(EVERYONE)) return io.emit(event, payload);
+  io.to([...access.map(userRoom), ADMIN_ROOM]).emit(event, payload);
+}
@@ -0,0 +1,282 @@
+// Règles de conservation : les administrateurs définissent des règles (collection
+// "retentionPolicies") évaluées toutes les `config.retention.interval` ms sur les fichiers
+// actifs. Une règle vise les fichiers d'un dossier (sous-dossiers compris ; "root" pour
+// ceux rangés à la racine, null pour tous) et/ou de certains types, et fixe une échéance :
+// `olderThanDays` après la réception, `notDownloadedForDays` après le dernier
+// téléchargement (la réception s'il n'y en a pas eu). Avec les deux, la plus tardive compte.
+//
+// Actions à l'échéance :
+//   - "archive" : les objets du fichier (toutes versions) passent au stockage d'archive ;
+//   - "delete" : mise à la corbeille (purgée ensuite comme une suppression manuelle) ;
+//   - "notify" : le propriétaire est prévenu, une fois par échéance.
+// Avec `warnDays`, le propriétaire d'un fichier est aussi prévenu ce nombre de jours avant
+// l'archivage ou la suppression. Plusieurs règles échues sur un même fichier : la plus
+// forte s'applique (suppression, puis archivage, puis notification), une seule par passage.
+//
+// Chaque action est diffusée (événement socket.io "retention") à ceux qui voient le
+// fichier et aux administrateurs, qui reçoivent aussi le bilan de chaque passage
+// ("retentionRun"). report() calcule les mêmes actions sans les appliquer.
+import path from "path";
+import { ARCHIVE, withLocalCopy } from "./storage/index.js";
+import { allowedExt, extensionOf, fileTypes } from "./filetypes.js";
+import { ROOT } from "./folders.js";
+import { emitFileEvent, ADMIN_ROOM } from "./realtime.js";
+import { HttpError } from "./errors.js";
+
+export const RETENTION_ACTIONS = ["archive", "delete", "notify"];
+
+const DAY = 24 * 60 * 60 * 1000;
+// Ordre de priorité des actions échues sur un même fichier
+const STRENGTH = { delete: 3, archive: 2, notify: 1 };
+const VERBS = { archive: "archivé", delete: "supprimé" };
+
+function days(value, param) {
+  if (value === null || value === undefined || value === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new HttpError(400, "INVALID_PARAMETER", { param, min: 1 });
+  return number;
+}
+
+function normalizeTypes(value) {
+  const types = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((type) => String(type).trim().toLowerCase())
+    .filter(Boolean)
+    .map((type) => (type.startsWith(".") ? type : `.${type}`));
+  if (types.some((type) => !allowedExt.includes(type))) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "types", allowed: allowedExt.map((ext) => ext.slice(1)) });
+  }
+  return [...new Set(types)];
+}
+
+const formatDay = (iso) => new Date(iso).toLocaleDateString("fr-FR");
+
+export function createRetention({ config, storage, metadata, io, trash, notifications, audit }) {
+  const policies = metadata.collection("retentionPolicies");
+  const folders = metadata.collection("folders");
+  // Sans stockage d'archive, l'action "archive" n'est pas proposée
+  const actions = storage.archive ? RETENTION_ACTIONS : RETENTION_ACTIONS.filter((action) => action !== "archive");
+  let running = false;
+  let lastRun = null;
+
+  async function normalizePolicy(input, current = { enabled: true, folder: null, types: [], olderThanDays: null, notDownloadedForDays: null, warnDays: null }) {
+    const policy = { ...current, ...Object.fromEntries(Object.entries(input).filter(([, v]) => v !== undefined)) };
+
+    const name = String(policy.name || "").trim();
+    if (!name || name.length > 100) throw new HttpError(400, "INVALID_PARAMETER", { param: "name" });
+    if (!actions.includes(policy.action)) throw new HttpError(400, "INVALID_PARAMETER", { param: "action", allowed: actions });
+
+    const folder = policy.folder === null || policy.folder === "" ? null : String(policy.folder);
+    if (folder && folder !== ROOT && !(await folders.get(folder))) throw new HttpError(400, "INVALID_PARAMETER", { param: "folder" });
+
+    const olderThanDays = days(policy.olderThanDays, "olderThanDays");
+    const notDownloadedForDays = days(policy.notDownloadedForDays, "notDownloadedForDays");
+    if (!olderThanDays && !notDownloadedForDays) {
+      throw new HttpError(400, "MISSING_PARAMETER", { params: ["olderThanDays", "notDownloadedForDays"], oneOf: true });
+    }
+
+    return {
+      name,
+      action: policy.action,
+      folder,
+      types: normalizeTypes(policy.types),
+      olderThanDays,
+      notDownloadedForDays,
+      warnDays: policy.action === "notify" ? null : days(policy.warnDays, "warnDays"),
+      enabled: Boolean(policy.enabled),
+    };
+  }
+
+  async function get(id) {
+    const policy = await policies.get(id);
+    if (!policy) throw new HttpError(404, "RETENTION_POLICY_NOT_FOUND");
+    return policy;
+  }
+
+  const list = () => policies.find({ orderBy: "createdAt" });
+
+  async function create(input, user) {
+    return policies.add({ ...(await normalizePolicy(input)), createdBy: user.uid, createdAt: new Date().toISOString() });
+  }
+
+  async function update(id, input) {
+    const { id: _, createdBy, createdAt, ...current } = await get(id);
+    return policies.update(id, await normalizePolicy(input, current));
+  }
+
+  async function remove(id) {
+    await get(id);
+    await policies.delete(id);
+  }
+
+  function dueAt(policy, record) {
+    const dates = [];
+    if (policy.olderThanDays) dates.push(Date.parse(record.receivedAt) + policy.olderThanDays * DAY);
+    if (policy.notDownloadedForDays) dates.push(Date.parse(record.lastDownloadedAt || record.receivedAt) + policy.notDownloadedForDays * DAY);
+    return new Date(Math.max(...dates)).toISOString();
+  }
+
+  function step(record, { policy, dueAt: due }, action) {
+    return {
+      action,
+      policyId: policy.id,
+      policyName: policy.name,
+      policyAction: policy.action,
+      fileId: record.id,
+      originalName: record.originalName,
+      ownerId: record.ownerId,
+      size: record.size,
+      dueAt: due,
+    };
+  }
+
+  // Actions à appliquer maintenant ; "warn" est l'avertissement avant une échéance
+  async function plan(now = new Date().toISOString()) {
+    const enabled = (await list()).filter((policy) => policy.enabled && actions.includes(policy.action));
+    if (!enabled.length) return [];
+
+    const parents = new Map((await folders.find()).map((folder) => [folder.id, folder.parentId || null]));
+    function inFolder(record, folder) {
+      if (folder === ROOT) return !record.folderId;
+      for (let id = record.folderId, depth = 0; id && depth < 100; id = parents.get(id), depth++) {
+        if (id === folder) return true;
+      }
+      return false;
+    }
+    const matches = (policy, record) =>
+      (!policy.folder || inFolder(record, policy.folder))
+      && (!policy.types.length || policy.types.includes(extensionOf(record.originalName || "")))
+      && !(policy.action === "archive" && record.storage === ARCHIVE);
+
+    const steps = [];
+    for (const record of await metadata.uploads.list()) {
+      const notices = record.retentionNotices || {};
+      const noticed = ({ policy, dueAt: due }) => notices[policy.id] === due;
+      const candidates = enabled.filter((policy) => matches(policy, record)).map((policy) => ({ policy, dueAt: dueAt(policy, record) }));
+
+      const due = candidates
+        .filter((candidate) => candidate.dueAt <= now && !(candidate.policy.action === "notify" && noticed(candidate)))
+        .sort((a, b) => STRENGTH[b.policy.action] - STRENGTH[a.policy.action] || a.dueAt.localeCompare(b.dueAt));
+      if (due.length) {
+        steps.push(step(record, due[0], due[0].policy.action));
+        continue;
+      }
+
+      const [upcoming] = candidates
+        .filter((candidate) => candidate.policy.warnDays && !noticed(candidate))
+        .filter((candidate) => Date.parse(candidate.dueAt) - candidate.policy.warnDays * DAY <= Date.parse(now))
+        .sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+      if (upcoming) steps.push(step(record, upcoming, "warn"));
+    }
+    return steps;
+  }
+
+  function totals(steps) {
+    const result = {};
+    for (const { action, size } of steps) {
+      result[action] ||= { files: 0, bytes: 0 };
+      result[action].files++;
+      result[action].bytes += size || 0;
+    }
+    return result;
+  }
+
+  // Copie de chaque objet (version courante et historique) vers l'archive, puis
+  // suppression de l'original. Un objet partagé (fichiers de même contenu, anciennes
+  // versions) n'est archivé qu'une fois : tous les enregistrements et toutes les versions
+  // qui le désignent passent ensemble à la copie archivée, et le partage reste visible.
+  async function archiveFile(record) {
+    const entries = await metadata.uploads.versions(record.id).list();
+    const moved = new Set();
+    const inPrimary = (ref) => ref.storage !== ARCHIVE;
+    for (const ref of [record, ...entries]) {
+      if (!inPrimary(ref) || moved.has(ref.fileId)) continue;
+      moved.add(ref.fileId);
+      const name = ref.storedAs || path.posix.basename(ref.fileId);
+      const result = await withLocalCopy(storage, ref, (source) =>
+        storage.archive.put({ source, name, size: ref.size, contentType: fileTypes[extensionOf(name)]?.mime }));
+      const object = { storage: ARCHIVE, fileId: result.fileId, filePath: result.filePath };
+
+      for (const twin of (await metadata.uploads.findByStorageObject(ref.fileId)).filter(inPrimary)) {
+        await metadata.uploads.update(twin.id, object);
+      }
+      for (const entry of (await metadata.uploads.findVersionsByStorageObject(ref.fileId)).filter(inPrimary)) {
+        await metadata.uploads.versions(entry.uploadId).add({ ...entry, ...object });
+      }
+      await storage.delete(ref).catch((err) => console.error(`❌ Objet ${ref.fileId} non supprimé après archivage :`, err.message));
+    }
+    return metadata.uploads.get(record.id);
+  }
+
+  async function notifyOwner(record, item) {
+    const title = item.action === "warn" ? "Fichier bientôt expiré" : "Durée de conservation atteinte";
+    const body = item.action === "warn"
+      ? `"${record.originalName}" sera ${VERBS[item.policyAction]} le ${formatDay(item.dueAt)}`
+      : `"${record.originalName}" a atteint la durée de conservation de la règle "${item.policyName}"`;
+    await notifications.notifyUser(record.ownerId, {
+      type: "retentionWarning",
+      title,
+      body,
+      data: { fileId: record.id, originalName: record.originalName, action: item.policyAction, dueAt: item.dueAt },
+    });
+    await metadata.uploads.update(record.id, { retentionNotices: { ...record.retentionNotices, [item.policyId]: item.dueAt } });
+    await audit.record("retentionNotice", { file: record, policy: item.policyId, action: item.policyAction, dueAt: item.dueAt });
+  }
+
+  async function apply(item) {
+    // L'enregistrement a pu changer depuis le calcul des actions
+    const record = await metadata.uploads.get(item.fileId);
+    if (!record || record.deletedAt) return false;
+
+    if (item.action === "delete") {
+      await trash.moveToTrash(record);
+    } else if (item.action === "archive") {
+      const updated = await archiveFile(record);
+      await audit.record("archive", { file: updated, policy: item.policyId });
+    } else {
+      await notifyOwner(record, item);
+    }
+    emitFileEvent(io, record, "retention", { ...item, at: new Date().toISOString() });
+    return true;
+  }
+
+  // Simulation : ce qu'un passage ferait maintenant
+  async function report() {
+    const steps = await plan();
+    return { generatedAt: new Date().toISOString(), totals: totals(steps), steps, lastRun };
+  }
+
+  async function run() {
+    if (running) throw new HttpError(409, "RETENTION_RUNNING");
+    running = true;
+    const startedAt = new Date().toISOString();
+    const applied = [];
+    const failures = [];
+    try {
+      for (const item of await plan(startedAt)) {
+        try {
+          if (await apply(item)) applied.push(item);
+        } catch (err) {
+          console.error(`❌ Règle "${item.policyName}" sur ${item.fileId} (${item.action}) :`, err.message);
+          failures.push({ ...item, error: err.message });
+        }
+      }
+    } finally {
+      running = false;
+    }
+    lastRun = { startedAt, finishedAt: new Date().toISOString(), totals: totals(applied), failures };
+    if (applied.length || failures.length) {
+      console.log(`🗄️ Règles de conservation : ${applied.length} action(s), ${failures.length} échec(s)`);
+    }
+    io.to(ADMIN_ROOM).emit("retentionRun", lastRun);
+    return lastRun;
+  }
+
+  function start() {
+    // Un passage lancé à la main (POST /retention/run) peut être en cours
+    const tick = () => running || run().catch((err) => console.error("Retention error", err));
+    tick();
+    setInterval(tick, config.retention.interval).unref();
+  }
+
+  return { actions, list, get, create, update, remove, report, run, start };
+}
@@ -0,0 +1,54 @@
+import express from "express";
+import { visibilityFilter } from "../auth.js";
+import { ACTIVITY_ACTIONS } from "../audit.js";
+import { HttpError } from "../errors.js";
+
+// Traduit les paramètres de GET /activity (du plus récent au plus ancien) :
+//   limit, cursor               pagination (limit entre 1 et 200, 50 par défaut)
+//   action                      actions séparées par des virgules (upload,download)
+//   actor                       uid de l'auteur
+//   fileId                      id du fichier
+//   from, to                    plage de dates (ISO 8601)
+function parseActivityQuery(query) {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw new HttpError(400, "INVALID_PARAMETER", { param: "limit", min: 1, max: 200 });
+
+  const where = [];
+  if (query.actor) where.push(["actorId", "==", query.actor]);
+  if (query.fileId) where.push(["fileId", "==", query.fileId]);
+  for (const [name, op] of [["from", ">="], ["to", "<="]]) {
+    if (!query[name]) continue;
+    const value = new Date(query[name]);
+    if (isNaN(value)) throw new HttpError(400, "INVALID_PARAMETER", { param: name, format: "date" });
+    where.push(["at", op, value.toISOString()]);
+  }
+
+  // Filtre en mémoire : "in" ne se combine pas toujours avec le filtre de visibilité
+  const actions = query.action ? query.action.split(",").map((a) => a.trim()) : null;
+  if (actions?.some((action) => !ACTIVITY_ACTIONS.includes(action))) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "action", allowed: ACTIVITY_ACTIONS });
+  }
+
+  return {
+    where,
+    limit,
+    after: query.cursor,
+    filter: actions ? (entry) => actions.includes(entry.action) : null,
+  };
+}
+
+export default function activityRouter({ auth, audit }) {
+  const router = express.Router();
+
+  router.get("/activity", auth.authenticate, async (req, res, next) => {
+    try {
+      const options = parseActivityQuery(req.query);
+      options.where.push(...visibilityFilter(req.user));
+      res.json(await audit.page(options));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,41 @@
+import express from "express";
+
+//   GET /health        disponibilité (métadonnées, stockage, notifications) : 200 ou 503, sans authentification
+//   GET /metrics       métriques au format Prometheus (administrateurs ; clé d'API en Authorization: Bearer)
+//   GET /admin/stats   statistiques de stockage, sockets connectés, notifications (administrateurs)
+//                      ?fresh=true pour recalculer les statistiques de stockage
+export default function adminRouter({ auth, health, metrics, stats, notifications }) {
+  const router = express.Router();
+
+  router.get("/health", async (req, res, next) => {
+    try {
+      const result = await health.check();
+      res.status(result.status === "ok" ? 200 : 503).set("Cache-Control", "no-store").json(result);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/metrics", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.type("text/plain; version=0.0.4; charset=utf-8").send(await metrics.render());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/admin/stats", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json({
+        storage: await stats.storage({ fresh: req.query.fresh === "true" }),
+        sockets: { connected: stats.sockets() },
+        notifications: notifications.counters(),
+        uptime: Math.round(process.uptime()),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,19 @@
+import express from "express";
+import { HttpError } from "../errors.js";
+
+//   POST /auth/link-token   { path } -> { token, expiresIn } : jeton à usage unique pour un
+//                           lien ouvert par le navigateur, à passer en ?link_token=<token>
+//                           (chemin encodé tel qu'il figurera dans l'URL, sans la requête)
+export default function authRouter({ auth }) {
+  const router = express.Router();
+
+  router.post("/auth/link-token", auth.authenticate, (req, res, next) => {
+    const { path } = req.body || {};
+    if (typeof path !== "string" || !path.startsWith("/") || path.includes("?")) {
+      return next(new HttpError(400, "INVALID_PARAMETER", { param: "path" }));
+    }
+    res.set("Cache-Control", "no-store").json(auth.issueLinkToken(req.user, path));
+  });
+
+  return router;
+}
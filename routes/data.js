@@ -0,0 +1,89 @@
+import express from "express";
+import path from "path";
+import { canAccess, canEdit } from "../auth.js";
+import { contentDisposition } from "../download.js";
+import { withLocalCopy } from "../storage/index.js";
+import { HttpError } from "../errors.js";
+
+//   GET  /files/:id/data       lignes d'un tableur lu à l'upload (voir datasets.js) :
+//                              sheet, columns (séparées par des virgules), filter (colonne:opérateur:valeur,
+//                              répétable ; eq, ne, gt, gte, lt, lte, contains), offset, limit (1 à 1000, 100 par défaut)
+//   POST /files/:id/data       lecture des données d'un fichier envoyé sans "ingest"
+//   GET  /files/:id/convert    ?format=csv|json|xlsx&sheet=… : le tableur converti (csv et json : une feuille)
+// Avec ?version=N, les données ou la conversion d'une version antérieure.
+function parseDataQuery(query) {
+  const integer = (name, fallback, min, max) => {
+    const value = query[name] === undefined ? fallback : Number(query[name]);
+    if (!Number.isInteger(value) || value < min || value > max) throw new HttpError(400, "INVALID_PARAMETER", { param: name, min, max });
+    return value;
+  };
+  return {
+    sheet: query.sheet,
+    columns: query.columns ? String(query.columns).split(",").map((name) => name.trim()).filter(Boolean) : undefined,
+    filters: [].concat(query.filter ?? []).map(String),
+    offset: integer("offset", 0, 0, Number.MAX_SAFE_INTEGER),
+    limit: integer("limit", 100, 1, 1000),
+  };
+}
+
+export default function dataRouter({ auth, storage, metadata, datasets, audit, limits }) {
+  const router = express.Router();
+
+  // Fichier (ou version) demandé et enregistrement de ses nouvelles données
+  async function loadSource(req) {
+    const record = await metadata.uploads.get(req.params.id);
+    if (!record || record.deletedAt || !canAccess(req.user, record)) throw new HttpError(404, "FILE_NOT_FOUND");
+
+    let source = record;
+    let save = (dataset) => metadata.uploads.update(record.id, { dataset });
+    if (req.query.version !== undefined) {
+      const version = Number(req.query.version);
+      if (!Number.isInteger(version) || version < 1) throw new HttpError(400, "INVALID_PARAMETER", { param: "version" });
+      if (version !== (record.version || 1)) {
+        const versions = metadata.uploads.versions(record.id);
+        source = await versions.get(version);
+        if (!source) throw new HttpError(404, "VERSION_NOT_FOUND");
+        save = (dataset) => versions.add({ ...source, dataset });
+      }
+    }
+    return { record, source, save };
+  }
+
+  router.get("/files/:id/data", auth.authenticate, limits.download, async (req, res, next) => {
+    try {
+      const options = parseDataQuery(req.query);
+      const { record, source } = await loadSource(req);
+      res.json({ fileId: record.id, version: source.version || 1, ...await datasets.query(source, options) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/files/:id/data", auth.authenticate, async (req, res, next) => {
+    try {
+      const { record, source, save } = await loadSource(req);
+      if (!canEdit(req.user, record)) throw new HttpError(403, "FILE_EDIT_FORBIDDEN");
+      const dataset = await withLocalCopy(storage, source, (file) =>
+        datasets.ingest(file, { originalName: record.originalName, sha256: source.sha256 || path.parse(source.storedAs).name }));
+      await save(dataset);
+      res.status(dataset.status === "ready" ? 200 : 422).json({ fileId: record.id, version: source.version || 1, dataset });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/files/:id/convert", auth.authenticate, limits.download, async (req, res, next) => {
+    try {
+      const { record, source } = await loadSource(req);
+      const format = String(req.query.format || "");
+      const converted = await datasets.convert(source, record.originalName, { format, sheet: req.query.sheet });
+      res.set({ "Content-Type": converted.type, "Content-Disposition": contentDisposition(converted.name) });
+      res.send(converted.content);
+      await audit.record("download", { user: req.user, file: record, req, version: source.version || 1, convertedTo: format });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
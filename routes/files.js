@@ -0,0 +1,306 @@
+import express from "express";
+import path from "path";
+import { canAccess, canEdit, isOwner, accessList, parseSharedWith, visibilityFilter } from "../auth.js";
+import { emitFileEvent } from "../realtime.js";
+import { isSha256 } from "../hashing.js";
+import { inheritSharing, parseFolderId } from "../folders.js";
+import { sendStoredFile, sendValidators } from "../download.js";
+import { HttpError } from "../errors.js";
+
+const SORT_FIELDS = ["receivedAt", "originalName", "size"];
+
+// Traduit les paramètres de GET /files en requête pour uploads.page() :
+//   limit, cursor               pagination (limit entre 1 et 200, 50 par défaut)
+//   sort, order                 receivedAt | originalName | size, asc | desc
+//   owner                       uid du propriétaire
+//   folder                      id du dossier, "root" pour la racine (tous les dossiers sinon)
+//   q                           recherche dans le nom (insensible à la casse)
+//   ext                         extensions séparées par des virgules (pdf,xlsx)
+//   from, to                    plage de dates de réception (ISO 8601)
+//   minSize, maxSize            plage de tailles en octets
+function parseListQuery(query) {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw new HttpError(400, "INVALID_PARAMETER", { param: "limit", min: 1, max: 200 });
+
+  const orderBy = query.sort || "receivedAt";
+  if (!SORT_FIELDS.includes(orderBy)) throw new HttpError(400, "INVALID_PARAMETER", { param: "sort", allowed: SORT_FIELDS });
+  const direction = query.order || (orderBy === "receivedAt" ? "desc" : "asc");
+  if (!["asc", "desc"].includes(direction)) throw new HttpError(400, "INVALID_PARAMETER", { param: "order", allowed: ["asc", "desc"] });
+
+  const date = (name) => {
+    if (!query[name]) return null;
+    const value = new Date(query[name]);
+    if (isNaN(value)) throw new HttpError(400, "INVALID_PARAMETER", { param: name, format: "date" });
+    return value.toISOString();
+  };
+  const number = (name) => {
+    if (query[name] === undefined) return null;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value)) throw new HttpError(400, "INVALID_PARAMETER", { param: name });
+    return value;
+  };
+
+  const q = query.q?.trim().toLowerCase();
+  const extensions = query.ext ? query.ext.split(",").map((e) => "." + e.trim().replace(/^\./, "").toLowerCase()) : null;
+  const from = date("from");
+  const to = date("to");
+  const minSize = number("minSize");
+  const maxSize = number("maxSize");
+
+  const filters = [];
+  if (q) filters.push((doc) => doc.originalName?.toLowerCase().includes(q));
+  if (extensions) filters.push((doc) => extensions.includes(path.extname(doc.originalName || "").toLowerCase()));
+  if (from) filters.push((doc) => doc.receivedAt >= from);
+  if (to) filters.push((doc) => doc.receivedAt <= to);
+  if (minSize !== null) filters.push((doc) => doc.size >= minSize);
+  if (maxSize !== null) filters.push((doc) => doc.size <= maxSize);
+
+  const where = query.owner ? [["ownerId", "==", query.owner]] : [];
+  const folderId = parseFolderId(query.folder);
+  if (folderId !== undefined) where.push(["folderId", "==", folderId]);
+
+  return {
+    where,
+    orderBy,
+    direction,
+    limit,
+    after: query.cursor,
+    filter: filters.length ? (doc) => filters.every((f) => f(doc)) : null,
+  };
+}
+
+function parseVersion(value) {
+  const version = Number(value);
+  return Number.isInteger(version) && version >= 1 ? version : null;
+}
+
+export default function filesRouter({ config, auth, storage, metadata, io, trash, versioning, folders, audit, limits }) {
+  const router = express.Router();
+
+  // Fichier actif (hors corbeille) visible par l'utilisateur, sinon erreur 404
+  async function loadFile(req) {
+    const record = await metadata.uploads.get(req.params.id);
+    if (!record || record.deletedAt || !canAccess(req.user, record)) throw new HttpError(404, "FILE_NOT_FOUND");
+    return record;
+  }
+
+  async function loadTrashed(req) {
+    const record = await metadata.uploads.get(req.params.id);
+    if (!record || !record.deletedAt || !isOwner(req.user, record)) throw new HttpError(404, "TRASHED_FILE_NOT_FOUND");
+    return record;
+  }
+
+  router.get("/files", auth.authenticate, async (req, res, next) => {
+    try {
+      const options = parseListQuery(req.query);
+      options.where.push(...visibilityFilter(req.user));
+      res.json(await metadata.uploads.page(options));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/files/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      res.json(await loadFile(req));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put("/files/:id/sharing", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      if (!isOwner(req.user, record)) throw new HttpError(403, "OWNER_REQUIRED", { action: "share" });
+
+      const sharedWith = parseSharedWith(req.body.sharedWith);
+      const updated = await metadata.uploads.update(record.id, {
+        sharedWith,
+        access: accessList(record.ownerId, sharedWith),
+      });
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Renommage du nom affiché (l'extension doit rester la même) et/ou déplacement vers un
+  // dossier ("root" pour la racine). Un fichier déplacé devient visible des membres du dossier.
+  router.patch("/files/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      if (!isOwner(req.user, record)) throw new HttpError(403, "OWNER_REQUIRED", { action: "edit" });
+
+      const patch = {};
+      if (req.body.originalName !== undefined) {
+        const originalName = String(req.body.originalName).trim();
+        if (!originalName) throw new HttpError(400, "INVALID_PARAMETER", { param: "originalName" });
+        if (path.extname(originalName).toLowerCase() !== path.extname(record.originalName).toLowerCase()) {
+          throw new HttpError(400, "EXTENSION_CHANGE");
+        }
+        if (originalName !== record.originalName) patch.originalName = originalName;
+      }
+      const folderId = parseFolderId(req.body.folderId);
+      if (folderId !== undefined && folderId !== (record.folderId || null)) {
+        const folder = folderId ? await folders.getEditable(folderId, req.user) : null;
+        const sharedWith = inheritSharing(folder, record.ownerId, record.sharedWith);
+        Object.assign(patch, { folderId, sharedWith, access: accessList(record.ownerId, sharedWith) });
+      }
+      if (req.body.originalName === undefined && folderId === undefined) {
+        throw new HttpError(400, "MISSING_PARAMETER", { params: ["originalName", "folderId"], oneOf: true });
+      }
+      if (!Object.keys(patch).length) return res.json(record);
+
+      const updated = await metadata.uploads.update(record.id, patch);
+      if (patch.originalName) {
+        emitFileEvent(io, updated, "fileRenamed", { id: record.id, originalName: patch.originalName, previousName: record.originalName });
+      }
+      if (patch.folderId !== undefined) {
+        emitFileEvent(io, updated, "fileMoved", {
+          id: record.id, originalName: updated.originalName, folderId, previousFolderId: record.folderId || null,
+        });
+      }
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Historique des versions, de la plus récente à la plus ancienne
+  router.get("/files/:id/versions", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      const versions = await versioning.history(record);
+      res.json({
+        id: record.id,
+        currentVersion: record.version || 1,
+        versions: versions.map(({ version, uploaderId, uploadedAt, size, sha256, rollbackOf }) =>
+          ({ version, uploaderId, uploadedAt, size, sha256, rollbackOf })),
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Retour à une version antérieure, qui redevient la version courante
+  router.post("/files/:id/rollback", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      if (!canEdit(req.user, record)) throw new HttpError(403, "FILE_EDIT_FORBIDDEN");
+
+      const version = parseVersion(req.body.version);
+      if (!version) throw new HttpError(400, "INVALID_PARAMETER", { param: "version" });
+      const updated = await versioning.rollback(record, version, req.user);
+      await audit.record("rollback", { user: req.user, file: updated, from: version, version: updated.version });
+      res.json(updated);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Mise à la corbeille, ou suppression définitive avec ?permanent=true
+  router.delete("/files/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      if (!isOwner(req.user, record)) throw new HttpError(403, "OWNER_REQUIRED", { action: "delete" });
+
+      if (req.query.permanent === "true") {
+        await trash.purge(record, req.user, req);
+        return res.status(204).end();
+      }
+      res.json(await trash.moveToTrash(record, req.user, req));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/trash", auth.authenticate, async (req, res, next) => {
+    try {
+      const where = req.user.admin ? [] : [["ownerId", "==", req.user.uid]];
+      res.json(await metadata.uploads.listTrash({ where }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/trash/:id/restore", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadTrashed(req);
+      res.json(await trash.restore(record, req.user, req));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/trash/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadTrashed(req);
+      await trash.purge(record, req.user, req);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Un fichier inaccessible est signalé comme introuvable pour ne pas révéler son existence.
+  // Sans paramètre `version`, c'est la version courante qui est servie.
+  router.get("/download/:filename", auth.authenticate, limits.download, async (req, res, next) => {
+    const filename = req.params.filename;
+    if (filename.includes("..")) return next(new HttpError(400, "INVALID_FILENAME"));
+    const version = req.query.version === undefined ? null : parseVersion(req.query.version);
+    if (req.query.version !== undefined && !version) return next(new HttpError(400, "INVALID_PARAMETER", { param: "version" }));
+    try {
+      const record = await metadata.uploads.findByStoredAs(filename);
+      if (!record || !canAccess(req.user, record)) throw new HttpError(404, "FILE_NOT_FOUND");
+
+      let source = record;
+      if (version && version !== (record.version || 1)) {
+        source = await metadata.uploads.versions(record.id).get(version);
+        if (!source) throw new HttpError(404, "VERSION_NOT_FOUND");
+      }
+      res.set("X-File-Version", String(source.version || 1));
+      if (sendValidators(req, res, source)) return;
+
+      const sent = await sendStoredFile(req, res, storage, source, {
+        downloadName: record.originalName,
+        expiresIn: config.download.urlExpiresIn,
+        mode: config.download.mode,
+      });
+      // Un téléchargement interrompu, ou un morceau qui n'est pas le dernier, n'est pas journalisé
+      if (sent.complete) await audit.record("download", { user: req.user, file: record, req, version: source.version || 1, mode: sent.mode });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Permet à un client de ne pas renvoyer un contenu que le serveur possède déjà
+  router.head("/exists/sha256/:hash", auth.authenticate, async (req, res, next) => {
+    if (!isSha256(req.params.hash)) return next(new HttpError(400, "INVALID_PARAMETER", { param: "hash" }));
+
+    try {
+      const record = await metadata.uploads.findBySha256(req.params.hash.toLowerCase(), visibilityFilter(req.user));
+      await audit.record("exists", { user: req.user, file: record, req, sha256: req.params.hash.toLowerCase(), found: Boolean(record) });
+      if (!record) throw new HttpError(404, "FILE_NOT_FOUND");
+      res.set({ "X-File-Id": record.id, "X-Stored-As": record.storedAs }).status(200).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.head("/exists/:filename", auth.authenticate, async (req, res, next) => {
+    const filename = req.params.filename;
+    if (filename.includes("..")) return next(new HttpError(400, "INVALID_FILENAME"));
+
+    try {
+      const found = await metadata.uploads.findByStoredAs(filename);
+      const record = found && canAccess(req.user, found) ? found : null;
+      await audit.record("exists", { user: req.user, file: record, req, filename, found: Boolean(record) });
+      if (!record) throw new HttpError(404, "FILE_NOT_FOUND");
+      res.status(200).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,130 @@
+import express from "express";
+import archiver from "archiver";
+import { parseSharedWith } from "../auth.js";
+import { parseFolderId } from "../folders.js";
+
+//   POST   /folders                 { name, parentId?, sharedWith? } -> dossier
+//   GET    /folders?parent=<id|root> sous-dossiers (racine par défaut)
+//   GET    /folders/:id              -> { ...dossier, path } (path : fil d'Ariane depuis la racine)
+//   PATCH  /folders/:id              { name?, parentId? } renommage / déplacement
+//   DELETE /folders/:id              dossier vide uniquement
+//   GET    /folders/:id/zip          archive ZIP du dossier et de ses sous-dossiers
+// Le contenu d'un dossier se liste avec GET /files?folder=<id>.
+export default function foldersRouter({ auth, storage, folders, limits }) {
+  const router = express.Router();
+
+  router.post("/folders", auth.authenticate, async (req, res, next) => {
+    try {
+      const folder = await folders.create({
+        name: req.body.name,
+        parentId: parseFolderId(req.body.parentId) ?? null,
+        sharedWith: parseSharedWith(req.body.sharedWith),
+      }, req.user);
+      res.status(201).json(folder);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/folders", auth.authenticate, async (req, res, next) => {
+    try {
+      res.json(await folders.children(parseFolderId(req.query.parent) ?? null, req.user));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/folders/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const folder = await folders.get(req.params.id, req.user);
+      res.json({ ...folder, path: await folders.ancestors(folder) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/folders/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const folder = await folders.getEditable(req.params.id, req.user);
+      res.json(await folders.update(folder, { name: req.body.name, parentId: parseFolderId(req.body.parentId) }, req.user));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/folders/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const folder = await folders.getEditable(req.params.id, req.user);
+      await folders.remove(folder);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Les fichiers sont lus un par un depuis le stockage et compressés au fil de l'envoi
+  router.get("/folders/:id/zip", auth.authenticate, limits.download, async (req, res, next) => {
+    let folder;
+    try {
+      folder = await folders.get(req.params.id, req.user);
+    } catch (err) {
+      return next(err);
+    }
+
+    const archive = archiver("zip", { zlib: { level: 6 } });
+    let stopped = false;
+    let cancelEntry = null;
+
+    // Seule sortie en erreur (archive, lecture d'un fichier) ou sur départ du client (sans
+    // `err`) : le fichier en cours est abandonné et l'archive interrompue une seule fois
+    function stop(err) {
+      if (stopped) return;
+      stopped = true;
+      cancelEntry?.(err || new Error("Client déconnecté"));
+      archive.abort();
+      if (!err) return;
+      console.error("Zip error", err);
+      res.destroy(err);
+    }
+
+    // Attend que l'archive ait lu tout le fichier ; les écouteurs sont retirés dans tous les cas
+    function appendEntry(stream, data) {
+      return new Promise((resolve, reject) => {
+        const done = (err) => {
+          archive.off("entry", onEntry);
+          stream.off("error", done);
+          cancelEntry = null;
+          if (!err) return resolve();
+          stream.destroy();
+          reject(err);
+        };
+        const onEntry = () => done();
+        archive.once("entry", onEntry);
+        stream.once("error", done);
+        cancelEntry = done;
+        archive.append(stream, data);
+      });
+    }
+
+    res.on("close", () => {
+      if (!res.writableFinished) stop();
+    });
+    archive.on("error", stop);
+
+    res.attachment(`${folder.name}.zip`);
+    archive.pipe(res);
+    try {
+      for await (const { record, name } of folders.walk(folder, req.user)) {
+        if (stopped) return;
+        const stream = await storage.stream(record);
+        if (stopped) return stream.destroy();
+        await appendEntry(stream, { name, date: new Date(record.updatedAt || record.receivedAt) });
+      }
+      if (!stopped) await archive.finalize();
+    } catch (err) {
+      stop(err);
+    }
+  });
+
+  return router;
+}
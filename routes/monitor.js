@@ -0,0 +1,68 @@
+import express from "express";
+import { HttpError } from "../errors.js";
+
+//   GET    /monitor                        état du moniteur et des cibles (dernières vérifications)
+//   GET    /monitor/targets/:id/history    historique des vérifications (?limit=…&from=…)
+//   POST   /monitor/targets                { url, name?, method?, interval?, jitter?, timeout?, expectedStatus?, alert?, enabled? }
+//   PATCH  /monitor/targets/:id            mêmes champs
+//   DELETE /monitor/targets/:id
+//   POST   /monitor/start | /monitor/stop
+// Consultation pour tout utilisateur authentifié, modifications réservées aux administrateurs.
+export default function monitorRouter({ auth, monitor }) {
+  const router = express.Router();
+
+  router.get("/monitor", auth.authenticate, (req, res) => {
+    res.json(monitor.status());
+  });
+
+  router.get("/monitor/targets/:id/history", auth.authenticate, async (req, res, next) => {
+    try {
+      const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > 5000) {
+        throw new HttpError(400, "INVALID_PARAMETER", { param: "limit", min: 1, max: 5000 });
+      }
+      const from = req.query.from && new Date(req.query.from);
+      if (from && isNaN(from)) throw new HttpError(400, "INVALID_PARAMETER", { param: "from", format: "date" });
+      res.json(await monitor.history(req.params.id, { limit, from: from?.toISOString() }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/monitor/targets", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.status(201).json(await monitor.add(req.body));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/monitor/targets/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await monitor.update(req.params.id, req.body));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/monitor/targets/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      await monitor.remove(req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/monitor/start", auth.authenticate, auth.requireAdmin, (req, res) => {
+    monitor.start();
+    res.json(monitor.status());
+  });
+
+  router.post("/monitor/stop", auth.authenticate, auth.requireAdmin, (req, res) => {
+    monitor.stop();
+    res.json(monitor.status());
+  });
+
+  return router;
+}
@@ -0,0 +1,72 @@
+import express from "express";
+import { isValidTopic } from "../notifications.js";
+import { HttpError } from "../errors.js";
+
+//   POST   /notifications/devices          { token, platform? } -> enregistrement de l'appareil
+//   DELETE /notifications/devices/:token
+//   GET    /notifications/preferences      -> { muted, digest, topics }
+//   PUT    /notifications/preferences      { muted?, digest?, topics? }
+//   PUT    /notifications/topics/:topic    abonnement ("all", "monitor", "channel:<nom>" ou "folder:<id>")
+//   DELETE /notifications/topics/:topic    désabonnement
+export default function notificationsRouter({ auth, notifications }) {
+  const router = express.Router();
+
+  router.post("/notifications/devices", auth.authenticate, async (req, res, next) => {
+    const { token, platform } = req.body;
+    if (!token || typeof token !== "string") return next(new HttpError(400, "MISSING_PARAMETER", { params: ["token"] }));
+    try {
+      res.status(201).json(await notifications.registerDevice(req.user, token, platform ? String(platform) : null));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/notifications/devices/:token", auth.authenticate, async (req, res, next) => {
+    try {
+      if (!(await notifications.unregisterDevice(req.user, req.params.token))) {
+        throw new HttpError(404, "DEVICE_NOT_FOUND");
+      }
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/notifications/preferences", auth.authenticate, async (req, res, next) => {
+    try {
+      const { lastDigestAt, ...prefs } = await notifications.preferences(req.user.uid);
+      res.json(prefs);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put("/notifications/preferences", auth.authenticate, async (req, res, next) => {
+    const { muted, digest, topics } = req.body;
+    const patch = Object.fromEntries(Object.entries({ muted, digest, topics }).filter(([, value]) => value !== undefined));
+    try {
+      res.json(await notifications.savePreferences(req.user.uid, patch));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put("/notifications/topics/:topic", auth.authenticate, async (req, res, next) => {
+    if (!isValidTopic(req.params.topic)) return next(new HttpError(400, "INVALID_TOPIC"));
+    try {
+      res.json(await notifications.subscribe(req.user.uid, req.params.topic));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/notifications/topics/:topic", auth.authenticate, async (req, res, next) => {
+    try {
+      res.json(await notifications.unsubscribe(req.user.uid, req.params.topic));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,69 @@
+import express from "express";
+import { canAccess } from "../auth.js";
+import { HttpError } from "../errors.js";
+
+//   GET /files/:id/preview     aperçu (PNG, HTML ou texte selon le type du document)
+//   GET /files/:id/thumbnail   miniature PNG
+// Avec ?version=N, l'aperçu d'une version antérieure. L'aperçu d'un fichier envoyé avant
+// leur mise en place est généré à la première demande.
+export default function previewsRouter({ auth, storage, metadata, previews }) {
+  const router = express.Router();
+
+  async function loadPreview(req) {
+    const record = await metadata.uploads.get(req.params.id);
+    if (!record || record.deletedAt || !canAccess(req.user, record)) throw new HttpError(404, "FILE_NOT_FOUND");
+
+    let source = record;
+    let save = (preview) => metadata.uploads.update(record.id, { preview });
+    if (req.query.version !== undefined) {
+      const version = Number(req.query.version);
+      if (!Number.isInteger(version) || version < 1) throw new HttpError(400, "INVALID_PARAMETER", { param: "version" });
+      if (version !== (record.version || 1)) {
+        const versions = metadata.uploads.versions(record.id);
+        source = await versions.get(version);
+        if (!source) throw new HttpError(404, "VERSION_NOT_FOUND");
+        save = (preview) => versions.add({ ...source, preview });
+      }
+    }
+
+    const preview = await previews.ensure(source, record.originalName, save);
+    if (preview?.status !== "ready") throw new HttpError(404, "PREVIEW_UNAVAILABLE", { status: preview?.status || "disabled" });
+    return { source, preview };
+  }
+
+  // Un aperçu ne change pas tant que le contenu du fichier ne change pas
+  async function send(req, res, ref, { etag, type }) {
+    res.set({ ETag: etag, "Cache-Control": "private, max-age=86400", "X-Content-Type-Options": "nosniff" });
+    if (req.get("if-none-match") === etag) return res.status(304).end();
+
+    // Le tableau HTML ne doit ni exécuter de script ni charger de ressource externe
+    if (type === "text/html") res.set("Content-Security-Policy", "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+    res.type(type.startsWith("text/") ? `${type}; charset=utf-8` : type);
+    const stream = await storage.stream(ref);
+    stream.on("error", (err) => {
+      console.error("Preview stream error", err);
+      res.destroy(err);
+    });
+    stream.pipe(res);
+  }
+
+  router.get("/files/:id/preview", auth.authenticate, async (req, res, next) => {
+    try {
+      const { source, preview } = await loadPreview(req);
+      await send(req, res, preview.content, { etag: `"${source.sha256}-preview"`, type: preview.type });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/files/:id/thumbnail", auth.authenticate, async (req, res, next) => {
+    try {
+      const { source, preview } = await loadPreview(req);
+      await send(req, res, preview.thumbnail, { etag: `"${source.sha256}-thumbnail"`, type: "image/png" });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,64 @@
+import express from "express";
+
+//   GET    /retention/policies          règles de conservation
+//   POST   /retention/policies          { name, action, folder?, types?, olderThanDays?, notDownloadedForDays?, warnDays?, enabled? }
+//   PATCH  /retention/policies/:id      mêmes champs
+//   DELETE /retention/policies/:id
+//   GET    /retention/report            simulation : actions qu'un passage appliquerait maintenant,
+//                                       totaux par action et bilan du dernier passage
+//   POST   /retention/run               passage immédiat ; renvoie son bilan
+// Réservé aux administrateurs : une règle s'applique aux fichiers de tous les utilisateurs.
+export default function retentionRouter({ auth, retention }) {
+  const router = express.Router();
+
+  router.get("/retention/policies", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await retention.list());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/retention/policies", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.status(201).json(await retention.create(req.body, req.user));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/retention/policies/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await retention.update(req.params.id, req.body));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/retention/policies/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      await retention.remove(req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/retention/report", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await retention.report());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/retention/run", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await retention.run());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,35 @@
+import express from "express";
+import { HttpError } from "../errors.js";
+
+//   GET  /search?q=…&limit=…&offset=…   fichiers dont le contenu contient tous les termes,
+//                                       classés par pertinence, avec des extraits :
+//                                       { query, hasMore, items }
+//   POST /search/reindex                indexe les fichiers absents de l'index (administrateurs)
+export default function searchRouter({ auth, search }) {
+  const router = express.Router();
+
+  router.get("/search", auth.authenticate, async (req, res, next) => {
+    const q = String(req.query.q || "").trim();
+    if (q.length < 2) return next(new HttpError(400, "INVALID_PARAMETER", { param: "q", minLength: 2 }));
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) return next(new HttpError(400, "INVALID_PARAMETER", { param: "limit", min: 1, max: 100 }));
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    if (!Number.isInteger(offset) || offset < 0) return next(new HttpError(400, "INVALID_PARAMETER", { param: "offset" }));
+
+    try {
+      res.json({ query: q, ...(await search.query(q, req.user, { limit, offset })) });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Fichiers envoyés avant la recherche plein texte : l'indexation continue en arrière-plan
+  router.post("/search/reindex", auth.authenticate, auth.requireAdmin, (req, res) => {
+    search.reindexAll()
+      .then((count) => console.log(`🔎 Réindexation terminée : ${count} fichier(s)`))
+      .catch((err) => console.error("Reindex error", err));
+    res.status(202).json({ message: "Indexation lancée" });
+  });
+
+  return router;
+}
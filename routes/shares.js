@@ -0,0 +1,136 @@
+import express from "express";
+import { canAccess, canEdit, isOwner } from "../auth.js";
+import { shareView } from "../shares.js";
+import { sendStoredFile, sendValidators } from "../download.js";
+import { HttpError } from "../errors.js";
+import { translate, languageOf } from "../messages.js";
+
+//   POST   /files/:id/shares        { expiresIn? (s), expiresAt?, password?, maxDownloads?, downloadMode? } -> lien
+//   GET    /files/:id/shares        liens du fichier
+//   GET    /shares                  liens créés par l'utilisateur
+//   DELETE /shares/:token           révocation
+//   GET    /shares/:token/accesses  journal des accès au lien
+//   GET    /s/:token                téléchargement public (?password=… ou en-tête X-Share-Password)
+//   POST   /s/:token                idem, mot de passe envoyé par le formulaire
+export default function sharesRouter({ config, auth, storage, metadata, shares, audit, limits }) {
+  const router = express.Router();
+
+  async function loadFile(req) {
+    const record = await metadata.uploads.get(req.params.id);
+    if (!record || record.deletedAt || !canAccess(req.user, record)) throw new HttpError(404, "FILE_NOT_FOUND");
+    if (!canEdit(req.user, record)) throw new HttpError(403, "SHARE_FORBIDDEN");
+    return record;
+  }
+
+  // Le créateur du lien et le propriétaire du fichier peuvent le consulter et le révoquer
+  async function loadLink(req) {
+    const link = await shares.get(req.params.token);
+    const record = link && await metadata.uploads.get(link.fileId);
+    if (!link || (link.createdBy !== req.user.uid && !(record ? isOwner(req.user, record) : req.user.admin))) {
+      throw new HttpError(404, "SHARE_NOT_FOUND");
+    }
+    return link;
+  }
+
+  router.post("/files/:id/shares", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      const { expiresIn, expiresAt, password, maxDownloads, downloadMode } = req.body;
+      const link = await shares.create(record, req.user, { expiresIn, expiresAt, password, maxDownloads, downloadMode });
+      // Le journal d'activité ne garde que le début du token, qui donne accès au fichier
+      await audit.record("share", {
+        user: req.user, file: record, link: link.token.slice(0, 8), expiresAt: link.expiresAt, maxDownloads: link.maxDownloads, hasPassword: link.hasPassword,
+      });
+      res.status(201).json(link);
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/files/:id/shares", auth.authenticate, async (req, res, next) => {
+    try {
+      const record = await loadFile(req);
+      res.json((await shares.listForFile(record.id)).map(shareView));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/shares", auth.authenticate, async (req, res, next) => {
+    try {
+      res.json((await shares.listByUser(req.user.uid)).map(shareView));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/shares/:token", auth.authenticate, async (req, res, next) => {
+    try {
+      const link = await loadLink(req);
+      const revoked = await shares.revoke(link, req.user);
+      await audit.record("shareRevoke", {
+        user: req.user, file: await metadata.uploads.get(link.fileId), link: link.id.slice(0, 8),
+      });
+      res.json(shareView(revoked));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/shares/:token/accesses", auth.authenticate, async (req, res, next) => {
+    try {
+      const link = await loadLink(req);
+      res.json(await shares.accessLog(link.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Formulaire minimal pour un destinataire qui ouvre le lien dans son navigateur
+  function passwordForm(token, error) {
+    return `<!DOCTYPE html>
+<html lang="fr"><head><meta charset="UTF-8"><title>Fichier protégé</title></head>
+<body style="font-family: sans-serif; max-width: 360px; margin: 80px auto;">
+  <h2>Fichier protégé</h2>
+  ${error ? `<p style="color: #b91c1c;">${error}</p>` : ""}
+  <form method="post" action="/s/${token}">
+    <input type="password" name="password" placeholder="Mot de passe" autofocus required>
+    <button type="submit">Télécharger</button>
+  </form>
+</body></html>`;
+  }
+
+  async function download(req, res, next, password) {
+    try {
+      const { link, record, mode } = await shares.open(req.params.token, password, req);
+      const remaining = Math.floor((new Date(link.expiresAt) - Date.now()) / 1000);
+      res.set("Cache-Control", "no-store");
+      // En mode "stream", l'ETag permet la reprise (If-Range)
+      if (mode === "stream" && sendValidators(req, res, record)) return;
+      let finish = null;
+      const sent = await sendStoredFile(req, res, storage, record, {
+        downloadName: record.originalName,
+        expiresIn: Math.max(1, Math.min(config.download.urlExpiresIn, remaining)),
+        mode,
+        beforeStream: mode === "stream" ? async ({ start, length }) => {
+          finish = await shares.startDownload(link, req, { start, length, size: record.size });
+        } : undefined,
+      });
+      finish?.(sent.bytes);
+      if (!sent.complete) return;
+      await audit.record("shareDownload", { file: record, req, link: link.id.slice(0, 8), createdBy: link.createdBy, mode: sent.mode });
+    } catch (err) {
+      if (err.details?.passwordRequired && req.accepts(["json", "html"]) === "html") {
+        const error = password && translate(err.code, err.details, languageOf(req));
+        return res.status(err.status).type("html").send(passwordForm(req.params.token, error));
+      }
+      next(err);
+    }
+  }
+
+  router.get("/s/:token", limits.download, (req, res, next) => download(req, res, next, req.get("x-share-password") || req.query.password));
+
+  router.post("/s/:token", limits.download, express.urlencoded({ extended: false }), (req, res, next) => download(req, res, next, req.body.password));
+
+  return router;
+}
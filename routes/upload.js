@@ -0,0 +1,427 @@
+import express from "express";
+import multer from "multer";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import { Transform } from "stream";
+import { pipeline } from "stream/promises";
+import sanitize from "sanitize-filename";
+import { parseSharedWith } from "../auth.js";
+import { checkExtension, checkSize } from "../filetypes.js";
+import { hashingDiskStorage, isSha256 } from "../hashing.js";
+import { loadReplaceTarget } from "../versions.js";
+import { isValidChannel } from "../notifications.js";
+import { parseFolderId } from "../folders.js";
+import { HttpError, errorBody } from "../errors.js";
+import { languageOf } from "../messages.js";
+
+function storedName(originalName) {
+  const original = sanitize(originalName);
+  return `${Date.now()}-${Math.round(Math.random() * 1e9)}-${original}`;
+}
+
+// multer lit le nom du fichier en latin1 alors que les navigateurs et curl l'envoient en UTF-8
+function decodeFilename(name) {
+  if (/[^\x00-\xff]/.test(name)) return name;
+  const decoded = Buffer.from(name, "latin1").toString("utf8");
+  return decoded.includes("\uFFFD") ? name : decoded;
+}
+
+// Les erreurs d'ImageKit portent leur statut dans `statusCode`
+function uploadError(err) {
+  if (err.statusCode === 413) return new HttpError(413, "STORAGE_FILE_TOO_LARGE");
+  if (err.statusCode === 401) return new HttpError(500, "STORAGE_AUTH_FAILED");
+  return err;
+}
+
+function uploadResponse(record) {
+  const { id, originalName, storedAs, receivedAt, sha256, version, folderId, dataset, duplicate, newVersion } = record;
+  const fields = { id, originalName, storedAs, receivedAt, sha256, version, folderId };
+  // Colonnes et nombre de lignes des données lues (champ "ingest")
+  if (dataset) {
+    const { content, ...summary } = dataset;
+    fields.dataset = summary;
+  }
+  if (duplicate) return { message: "Fichier identique déjà présent", duplicate, ...fields };
+  if (newVersion) return { message: `Nouvelle version de "${originalName}" ✅`, newVersion, ...fields };
+  return { message: "Fichier envoyé ✅", ...fields };
+}
+
+export default function uploadRouter({ config, auth, metadata, folders, quotas, limits, jobs, storeUpload }) {
+  const router = express.Router();
+  const UPLOAD_DIR = config.uploadDir;
+
+  const diskStorage = hashingDiskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => cb(null, storedName(file.originalname)),
+  });
+
+  // Les fichiers refusés sont notés pour que chaque fichier d'un envoi multiple ait son résultat
+  function fileFilter(req, file, cb) {
+    file.originalname = decodeFilename(file.originalname);
+    const error = checkExtension(file.originalname);
+    if (!error) return cb(null, true);
+    (req.rejectedFiles ||= []).push({ field: file.fieldname, originalName: file.originalname, error });
+    cb(null, false);
+  }
+
+  // multer n'accepte qu'une taille maximale globale : la plus grande limite par type,
+  // la limite propre à chaque type étant vérifiée ensuite par le pipeline
+  const maxFileSize = Math.max(...Object.values(config.upload.limits));
+  const upload = multer({
+    storage: diskStorage,
+    fileFilter,
+    limits: { files: config.upload.maxFiles, fileSize: maxFileSize },
+  });
+  const parseFiles = upload.fields([
+    { name: "file", maxCount: 1 },
+    { name: "files", maxCount: config.upload.maxFiles },
+  ]);
+
+  function multerError(err) {
+    if (!(err instanceof multer.MulterError)) return err;
+    if (err.code === "LIMIT_FILE_SIZE") return new HttpError(413, "FILE_TOO_LARGE", { maxMb: Math.round(maxFileSize / 1024 / 1024) });
+    if (err.code === "LIMIT_FILE_COUNT") return new HttpError(400, "TOO_MANY_FILES", { max: config.upload.maxFiles });
+    if (err.code === "LIMIT_UNEXPECTED_FILE") return new HttpError(400, "UNEXPECTED_FIELD", { field: err.field });
+    return new HttpError(400, "INVALID_UPLOAD", { reason: err.code });
+  }
+
+  function fields(req, res, next) {
+    parseFiles(req, res, (err) => {
+      if (!err) return next();
+      const error = multerError(err);
+      req.job.fail(error);
+      next(error);
+    });
+  }
+
+  // Le job est créé avant multer pour suivre les octets reçus ; le client peut fournir son
+  // identifiant (en-tête X-Upload-Job) afin de s'abonner au job avant la fin de l'envoi.
+  // multer branche req.pipe() dans le même tick : ce listener ne consomme rien à sa place.
+  function trackReceiving(req, res, next) {
+    const job = jobs.start({
+      id: req.get("x-upload-job"),
+      ownerId: req.user.uid,
+      totalBytes: Number(req.get("content-length")) || null,
+    });
+    let received = 0;
+    req.on("data", (chunk) => job.progress((received += chunk.length)));
+    req.job = job;
+    next();
+  }
+
+  function storeFile(file, req) {
+    return storeUpload({
+      source: file.path,
+      originalName: file.originalname,
+      storedAs: file.filename,
+      size: file.size,
+      sha256: file.sha256,
+      expectedSha256: file.fieldname === "file" ? req.body.sha256 : undefined,
+      user: req.user,
+      sharedWith: parseSharedWith(req.body.sharedWith),
+      channel: req.body.channel || null,
+      folderId: parseFolderId(req.body.folderId) || null,
+      replaces: file.fieldname === "file" ? req.body.replaces : undefined,
+      ingest: req.body.ingest === "true",
+      job: req.job,
+    });
+  }
+
+  // Champ "file" : un seul fichier. Champ "files" : plusieurs fichiers, un résultat par fichier.
+  // Le champ "replaces" (id d'un fichier existant) fait du fichier unique une nouvelle version.
+  // Le champ "channel" range les fichiers dans un canal de notification, "folderId" dans un dossier.
+  // Avec "ingest=true", les données des tableurs sont lues (GET /files/:id/data).
+  router.post("/upload", auth.authenticate, limits.upload, trackReceiving, fields, async (req, res, next) => {
+    const { job } = req;
+    const single = req.files?.file || [];
+    const batch = req.files?.files || [];
+    const rejected = req.rejectedFiles || [];
+
+    if (!batch.length && !rejected.some((r) => r.field === "files")) {
+      const error = rejected[0]?.error || (!single.length && new HttpError(400, "NO_FILE"));
+      if (error) {
+        job.fail(error, { originalName: rejected[0]?.originalName });
+        return next(error);
+      }
+
+      // En cas d'échec, storeUpload a déjà terminé le job (job.fail)
+      try {
+        const record = await storeFile(single[0], req);
+        job.finish();
+        return res.json({ ...uploadResponse(record), jobId: job.id });
+      } catch (err) {
+        return next(uploadError(err));
+      }
+    }
+
+    // Un résultat par fichier, erreurs comprises, dans la langue du client
+    const lang = languageOf(req);
+    const results = rejected.map(({ originalName, error }) => ({ originalName, ...errorBody(error, lang) }));
+    for (const file of [...single, ...batch]) {
+      try {
+        results.push(uploadResponse(await storeFile(file, req)));
+      } catch (err) {
+        const error = uploadError(err);
+        if (!(error instanceof HttpError)) console.error(`❌ [${req.id}] Upload error:`, err);
+        results.push({ originalName: file.originalname, ...errorBody(error, lang) });
+      }
+    }
+    job.finish();
+    res.json({ jobId: job.id, results });
+  });
+
+  // --- Upload par morceaux reprenable (inspiré de tus) ---
+  //   POST   /upload/sessions               { filename, size, sha256?, sharedWith?, channel?, folderId?, replaces?, ingest? } -> session
+  //   HEAD   /upload/sessions/:id           -> en-têtes Upload-Offset / Upload-Length
+  //   GET    /upload/sessions/:id           -> état de la session
+  //   PUT    /upload/sessions/:id           corps brut, en-tête Upload-Offset -> nouvel offset
+  //   POST   /upload/sessions/:id/complete  -> enregistrement du fichier
+  //   DELETE /upload/sessions/:id           -> abandon
+  //
+  // L'offset fait foi d'après la taille du fichier partiel sur le disque : après une coupure,
+  // le client relit l'offset et reprend l'envoi à partir de là. L'id de session sert aussi
+  // d'id de job pour le suivi en temps réel.
+  //
+  // L'empreinte SHA-256 est calculée au fil des morceaux ; si cet état en mémoire est perdu
+  // (redémarrage, morceau interrompu), elle est recalculée à partir du fichier à la fin.
+  // Un `sha256` fourni à l'ouverture de la session est vérifié à la fin de l'envoi.
+
+  const sessions = metadata.collection("uploadSessions");
+  const busy = new Set();
+  const hashes = new Map();
+
+  const partPath = (session) => path.join(UPLOAD_DIR, `${session.storedAs}.part`);
+
+  const sessionJob = (session) => jobs.resume({
+    id: session.id,
+    ownerId: session.ownerId,
+    originalName: session.originalName,
+    totalBytes: session.size,
+  });
+
+  async function currentOffset(session) {
+    try {
+      return (await fsPromises.stat(partPath(session))).size;
+    } catch {
+      return null;
+    }
+  }
+
+  function sessionState(session, offset) {
+    return {
+      id: session.id,
+      originalName: session.originalName,
+      size: session.size,
+      offset,
+      chunkSize: config.upload.chunkSize,
+    };
+  }
+
+  async function loadSession(req) {
+    const session = await sessions.get(req.params.id);
+    if (!session || session.ownerId !== req.user.uid) throw new HttpError(404, "UPLOAD_SESSION_NOT_FOUND");
+    const offset = await currentOffset(session);
+    if (offset === null) {
+      await sessions.delete(session.id);
+      throw new HttpError(404, "UPLOAD_SESSION_EXPIRED");
+    }
+    return { session, offset };
+  }
+
+  router.post("/upload/sessions", auth.authenticate, limits.upload, async (req, res, next) => {
+    const { filename, size, sha256 } = req.body;
+    if (!filename || !Number.isInteger(size) || size <= 0) {
+      return next(new HttpError(400, "MISSING_PARAMETER", { params: ["filename", "size"] }));
+    }
+    if (sha256 !== undefined && !isSha256(sha256)) return next(new HttpError(400, "INVALID_PARAMETER", { param: "sha256" }));
+    if (req.body.channel && !isValidChannel(String(req.body.channel))) return next(new HttpError(400, "INVALID_CHANNEL"));
+    const error = checkExtension(filename) || checkSize(config.upload.limits, filename, size);
+    if (error) return next(error);
+
+    try {
+      // Vérifié dès l'ouverture pour ne pas recevoir un fichier qui serait refusé à la fin
+      const target = req.body.replaces && await loadReplaceTarget(metadata, req.body.replaces, req.user, filename);
+      if (!target && parseFolderId(req.body.folderId)) await folders.getEditable(parseFolderId(req.body.folderId), req.user);
+      await quotas.check(target ? target.ownerId : req.user.uid, { bytes: size, files: target ? 0 : 1 });
+
+      const session = await sessions.add({
+        ownerId: req.user.uid,
+        originalName: filename,
+        storedAs: storedName(filename),
+        size,
+        expectedSha256: sha256 || null,
+        sharedWith: parseSharedWith(req.body.sharedWith),
+        channel: req.body.channel ? String(req.body.channel) : null,
+        folderId: parseFolderId(req.body.folderId) || null,
+        replaces: req.body.replaces ? String(req.body.replaces) : null,
+        ingest: req.body.ingest === true || req.body.ingest === "true",
+        createdAt: new Date().toISOString(),
+      });
+      await fsPromises.writeFile(partPath(session), "");
+      res.status(201).location(`/upload/sessions/${session.id}`).json(sessionState(session, 0));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.head("/upload/sessions/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const found = await loadSession(req);
+      res.set({
+        "Upload-Offset": found.offset,
+        "Upload-Length": found.session.size,
+        "Cache-Control": "no-store",
+      }).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/upload/sessions/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const found = await loadSession(req);
+      res.json(sessionState(found.session, found.offset));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.put("/upload/sessions/:id", auth.authenticate, async (req, res, next) => {
+    let found;
+    try {
+      found = await loadSession(req);
+    } catch (err) {
+      return next(err);
+    }
+    const { session, offset } = found;
+
+    if (Number(req.get("upload-offset")) !== offset) {
+      res.set("Upload-Offset", offset);
+      return next(new HttpError(409, "UPLOAD_OFFSET_MISMATCH", { offset }));
+    }
+    if (busy.has(session.id)) return next(new HttpError(409, "UPLOAD_CHUNK_IN_PROGRESS", { offset }));
+
+    busy.add(session.id);
+    const job = sessionJob(session);
+    if (offset === 0) hashes.set(session.id, { hash: crypto.createHash("sha256"), offset: 0 });
+    let hashState = hashes.get(session.id);
+    if (hashState && hashState.offset !== offset) {
+      hashes.delete(session.id);
+      hashState = null;
+    }
+
+    let received = 0;
+    const guard = new Transform({
+      transform(chunk, encoding, cb) {
+        received += chunk.length;
+        if (offset + received > session.size) return cb(new HttpError(413, "UPLOAD_SIZE_EXCEEDED", { offset }));
+        hashState?.hash.update(chunk);
+        job.progress(offset + received);
+        cb(null, chunk);
+      },
+    });
+
+    try {
+      await pipeline(req, guard, fs.createWriteStream(partPath(session), { flags: "a" }));
+      const newOffset = offset + received;
+      if (hashState) hashState.offset = newOffset;
+      res.set("Upload-Offset", newOffset).json(sessionState(session, newOffset));
+    } catch (err) {
+      hashes.delete(session.id);
+      if (err instanceof HttpError) {
+        await fsPromises.truncate(partPath(session), offset);
+        return next(err);
+      }
+      // Coupure réseau : les octets déjà écrits sont conservés, le client reprendra à l'offset courant
+      console.error(`[${req.id}] Chunk error:`, err.message);
+      if (!res.headersSent) next(new HttpError(400, "UPLOAD_CHUNK_INTERRUPTED", { offset: await currentOffset(session) }));
+    } finally {
+      busy.delete(session.id);
+    }
+  });
+
+  router.post("/upload/sessions/:id/complete", auth.authenticate, async (req, res, next) => {
+    let found;
+    try {
+      found = await loadSession(req);
+    } catch (err) {
+      return next(err);
+    }
+    const { session, offset } = found;
+
+    if (offset !== session.size) return next(new HttpError(409, "UPLOAD_INCOMPLETE", { offset }));
+    if (busy.has(session.id)) return next(new HttpError(409, "UPLOAD_CHUNK_IN_PROGRESS", { offset }));
+
+    busy.add(session.id);
+    const job = sessionJob(session);
+    req.job = job;
+    const source = path.join(UPLOAD_DIR, session.storedAs);
+    try {
+      await fsPromises.rename(partPath(session), source);
+      await sessions.delete(session.id);
+    } catch (err) {
+      busy.delete(session.id);
+      job.fail(err, { originalName: session.originalName });
+      return next(err);
+    }
+
+    // En cas d'échec, storeUpload a déjà terminé le job (job.fail)
+    try {
+      const hashState = hashes.get(session.id);
+      hashes.delete(session.id);
+
+      const record = await storeUpload({
+        source,
+        originalName: session.originalName,
+        storedAs: session.storedAs,
+        size: session.size,
+        sha256: hashState?.offset === session.size ? hashState.hash.digest("hex") : undefined,
+        expectedSha256: session.expectedSha256,
+        user: req.user,
+        sharedWith: session.sharedWith,
+        channel: session.channel,
+        folderId: session.folderId,
+        replaces: session.replaces,
+        ingest: Boolean(session.ingest),
+        job,
+      });
+      job.finish();
+      res.json({ ...uploadResponse(record), jobId: job.id });
+    } catch (err) {
+      next(uploadError(err));
+    } finally {
+      busy.delete(session.id);
+    }
+  });
+
+  router.delete("/upload/sessions/:id", auth.authenticate, async (req, res, next) => {
+    try {
+      const session = await sessions.get(req.params.id);
+      if (!session || session.ownerId !== req.user.uid) throw new HttpError(404, "UPLOAD_SESSION_NOT_FOUND");
+      await fsPromises.rm(partPath(session), { force: true });
+      await sessions.delete(session.id);
+      hashes.delete(session.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  // Nettoyage des sessions abandonnées
+  async function purgeExpiredSessions() {
+    try {
+      const cutoff = new Date(Date.now() - config.upload.sessionTtl).toISOString();
+      for (const session of await sessions.find({ where: [["createdAt", "<", cutoff]] })) {
+        await fsPromises.rm(partPath(session), { force: true });
+        await sessions.delete(session.id);
+      }
+    } catch (err) {
+      console.error("Purge des sessions d'upload :", err.message);
+    }
+  }
+  setInterval(purgeExpiredSessions, 60 * 60 * 1000).unref();
+
+  return router;
+}
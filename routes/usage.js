@@ -0,0 +1,20 @@
+import express from "express";
+import { HttpError } from "../errors.js";
+
+//   GET /usage   espace utilisé par l'utilisateur et ses limites ; un administrateur voit
+//                aussi l'usage global et peut consulter celui d'un autre utilisateur (?user=uid)
+export default function usageRouter({ auth, quotas }) {
+  const router = express.Router();
+
+  router.get("/usage", auth.authenticate, async (req, res, next) => {
+    const uid = req.query.user || req.user.uid;
+    if (uid !== req.user.uid && !req.user.admin) return next(new HttpError(403, "ADMIN_REQUIRED"));
+    try {
+      res.json(await quotas.report(uid, { global: req.user.admin }));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
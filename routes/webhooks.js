@@ -0,0 +1,105 @@
+import express from "express";
+import { HttpError } from "../errors.js";
+import { WEBHOOK_EVENTS, DELIVERY_STATUSES } from "../webhooks.js";
+
+//   GET    /webhooks                                 webhooks enregistrés (sans leur secret)
+//   POST   /webhooks                                 { url, events?, description?, enabled? } ; renvoie le secret
+//   PATCH  /webhooks/:id                             mêmes champs
+//   DELETE /webhooks/:id
+//   POST   /webhooks/:id/secret                      nouveau secret
+//   POST   /webhooks/:id/ping                        livraison de test (événement "ping")
+//   GET    /webhooks/deliveries                      journal (?webhookId, status, event, limit, cursor) ;
+//                                                    status=dead pour les livraisons abandonnées
+//   GET    /webhooks/deliveries/:id                  une livraison et ses tentatives
+//   POST   /webhooks/deliveries/:id/redeliver        nouvel envoi immédiat
+// Réservé aux administrateurs : un webhook reçoit les événements de tous les fichiers.
+function parseDeliveryQuery(query) {
+  const limit = query.limit === undefined ? 50 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) throw new HttpError(400, "INVALID_PARAMETER", { param: "limit", min: 1, max: 200 });
+  if (query.status && !DELIVERY_STATUSES.includes(query.status)) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "status", allowed: DELIVERY_STATUSES });
+  }
+  if (query.event && ![...WEBHOOK_EVENTS, "ping"].includes(query.event)) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "event", allowed: [...WEBHOOK_EVENTS, "ping"] });
+  }
+  return { webhookId: query.webhookId, status: query.status, event: query.event, limit, after: query.cursor };
+}
+
+export default function webhooksRouter({ auth, webhooks }) {
+  const router = express.Router();
+
+  router.get("/webhooks", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await webhooks.list());
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/webhooks", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.status(201).json(await webhooks.create(req.body, req.user));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/webhooks/deliveries", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await webhooks.deliveryLog(parseDeliveryQuery(req.query)));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get("/webhooks/deliveries/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await webhooks.getDelivery(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/webhooks/deliveries/:id/redeliver", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.status(202).json(await webhooks.redeliver(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.patch("/webhooks/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await webhooks.update(req.params.id, req.body));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.delete("/webhooks/:id", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      await webhooks.remove(req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/webhooks/:id/secret", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.json(await webhooks.rotateSecret(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.post("/webhooks/:id/ping", auth.authenticate, auth.requireAdmin, async (req, res, next) => {
+    try {
+      res.status(202).json(await webhooks.ping(req.params.id));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
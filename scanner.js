@@ -0,0 +1,111 @@
+// Analyse antivirus des fichiers reçus, avant tout envoi au stockage ou notification.
+//
+// Drivers (SCANNER) :
+//   none     aucune analyse
+//   clamd    démon ClamAV, via son socket Unix (CLAMD_SOCKET) ou TCP (CLAMD_HOST/CLAMD_PORT)
+//   command  commande externe (SCANNER_COMMAND, ex. "clamscan --no-summary") : le chemin du
+//            fichier est ajouté en dernier argument ; code 0 = sain, 1 = infecté
+//
+// Un fichier infecté est déplacé en quarantaine et consigné dans la collection "quarantine".
+// Si l'analyse est impossible (démon injoignable…), l'upload est refusé.
+import fs from "fs";
+import fsPromises from "fs/promises";
+import net from "net";
+import path from "path";
+import { execFile } from "child_process";
+import { HttpError } from "./errors.js";
+import { ADMIN_ROOM } from "./realtime.js";
+
+function clamdScan({ socket, host, port }, file) {
+  return new Promise((resolve, reject) => {
+    const conn = socket ? net.connect(socket) : net.connect(port, host);
+    let reply = "";
+
+    conn.setTimeout(60000, () => conn.destroy(new Error("Délai dépassé avec clamd")));
+    conn.on("error", reject);
+    conn.on("data", (data) => (reply += data.toString()));
+    conn.on("end", () => {
+      // "stream: OK" ou "stream: <signature> FOUND"
+      const result = reply.replace(/\0/g, "").trim();
+      const found = result.match(/^stream: (.+) FOUND$/);
+      if (found) return resolve({ infected: true, signature: found[1] });
+      if (result.endsWith("OK")) return resolve({ infected: false });
+      reject(new Error(`Réponse clamd inattendue : ${result}`));
+    });
+
+    conn.on("connect", () => {
+      conn.write("zINSTREAM\0");
+      const input = fs.createReadStream(file, { highWaterMark: 64 * 1024 });
+      input.on("data", (chunk) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(chunk.length);
+        if (!conn.write(Buffer.concat([length, chunk]))) {
+          input.pause();
+          conn.once("drain", () => input.resume());
+        }
+      });
+      input.on("end", () => conn.write(Buffer.alloc(4)));
+      input.on("error", (err) => conn.destroy(err));
+    });
+  });
+}
+
+function commandScan(command, file) {
+  const [bin, ...args] = command.split(" ").filter(Boolean);
+  return new Promise((resolve, reject) => {
+    execFile(bin, [...args, file], { timeout: 120000 }, (err, stdout) => {
+      if (!err) return resolve({ infected: false });
+      if (err.code === 1) {
+        const signature = stdout.match(/: (.+) FOUND/)?.[1] || "inconnu";
+        return resolve({ infected: true, signature });
+      }
+      reject(err);
+    });
+  });
+}
+
+export function createScanner({ options, metadata, io }) {
+  const drivers = {
+    none: async () => ({ infected: false }),
+    clamd: (file) => clamdScan(options.clamd, file),
+    command: (file) => commandScan(options.command, file),
+  };
+  const scan = drivers[options.driver];
+  if (!scan) throw new Error(`Scanner inconnu : ${options.driver}`);
+  if (options.driver === "command" && !options.command) throw new Error("Variable SCANNER_COMMAND manquante !");
+
+  async function quarantine({ source, originalName, storedAs, user }, signature) {
+    await fsPromises.mkdir(options.quarantineDir, { recursive: true });
+    const target = path.join(options.quarantineDir, storedAs);
+    await fsPromises.rename(source, target);
+
+    const entry = await metadata.collection("quarantine").add({
+      originalName,
+      storedAs,
+      ownerId: user.uid,
+      signature,
+      path: target,
+      detectedAt: new Date().toISOString(),
+    });
+    console.warn(`☣️ Fichier mis en quarantaine : ${originalName} (${signature})`);
+    io.to(ADMIN_ROOM).emit("fileQuarantined", { id: entry.id, originalName, ownerId: user.uid, signature });
+  }
+
+  return {
+    name: options.driver,
+
+    async check(upload) {
+      let result;
+      try {
+        result = await scan(upload.source);
+      } catch (err) {
+        console.error("❌ Analyse antivirus impossible :", err.message);
+        throw new HttpError(503, "SCANNER_UNAVAILABLE");
+      }
+      if (!result.infected) return;
+
+      await quarantine(upload, result.signature);
+      throw new HttpError(422, "VIRUS_DETECTED", { signature: result.signature });
+    },
+  };
+}
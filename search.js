@@ -0,0 +1,233 @@
+// Recherche plein texte dans le contenu des fichiers. Le texte extrait à l'upload (voir
+// documents.js) est gardé dans un fichier JSON local ; l'index inversé (terme -> fichiers)
+// est reconstruit en mémoire au démarrage. Les résultats sont classés par score BM25.
+// L'index ne contient que la version courante des fichiers actifs : il est mis à jour à
+// l'upload, à chaque nouvelle version (ou retour arrière), à la mise à la corbeille et à la purge.
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import { canAccess } from "./auth.js";
+import { extractText } from "./documents.js";
+import { withLocalCopy } from "./storage/index.js";
+
+const K1 = 1.2;
+const B = 0.75;
+const SNIPPET_LENGTH = 160;
+
+// Termes sans accents ni majuscules : "Échéance" et "echeance" se retrouvent
+export function tokenize(text) {
+  return text.normalize("NFD").replace(/\p{M}/gu, "").toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || [];
+}
+
+function termFrequencies(text) {
+  const terms = new Map();
+  for (const term of tokenize(text)) terms.set(term, (terms.get(term) || 0) + 1);
+  return terms;
+}
+
+// Passages autour des premières occurrences des termes cherchés, avec leurs positions
+function snippets(text, terms, max = 2) {
+  const isMatch = (word) => {
+    const [term] = tokenize(word);
+    return term && terms.some((t) => term === t || term.startsWith(t));
+  };
+  const words = [...text.matchAll(/[\p{L}\p{N}]+/gu)].filter((m) => isMatch(m[0]));
+
+  const result = [];
+  let end = -1;
+  for (const match of words) {
+    if (result.length === max) break;
+    if (match.index < end) continue;
+    const start = Math.max(0, match.index - SNIPPET_LENGTH / 3);
+    end = Math.min(text.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? "…" : "";
+    const passage = prefix + text.slice(start, end).replace(/\s+/g, " ").trim() + (end < text.length ? "…" : "");
+    const highlights = [];
+    for (const m of passage.matchAll(/[\p{L}\p{N}]+/gu)) {
+      if (isMatch(m[0])) highlights.push([m.index, m.index + m[0].length]);
+    }
+    result.push({ text: passage, highlights });
+  }
+  return result;
+}
+
+export function createSearch({ config, storage, metadata }) {
+  const { file, maxTextLength } = config.search;
+  const documents = new Map(); // id -> { text, sha256, indexedAt }
+  const postings = new Map(); // terme -> Map(id -> fréquence)
+  const lengths = new Map(); // id -> nombre de termes
+  let totalLength = 0;
+  let saveTimer = null;
+  let writing = Promise.resolve();
+
+  function addToIndex(id, text) {
+    const terms = termFrequencies(text);
+    let length = 0;
+    for (const [term, count] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, count);
+      length += count;
+    }
+    lengths.set(id, length);
+    totalLength += length;
+  }
+
+  function removeFromIndex(id) {
+    const doc = documents.get(id);
+    if (!doc) return;
+    for (const term of termFrequencies(doc.text).keys()) {
+      const ids = postings.get(term);
+      ids?.delete(id);
+      if (ids?.size === 0) postings.delete(term);
+    }
+    totalLength -= lengths.get(id) || 0;
+    lengths.delete(id);
+  }
+
+  // Écritures regroupées (une par seconde au plus), atomiques (fichier temporaire + rename)
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(save, 1000);
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    const data = JSON.stringify(Object.fromEntries(documents));
+    writing = writing.then(async () => {
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fsPromises.writeFile(tmp, data, "utf8");
+      await fsPromises.rename(tmp, file);
+    }).catch((err) => console.error("Search index save error", err));
+    return writing;
+  }
+
+  // Enregistre sans attendre les modifications en attente
+  const flush = () => (saveTimer ? save() : writing);
+
+  function load() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (!fs.existsSync(file)) return;
+    for (const [id, doc] of Object.entries(JSON.parse(fs.readFileSync(file, "utf8")))) {
+      documents.set(id, doc);
+      addToIndex(id, doc.text);
+    }
+    console.log(`Index de recherche : ${documents.size} fichier(s)`);
+  }
+
+  function add(record, text) {
+    removeFromIndex(record.id);
+    documents.set(record.id, { text: text.slice(0, maxTextLength), sha256: record.sha256, indexedAt: new Date().toISOString() });
+    addToIndex(record.id, documents.get(record.id).text);
+    scheduleSave();
+  }
+
+  function remove(id) {
+    if (!documents.has(id)) return;
+    removeFromIndex(id);
+    documents.delete(id);
+    scheduleSave();
+  }
+
+  // Texte extrait à l'upload ; ne lève jamais d'erreur, un fichier illisible n'est simplement pas indexé
+  async function extract(source, originalName) {
+    try {
+      return await extractText(source, originalName, { maxLength: maxTextLength });
+    } catch (err) {
+      console.error(`❌ Extraction du texte impossible pour "${originalName}" :`, err.message);
+      return "";
+    }
+  }
+
+  // Version courante relue depuis le stockage (restauration, retour arrière, fichiers anciens)
+  async function reindex(record) {
+    if (documents.get(record.id)?.sha256 === record.sha256 && record.sha256) return;
+    const text = await withLocalCopy(storage, record, (source) => extract(source, record.originalName));
+    add(record, text);
+  }
+
+  // Fichiers actifs absents de l'index ou indexés dans une autre version
+  async function reindexAll() {
+    let count = 0;
+    for (const record of await metadata.uploads.list()) {
+      if (documents.get(record.id)?.sha256 === record.sha256) continue;
+      try {
+        await reindex(record);
+        count++;
+      } catch (err) {
+        console.error(`❌ Indexation impossible pour ${record.id} :`, err.message);
+      }
+    }
+    return count;
+  }
+
+  // Tous les termes doivent être présents ; le dernier peut n'être qu'un début de mot
+  function score(terms) {
+    const total = documents.size;
+    const average = totalLength / (total || 1);
+    let scores = null;
+
+    terms.forEach((term, i) => {
+      const matches = new Map();
+      const candidates = i === terms.length - 1
+        ? [...postings.keys()].filter((t) => t.startsWith(term))
+        : (postings.has(term) ? [term] : []);
+      for (const candidate of candidates) {
+        const ids = postings.get(candidate);
+        const idf = Math.log(1 + (total - ids.size + 0.5) / (ids.size + 0.5));
+        for (const [id, count] of ids) {
+          const length = lengths.get(id);
+          const value = idf * (count * (K1 + 1)) / (count + K1 * (1 - B + B * length / average));
+          matches.set(id, Math.max(matches.get(id) || 0, value));
+        }
+      }
+      const next = new Map();
+      for (const [id, value] of matches) {
+        if (!scores || scores.has(id)) next.set(id, (scores?.get(id) || 0) + value);
+      }
+      scores = next;
+    });
+    return [...(scores || [])].sort((a, b) => b[1] - a[1]);
+  }
+
+  // Résultats visibles par `user`, du plus pertinent au moins pertinent. Les enregistrements
+  // ne sont lus que pour la page demandée (et, hors administrateurs, pour les résultats qui
+  // la précèdent, dont la visibilité décide du décalage), lot par lot, jusqu'à remplir la
+  // page plus un résultat qui indique s'il y a une page suivante (`hasMore`).
+  async function query(q, user, { limit = 20, offset = 0 } = {}) {
+    const terms = tokenize(q);
+    if (!terms.length) return { hasMore: false, items: [] };
+
+    // L'index ne contient que des fichiers actifs : un administrateur les voit tous
+    let hits = score(terms);
+    let skip = offset;
+    if (user.admin) {
+      hits = hits.slice(offset);
+      skip = 0;
+    }
+
+    const page = [];
+    for (let i = 0; i < hits.length && page.length <= limit; i += limit + 1) {
+      const batch = hits.slice(i, i + limit + 1);
+      const records = await Promise.all(batch.map(([id]) => metadata.uploads.get(id)));
+      batch.forEach(([id, value], j) => {
+        const record = records[j];
+        if (!record || record.deletedAt || !canAccess(user, record) || page.length > limit) return;
+        if (skip) skip--;
+        else page.push({ id, value, record });
+      });
+    }
+
+    const items = page.slice(0, limit).map(({ id, value, record }) => {
+      const { originalName, storedAs, folderId, version, size, receivedAt } = record;
+      return {
+        id, originalName, storedAs, folderId, version, size, receivedAt,
+        score: Math.round(value * 1000) / 1000,
+        snippets: snippets(documents.get(id).text, terms),
+      };
+    });
+    return { hasMore: page.length > limit, items };
+  }
+
+  return { load, add, remove, extract, reindex, reindexAll, query, flush };
+}
@@ -0,0 +1,188 @@
+// Liens de partage : un token aléatoire donne accès à un fichier sans compte jusqu'à son
+// expiration, dans la limite éventuelle d'un nombre de téléchargements et derrière un
+// mot de passe facultatif. Chaque accès au lien, réussi ou non, est journalisé
+// (collection "shareAccesses"). Chaque lien peut imposer son mode d'envoi (voir download.js).
+import crypto from "crypto";
+import { promisify } from "util";
+import { HttpError } from "./errors.js";
+import { DOWNLOAD_MODES } from "./download.js";
+
+const scrypt = promisify(crypto.scrypt);
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 32);
+  return `${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+async function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = await scrypt(String(password), Buffer.from(salt, "hex"), 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+export function linkStatus(link, now = new Date().toISOString()) {
+  if (link.revokedAt) return "revoked";
+  if (link.expiresAt <= now) return "expired";
+  if (link.maxDownloads && link.downloads >= link.maxDownloads) return "exhausted";
+  return "active";
+}
+
+// Vue d'un lien pour son créateur (sans l'empreinte du mot de passe)
+export function shareView({ id, passwordHash, ...link }) {
+  return { token: id, url: `/s/${id}`, ...link, hasPassword: Boolean(passwordHash), status: linkStatus(link) };
+}
+
+export function createShares({ config, metadata }) {
+  const links = metadata.collection("shareLinks");
+  const accesses = metadata.collection("shareAccesses");
+
+  function expiryFrom({ expiresIn, expiresAt }) {
+    const now = Date.now();
+    let expiry;
+    if (expiresAt !== undefined) expiry = new Date(expiresAt).getTime();
+    else expiry = now + (expiresIn === undefined ? config.shares.defaultExpiresIn : Number(expiresIn)) * 1000;
+
+    if (!Number.isFinite(expiry) || expiry <= now) throw new HttpError(400, "SHARE_INVALID_EXPIRY");
+    if (expiry - now > config.shares.maxExpiresIn * 1000) {
+      throw new HttpError(400, "SHARE_EXPIRY_TOO_LONG", { maxDays: Math.round(config.shares.maxExpiresIn / 86400) });
+    }
+    return new Date(expiry).toISOString();
+  }
+
+  async function create(record, user, { expiresIn, expiresAt, password, maxDownloads, downloadMode } = {}) {
+    if (maxDownloads !== undefined && maxDownloads !== null && (!Number.isInteger(maxDownloads) || maxDownloads < 1)) {
+      throw new HttpError(400, "INVALID_PARAMETER", { param: "maxDownloads" });
+    }
+    if (password !== undefined && password !== null && (typeof password !== "string" || password.length < 4)) {
+      throw new HttpError(400, "SHARE_PASSWORD_TOO_SHORT", { minLength: 4 });
+    }
+    if (downloadMode !== undefined && downloadMode !== null && !DOWNLOAD_MODES.includes(downloadMode)) {
+      throw new HttpError(400, "INVALID_PARAMETER", { param: "downloadMode", allowed: DOWNLOAD_MODES });
+    }
+
+    const token = crypto.randomBytes(24).toString("base64url");
+    const link = await links.set(token, {
+      fileId: record.id,
+      originalName: record.originalName,
+      createdBy: user.uid,
+      createdAt: new Date().toISOString(),
+      expiresAt: expiryFrom({ expiresIn, expiresAt }),
+      passwordHash: password ? await hashPassword(password) : null,
+      maxDownloads: maxDownloads || null,
+      downloadMode: downloadMode || null,
+      downloads: 0,
+      revokedAt: null,
+    });
+    return shareView(link);
+  }
+
+  const get = (token) => links.get(token);
+
+  const listForFile = (fileId) => links.find({ where: [["fileId", "==", fileId]], orderBy: "createdAt", direction: "desc" });
+
+  const listByUser = (uid) => links.find({ where: [["createdBy", "==", uid]], orderBy: "createdAt", direction: "desc" });
+
+  const revoke = (link, user) => links.update(link.id, { revokedAt: new Date().toISOString(), revokedBy: user.uid });
+
+  const accessLog = (token) => accesses.find({ where: [["shareId", "==", token]], orderBy: "at", direction: "desc", limit: 200 });
+
+  async function log(link, req, outcome) {
+    await accesses.add({
+      shareId: link.id,
+      fileId: link.fileId,
+      at: new Date().toISOString(),
+      ip: req.ip,
+      userAgent: req.get("user-agent") || null,
+      outcome,
+    });
+    console.log(`🔗 Lien ${link.id.slice(0, 8)}… (${link.originalName}) : ${outcome} depuis ${req.ip}`);
+  }
+
+  // Mode "stream" : un téléchargement compté ouvre une session (même lien, même adresse IP)
+  // qui couvre pendant `config.shares.resumeWindow` les reprises par plages, dans la limite
+  // des octets du fichier que le client n'a pas encore reçus. Une requête qui part du début
+  // du fichier, ou hors session, est un nouveau téléchargement, plage ou non : compté, ou
+  // refusé si la limite est atteinte.
+  const sessions = new Map();
+
+  // Contrôle d'un accès public au lien. En mode "redirect", le téléchargement autorisé est
+  // compté aussitôt, sauf pour une requête HEAD (aperçu du lien, vérification) ; en mode
+  // "stream", par startDownload() avant l'envoi du contenu.
+  async function open(token, password, req) {
+    const link = await links.get(token);
+    if (!link) throw new HttpError(404, "SHARE_NOT_FOUND");
+
+    const refuse = async (outcome, status, code, details) => {
+      await log(link, req, outcome);
+      throw new HttpError(status, code, details);
+    };
+
+    const mode = link.downloadMode || config.download.mode;
+    const status = linkStatus(link);
+    if (status === "revoked") await refuse(status, 410, "SHARE_REVOKED");
+    if (status === "expired") await refuse(status, 410, "SHARE_EXPIRED");
+    // Une reprise dans une session ouverte reste possible une fois la limite atteinte
+    if (status === "exhausted" && !(mode === "stream" && activeSession(link, req))) {
+      await refuse(status, 410, "SHARE_EXHAUSTED");
+    }
+
+    const record = await metadata.uploads.get(link.fileId);
+    if (!record || record.deletedAt) await refuse("missing", 410, "SHARE_FILE_GONE");
+
+    if (link.passwordHash) {
+      if (!password) await refuse("password-required", 401, "SHARE_PASSWORD_REQUIRED", { passwordRequired: true });
+      if (!(await checkPassword(password, link.passwordHash))) {
+        await refuse("bad-password", 403, "SHARE_PASSWORD_INVALID", { passwordRequired: true });
+      }
+    }
+
+    if (mode === "stream" || req.method === "HEAD") return { link, record, mode };
+    return { link: await countDownload(link, req), record, mode };
+  }
+
+  function activeSession(link, req) {
+    const key = `${link.id}:${req.ip}`;
+    const session = sessions.get(key);
+    if (session && session.expiresAt > Date.now()) return session;
+    sessions.delete(key);
+    return null;
+  }
+
+  // Avant l'envoi de `length` octets (null : taille inconnue) à partir de l'octet `start`
+  // d'un fichier de `size` octets. Renvoie la fonction à appeler avec les octets réellement
+  // envoyés, qui rend à la session ce que le client n'a pas reçu.
+  async function startDownload(link, req, { start, length, size }) {
+    const session = start > 0 && length !== null ? activeSession(link, req) : null;
+    if (session && session.remaining >= length) {
+      session.remaining -= length;
+    } else {
+      await countDownload(link, req);
+      if (length === null) return () => {};
+      for (const [key, { expiresAt }] of sessions) if (expiresAt <= Date.now()) sessions.delete(key);
+      sessions.set(`${link.id}:${req.ip}`, { remaining: size - length, expiresAt: Date.now() + config.shares.resumeWindow * 1000 });
+    }
+    const reserved = sessions.get(`${link.id}:${req.ip}`);
+    return (bytes) => {
+      reserved.remaining += Math.max(0, length - bytes);
+    };
+  }
+
+  // La limite est vérifiée dans la transaction qui compte : deux téléchargements simultanés
+  // ne peuvent pas prendre la même dernière place
+  async function countDownload(link, req) {
+    let exhausted = false;
+    const updated = await links.transact(link.id, (current) => {
+      exhausted = linkStatus(current) === "exhausted";
+      return exhausted ? null : { downloads: current.downloads + 1, lastAccessAt: new Date().toISOString() };
+    });
+    if (exhausted) {
+      await log(link, req, "exhausted");
+      throw new HttpError(410, "SHARE_EXHAUSTED");
+    }
+    await log(link, req, "download");
+    return updated;
+  }
+
+  return { create, get, listForFile, listByUser, revoke, accessLog, open, startDownload };
+}
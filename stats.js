@@ -0,0 +1,68 @@
+// Statistiques de stockage du tableau de bord d'administration et de /metrics, calculées
+// sur les enregistrements d'upload (taille de la version courante ; la corbeille à part).
+// Le calcul parcourt tous les enregistrements : son résultat est gardé `statsCacheTtl` ms.
+import path from "path";
+
+const TOP = 10;
+
+function tally(map, key, size) {
+  const entry = map.get(key) || { files: 0, bytes: 0 };
+  entry.files++;
+  entry.bytes += size;
+  map.set(key, entry);
+}
+
+const sorted = (map, name) => [...map].map(([key, entry]) => ({ [name]: key, ...entry })).sort((a, b) => b.bytes - a.bytes || b.files - a.files);
+
+export function createStats({ config, metadata, io }) {
+  const options = config.admin;
+  let cached = null;
+
+  async function compute() {
+    const days = new Map();
+    const today = new Date();
+    for (let i = options.statsDays - 1; i >= 0; i--) {
+      const day = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() - i));
+      days.set(day.toISOString().slice(0, 10), { files: 0, bytes: 0 });
+    }
+
+    const totals = { files: 0, bytes: 0 };
+    const trash = { files: 0, bytes: 0 };
+    const uploaders = new Map();
+    const types = new Map();
+    for (const record of await metadata.uploads.listAll()) {
+      const size = record.size || 0;
+      if (record.deletedAt) {
+        trash.files++;
+        trash.bytes += size;
+        continue;
+      }
+      totals.files++;
+      totals.bytes += size;
+      tally(uploaders, record.ownerId || "inconnu", size);
+      tally(types, path.extname(record.originalName || "").toLowerCase() || "(aucune)", size);
+      const day = record.receivedAt?.slice(0, 10);
+      if (days.has(day)) tally(days, day, size);
+    }
+
+    return {
+      ...totals,
+      trash,
+      perDay: [...days].map(([date, entry]) => ({ date, ...entry })),
+      topUploaders: sorted(uploaders, "uid").slice(0, TOP),
+      types: sorted(types, "extension"),
+      computedAt: new Date().toISOString(),
+    };
+  }
+
+  async function storage({ fresh = false } = {}) {
+    if (fresh || !cached || Date.now() - cached.at > options.statsCacheTtl) {
+      cached = { at: Date.now(), value: await compute() };
+    }
+    return cached.value;
+  }
+
+  const sockets = () => io.of("/").sockets.size;
+
+  return { storage, sockets };
+}
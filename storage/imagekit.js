@@ -0,0 +1,57 @@
+import fs from "fs";
+import axios from "axios";
+
+export default async function createImageKitStorage({ folder = "/uploads" }) {
+  const { default: imagekit } = await import("../imagekit.js");
+
+  // Les paramètres de requête font partie de la signature
+  function signedUrl(ref, expiresIn = 3600, queryParameters = {}) {
+    return imagekit.url({ path: ref.filePath, signed: true, expireSeconds: expiresIn, queryParameters });
+  }
+
+  return {
+    name: "imagekit",
+
+    async put({ source, name, folder: target = folder }) {
+      const result = await imagekit.upload({
+        file: fs.createReadStream(source),
+        fileName: name,
+        folder: target,
+      });
+      return { fileId: result.fileId, filePath: result.filePath };
+    },
+
+    // `disposition` : téléchargement plutôt qu'affichage (ik-attachment). ImageKit ne permet
+    // pas de choisir le nom du fichier téléchargé : c'est celui de l'objet stocké (storedAs).
+    // Le mode "stream" (DOWNLOAD_MODE, ou downloadMode d'un lien de partage) garde le nom d'origine.
+    async getUrl(ref, { expiresIn, disposition } = {}) {
+      if (!disposition) return signedUrl(ref, expiresIn);
+      return signedUrl(ref, expiresIn, { "ik-attachment": "true" });
+    },
+
+    async stream(ref, { start, end } = {}) {
+      const headers = {};
+      if (start !== undefined || end !== undefined) headers.Range = `bytes=${start ?? 0}-${end ?? ""}`;
+      const res = await axios.get(signedUrl(ref), { responseType: "stream", headers });
+      return res.data;
+    },
+
+    async delete(ref) {
+      await imagekit.deleteFile(ref.fileId);
+    },
+
+    async exists(ref) {
+      try {
+        await imagekit.getFileDetails(ref.fileId);
+        return true;
+      } catch (err) {
+        if (err.$ResponseMetadata?.statusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async check() {
+      await imagekit.listFiles({ path: folder, limit: 1 });
+    },
+  };
+}
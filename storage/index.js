@@ -0,0 +1,75 @@
+// Abstraction du stockage des fichiers.
+//
+// Chaque driver expose la même interface :
+//   name                                   nom du driver (enregistré avec chaque fichier)
+//   put({ source, name, folder, size, contentType }) -> { fileId, filePath }
+//   getUrl(ref, { expiresIn, disposition })         -> URL signée, ou null si le driver ne sait que streamer
+//                                                     (disposition : en-tête Content-Disposition à imposer)
+//   stream(ref, { start, end })                     -> Readable
+//   delete(ref)
+//   exists(ref)                                     -> boolean
+//   check()                                         lève une erreur si le stockage est injoignable (GET /health)
+//
+// `source` est le chemin d'un fichier temporaire local : le driver le lit sans le supprimer.
+// `ref` est l'enregistrement du fichier ({ fileId, filePath }) tel que renvoyé par put().
+//
+// Avec un stockage d'archive (config.storage.archive), les règles de conservation y
+// déplacent les objets des fichiers anciens (voir retention.js) : ces objets sont
+// enregistrés avec storage: "archive" et le stockage renvoyé par createStorage() aiguille
+// chaque opération vers le bon driver. Les nouveaux objets vont toujours au stockage principal.
+
+import fs from "fs";
+import fsPromises from "fs/promises";
+import os from "os";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+const drivers = {
+  imagekit: () => import("./imagekit.js"),
+  local: () => import("./local.js"),
+  s3: () => import("./s3.js"),
+};
+
+export const ARCHIVE = "archive";
+
+async function createDriver(driver, options) {
+  const load = drivers[driver];
+  if (!load) throw new Error(`Driver de stockage inconnu : ${driver}`);
+
+  const { default: create } = await load();
+  return create(options);
+}
+
+export async function createStorage(options) {
+  const primary = await createDriver(options.driver, options[options.driver] || {});
+  const { driver, ...archiveOptions } = options.archive || {};
+  if (!driver) return primary;
+
+  const archive = await createDriver(driver, { ...options[driver], ...archiveOptions });
+  const pick = (ref) => (ref?.storage === ARCHIVE ? archive : primary);
+  return {
+    name: primary.name,
+    archive,
+    put: (input) => primary.put(input),
+    getUrl: (ref, urlOptions) => pick(ref).getUrl(ref, urlOptions),
+    stream: (ref, range) => pick(ref).stream(ref, range),
+    delete: (ref) => pick(ref).delete(ref),
+    exists: (ref) => pick(ref).exists(ref),
+    async check() {
+      await primary.check();
+      await archive.check();
+    },
+  };
+}
+
+// Copie locale temporaire d'un objet stocké, le temps de `fn(chemin)`
+export async function withLocalCopy(storage, ref, fn) {
+  const dir = await fsPromises.mkdtemp(path.join(os.tmpdir(), "storage-"));
+  try {
+    const file = path.join(dir, "object");
+    await pipeline(await storage.stream(ref), fs.createWriteStream(file));
+    return await fn(file);
+  } finally {
+    await fsPromises.rm(dir, { recursive: true, force: true });
+  }
+}
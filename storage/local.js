@@ -0,0 +1,51 @@
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+
+export default function createLocalStorage({ dir, folder = "uploads" }) {
+  const root = path.resolve(dir);
+
+  function resolve(ref) {
+    const full = path.resolve(root, ref.fileId);
+    if (!full.startsWith(root + path.sep)) throw new Error("Chemin de stockage invalide");
+    return full;
+  }
+
+  return {
+    name: "local",
+
+    async put({ source, name, folder: target = folder }) {
+      const fileId = path.posix.join(target.replace(/^\/+/, ""), name);
+      const dest = resolve({ fileId });
+      await fsPromises.mkdir(path.dirname(dest), { recursive: true });
+      await fsPromises.copyFile(source, dest);
+      return { fileId, filePath: `/${fileId}` };
+    },
+
+    async getUrl() {
+      return null;
+    },
+
+    async stream(ref, { start, end } = {}) {
+      return fs.createReadStream(resolve(ref), { start, end });
+    },
+
+    async delete(ref) {
+      await fsPromises.rm(resolve(ref), { force: true });
+    },
+
+    async exists(ref) {
+      try {
+        await fsPromises.access(resolve(ref));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    async check() {
+      await fsPromises.mkdir(root, { recursive: true });
+      await fsPromises.access(root, fs.constants.W_OK);
+    },
+  };
+}
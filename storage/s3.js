@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+export default function createS3Storage({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, folder = "uploads", storageClass }) {
+  if (!bucket) throw new Error("Variable S3_BUCKET manquante !");
+
+  const client = new S3Client({
+    endpoint,
+    region,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: "s3",
+
+    async put({ source, name, folder: target = folder, size, contentType }) {
+      const key = path.posix.join(target.replace(/^\/+/, ""), name);
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: fs.createReadStream(source),
+        ContentLength: size,
+        ContentType: contentType,
+        StorageClass: storageClass,
+      }));
+      return { fileId: key, filePath: `/${key}` };
+    },
+
+    async getUrl(ref, { expiresIn = 3600, disposition } = {}) {
+      const command = new GetObjectCommand({
+        Bucket: bucket,
+        Key: ref.fileId,
+        ResponseContentDisposition: disposition,
+      });
+      return getSignedUrl(client, command, { expiresIn });
+    },
+
+    async stream(ref, { start, end } = {}) {
+      const range = start !== undefined || end !== undefined ? `bytes=${start ?? 0}-${end ?? ""}` : undefined;
+      const res = await client.send(new GetObjectCommand({ Bucket: bucket, Key: ref.fileId, Range: range }));
+      return res.Body;
+    },
+
+    async delete(ref) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: ref.fileId }));
+    },
+
+    async exists(ref) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: ref.fileId }));
+        return true;
+      } catch (err) {
+        if (err.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+
+    async check() {
+      await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    },
+  };
+}
@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import XLSX from "xlsx";
+import { createServices, startServer } from "./helpers.js";
+import { createStats } from "../stats.js";
+import { createHealth } from "../health.js";
+import { createMetrics } from "../metrics.js";
+import adminRouter from "../routes/admin.js";
+
+// Deux clients socket.io connectés
+const io = { of: () => ({ sockets: new Map([["s1", {}], ["s2", {}]]) }) };
+
+async function setup(t) {
+  const services = await createServices(t, { admin: { healthCacheTtl: 0, healthTimeout: 50 } });
+  const { config, metadata, storage, notifier, notifications, webhooks } = services;
+  const stats = createStats({ config, metadata, io });
+  const health = createHealth({ config, metadata, storage, notifier });
+  const metrics = createMetrics({ stats, notifications, webhooks });
+  const request = await startServer(t, services, (app, deps) => {
+    app.use(metrics.track);
+    app.use(adminRouter({ ...deps, stats, health, metrics }));
+  });
+  return { ...services, stats, request };
+}
+
+test("statistiques de stockage : totaux, corbeille, uploads du jour, utilisateurs et types", async (t) => {
+  const { upload, trash, stats } = await setup(t);
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([["a", "b"], [1, 2]]), "Feuille");
+  const sheet = await upload({ uid: "alice" }, "b.xlsx", XLSX.write(book, { type: "buffer", bookType: "xlsx" }));
+  const small = await upload({ uid: "alice" }, "a.csv", "a;b\n1;2\n");
+  const large = await upload({ uid: "bob" }, "c.csv", "x;y;z\n1;2;3\n4;5;6\n".repeat(10));
+  await trash.moveToTrash(await upload({ uid: "bob" }, "d.csv", "supprimé\n"), { uid: "bob" });
+
+  const bytes = sheet.size + small.size + large.size;
+  const storage = await stats.storage();
+  assert.deepEqual([storage.files, storage.bytes], [3, bytes]);
+  assert.deepEqual(storage.trash, { files: 1, bytes: 10 });
+  assert.deepEqual(storage.perDay.at(-1), { date: new Date().toISOString().slice(0, 10), files: 3, bytes });
+  assert.equal(storage.perDay.length, 30);
+  assert.deepEqual(storage.topUploaders, [{ uid: "alice", files: 2, bytes: sheet.size + small.size }, { uid: "bob", files: 1, bytes: large.size }]);
+  assert.deepEqual(storage.types.map(({ extension, files }) => [extension, files]).sort(), [[".csv", 2], [".xlsx", 1]]);
+
+  // Résultat gardé en cache, sauf recalcul demandé
+  await upload({ uid: "alice" }, "e.csv", "e;f\n1;2\n");
+  assert.equal((await stats.storage()).files, 3);
+  assert.equal((await stats.storage({ fresh: true })).files, 4);
+});
+
+test("/health vérifie chaque service, dans un délai borné", async (t) => {
+  const { request, storage, notifier } = await setup(t);
+  const ok = await request("/health", { user: null });
+  assert.equal(ok.status, 200);
+  const body = await ok.json();
+  assert.equal(body.status, "ok");
+  assert.deepEqual(Object.keys(body.checks).sort(), ["metadata", "notifier", "storage"]);
+  assert.equal(body.checks.storage.driver, "local");
+
+  t.mock.method(console, "error", () => {});
+  t.mock.method(storage, "check", async () => {
+    throw new Error("disque plein");
+  });
+  t.mock.method(notifier, "check", () => new Promise(() => {}));
+  const down = await request("/health", { user: null });
+  assert.equal(down.status, 503);
+  const { status, checks } = await down.json();
+  assert.deepEqual([status, checks.metadata.status, checks.storage.status, checks.notifier.status], ["error", "ok", "error", "error"]);
+});
+
+test("/metrics et /admin/stats sont réservés aux administrateurs", async (t) => {
+  const { request, upload } = await setup(t);
+  await upload({ uid: "alice" }, "a.csv", "a;b\n1;2\n");
+  await request("/health", { user: null });
+  assert.equal((await request("/metrics")).status, 403);
+  assert.equal((await request("/admin/stats")).status, 403);
+
+  const res = await request("/metrics", { user: "admin" });
+  assert.match(res.headers.get("content-type"), /^text\/plain;.*version=0\.0\.4/);
+  const text = await res.text();
+  assert.match(text, /^# TYPE fichiers_http_requests_total counter$/m);
+  assert.match(text, /^fichiers_http_requests_total\{method="GET",route="\/health",status="200"\} 1$/m);
+  assert.match(text, /^fichiers_http_requests_total\{method="GET",route="\/metrics",status="403"\} 1$/m);
+  assert.match(text, /^fichiers_files\{state="active"\} 1$/m);
+  assert.match(text, /^fichiers_socket_connections 2$/m);
+
+  const dashboard = await (await request("/admin/stats", { user: "admin" })).json();
+  assert.equal(dashboard.storage.files, 1);
+  assert.deepEqual(dashboard.sockets, { connected: 2 });
+  assert.equal(dashboard.notifications.driver, "memory");
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAuth } from "../auth.js";
+
+const alice = { uid: "alice", admin: false, via: "apiKey" };
+
+// Ce que authenticate() lit de la requête, et ce qu'il passe à next()
+function authenticate(auth, { path, query = {}, headers = {} }) {
+  const req = { path, query, get: (name) => headers[name.toLowerCase()] };
+  return new Promise((resolve) => auth.authenticate(req, null, (err) => resolve(err || req.user)));
+}
+
+test("un jeton de lien ne sert qu'une fois, et pour son seul chemin", async () => {
+  const auth = createAuth({ apiKeys: { ka: alice }, admin: null });
+  const { token } = auth.issueLinkToken(alice, "/download/a.pdf");
+
+  assert.deepEqual(await authenticate(auth, { path: "/download/a.pdf", query: { link_token: token } }), alice);
+  assert.equal((await authenticate(auth, { path: "/download/a.pdf", query: { link_token: token } })).code, "AUTH_REQUIRED");
+
+  const other = auth.issueLinkToken(alice, "/download/a.pdf").token;
+  assert.equal((await authenticate(auth, { path: "/download/b.pdf", query: { link_token: other } })).code, "AUTH_REQUIRED");
+  assert.equal((await authenticate(auth, { path: "/download/a.pdf", query: { link_token: other } })).code, "AUTH_REQUIRED");
+});
+
+test("un jeton de lien expiré est refusé ; la clé n'est plus acceptée dans l'URL", async () => {
+  const auth = createAuth({ apiKeys: { ka: alice }, admin: null, linkTokenTtl: 0 });
+  const { token } = auth.issueLinkToken(alice, "/download/a.pdf");
+  assert.equal((await authenticate(auth, { path: "/download/a.pdf", query: { link_token: token } })).code, "AUTH_REQUIRED");
+
+  assert.equal((await authenticate(auth, { path: "/download/a.pdf", query: { access_token: "ka" } })).code, "AUTH_REQUIRED");
+  assert.deepEqual(await authenticate(auth, { path: "/download/a.pdf", headers: { "x-api-key": "ka" } }), alice);
+});
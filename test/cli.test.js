@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import path from "path";
+import { createServices, startServer, tempDir, waitFor } from "./helpers.js";
+import uploadRouter from "../routes/upload.js";
+import filesRouter from "../routes/files.js";
+import { loadConfig } from "../cli/config.js";
+import { createClient, errorMessage } from "../cli/client.js";
+import { formatSize } from "../cli/format.js";
+import { uploadFile, describeUpload } from "../cli/upload.js";
+import { get } from "../cli/get.js";
+
+const CSV = "ville,habitants\nLyon,522000\nLille,236000\n".repeat(50);
+
+// Variables d'environnement du client, rétablies à la fin du test
+function withEnv(t, values) {
+  const saved = Object.fromEntries(Object.keys(values).map((name) => [name, process.env[name]]));
+  t.after(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+  for (const [name, value] of Object.entries(values)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+test("tailles lisibles", () => {
+  assert.equal(formatSize(512), "512 o");
+  assert.equal(formatSize(1536), "1.5 Ko");
+  assert.equal(formatSize(5 * 1024 ** 3), "5.0 Go");
+});
+
+test("configuration : fichier, puis variables d'environnement", async (t) => {
+  const dir = await tempDir(t);
+  const file = path.join(dir, "fichiers.json");
+  await fsPromises.writeFile(file, JSON.stringify({ server: "https://fichiers.example.com/", apiKey: "cle" }));
+  withEnv(t, { FICHIERS_CONFIG: undefined, FICHIERS_SERVER: undefined, FICHIERS_API_KEY: undefined });
+
+  assert.deepEqual(await loadConfig(file), { server: "https://fichiers.example.com", apiKey: "cle" });
+  process.env.FICHIERS_API_KEY = "autre";
+  assert.equal((await loadConfig(file)).apiKey, "autre");
+  await assert.rejects(loadConfig(path.join(dir, "absent.json")), /Configuration illisible/);
+
+  // Sans fichier par défaut, les variables suffisent
+  process.env.FICHIERS_CONFIG = path.join(dir, "absent.json");
+  process.env.FICHIERS_SERVER = "http://localhost:3000";
+  assert.deepEqual(await loadConfig(), { server: "http://localhost:3000", apiKey: "autre" });
+  delete process.env.FICHIERS_SERVER;
+  await assert.rejects(loadConfig(), /Adresse du serveur ou clé d'API manquante/);
+});
+
+async function setup(t) {
+  const services = await createServices(t, { upload: { chunkSize: 400 } });
+  const request = await startServer(t, services, (app, deps) => {
+    app.use(uploadRouter(deps));
+    app.use(filesRouter(deps));
+  });
+  const dir = await tempDir(t);
+  const client = createClient({ server: request.base, apiKey: "key-alice" });
+  t.mock.method(console, "log", () => {});
+  const errors = t.mock.method(console, "error", () => {});
+  return { ...services, client, dir, errors };
+}
+
+test("upload par morceaux puis téléchargement repris là où il s'était arrêté", async (t) => {
+  const { client, dir, errors, audit, metadata } = await setup(t);
+  const source = path.join(dir, "villes.csv");
+  await fsPromises.writeFile(source, CSV);
+
+  let progress = 0;
+  const record = await uploadFile(client, source, {}, { onProgress: (sent) => { progress = sent; } });
+  assert.equal(progress, CSV.length);
+  assert.equal(record.sha256, crypto.createHash("sha256").update(CSV).digest("hex"));
+  assert.equal(describeUpload(await uploadFile(client, source)), `déjà présent (${record.id})`);
+
+  // Copie partielle d'une tentative précédente
+  const target = path.join(dir, "copie.csv");
+  await fsPromises.writeFile(`${target}.part`, CSV.slice(0, 700));
+  await get(client, { positionals: ["villes.csv"], values: { output: target } });
+  assert.equal(await fsPromises.readFile(target, "utf8"), CSV);
+  assert.ok(errors.mock.calls.some((call) => String(call.arguments[0]).startsWith("Reprise à")));
+  await assert.rejects(fsPromises.access(`${target}.part`));
+
+  await assert.rejects(get(client, { positionals: [record.id], values: { output: target } }), /existe déjà/);
+  await assert.rejects(get(client, { positionals: ["inconnu.csv"], values: {} }), /Aucun fichier "inconnu.csv"/);
+
+  // Le téléchargement est journalisé et daté après l'envoi de la réponse
+  const [latest] = (await waitFor(() => audit.page({ where: [["action", "==", "download"]] }), ({ items }) => items.length === 1)).items;
+  await waitFor(() => metadata.uploads.get(record.id), (file) => file.lastDownloadedAt === latest.at);
+});
+
+test("les erreurs de l'API sont affichées avec leur code", async (t) => {
+  const { client } = await setup(t);
+  const err = await client.post("/upload/sessions", { filename: "outil.exe", size: 10 }).catch((error) => error);
+  assert.equal(await errorMessage(err), "Type de fichier non autorisé: .exe (FILE_TYPE_NOT_ALLOWED, HTTP 415)");
+
+  const stream = await client.get("/download/inconnu.csv", { responseType: "stream" }).catch((error) => error);
+  assert.match(await errorMessage(stream), /\(FILE_NOT_FOUND, HTTP 404\)$/);
+
+  const offline = createClient({ server: "http://127.0.0.1:1", apiKey: "cle" });
+  assert.equal(await errorMessage(await offline.get("/files").catch((error) => error)), "Serveur injoignable (http://127.0.0.1:1)");
+});
@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import XLSX from "xlsx";
+import { createServices, startServer, waitFor } from "./helpers.js";
+import { parseSheet, parseFilter } from "../datasets.js";
+import dataRouter from "../routes/data.js";
+
+const alice = { uid: "alice" };
+const CSV = "ville,code,habitants,superficie,capitale,fondation\nLyon,69000,522000,47.87,faux,\nParis,75000,2133000,105.4,vrai,0300-01-01\nLille,59000,236000,34.8,faux,\n";
+
+test("le type de chaque colonne est déduit de ses valeurs", () => {
+  const sheet = XLSX.utils.aoa_to_sheet([
+    ["ville", "code postal", "prix", "actif", "ouverture", "", "ville"],
+    ["Lyon", "01000", "1,5", "vrai", "2024-03-01", "x", "a"],
+    ["Lille", "59000", "2", "FAUX", "2024-03-01T08:30:00Z", 3, null],
+    ["Nice", null, 4, true, null, null, "c"],
+  ]);
+  const { columns, rows, truncated } = parseSheet(sheet);
+
+  assert.deepEqual(columns, [
+    { name: "ville", type: "string" },
+    { name: "code postal", type: "string" },
+    { name: "prix", type: "number" },
+    { name: "actif", type: "boolean" },
+    { name: "ouverture", type: "date" },
+    { name: "colonne_6", type: "string" },
+    { name: "ville_2", type: "string" },
+  ]);
+  assert.deepEqual(rows[0], ["Lyon", "01000", 1.5, true, "2024-03-01", "x", "a"]);
+  assert.deepEqual(rows[1], ["Lille", "59000", 2, false, "2024-03-01T08:30:00.000Z", "3", null]);
+  assert.equal(truncated, false);
+  assert.equal(parseSheet(sheet, { maxRows: 2 }).truncated, true);
+
+  assert.throws(() => parseFilter("prix:environ:3", columns), { code: "INVALID_FILTER" });
+  assert.throws(() => parseFilter("prix:gt:beaucoup", columns), { code: "INVALID_FILTER" });
+  assert.throws(() => parseFilter("inconnue:eq:3", columns), { code: "INVALID_PARAMETER" });
+  assert.deepEqual(rows.filter(parseFilter("prix:gte:2", columns)).map((row) => row[0]), ["Lille", "Nice"]);
+});
+
+async function setup(t) {
+  const services = await createServices(t);
+  const request = await startServer(t, services, (app, deps) => app.use(dataRouter(deps)));
+  return { ...services, request };
+}
+
+test("un tableur lu à l'upload s'interroge par colonnes, filtres et pages", async (t) => {
+  const { upload, request } = await setup(t);
+  const record = await upload(alice, "villes.csv", CSV, { ingest: true });
+  assert.equal(record.dataset.status, "ready");
+  assert.deepEqual(record.dataset.sheets[0].columns.map((column) => column.type), ["string", "integer", "integer", "number", "boolean", "date"]);
+
+  const res = await request(`/files/${record.id}/data?columns=ville,habitants&filter=capitale:eq:faux&filter=habitants:gt:100000&limit=1`);
+  const data = await res.json();
+  assert.equal(res.status, 200);
+  assert.deepEqual([data.total, data.offset, data.limit], [2, 0, 1]);
+  assert.deepEqual(data.columns, [{ name: "ville", type: "string" }, { name: "habitants", type: "integer" }]);
+  assert.deepEqual(data.rows, [{ ville: "Lyon", habitants: 522000 }]);
+  assert.deepEqual((await (await request(`/files/${record.id}/data?columns=ville&offset=1`)).json()).rows, [{ ville: "Paris" }, { ville: "Lille" }]);
+
+  assert.equal((await (await request(`/files/${record.id}/data?columns=pays`)).json()).code, "INVALID_PARAMETER");
+  assert.equal((await request(`/files/${record.id}/data?limit=5000`)).status, 400);
+  assert.equal((await request(`/files/${record.id}/data`, { user: "bob" })).status, 404);
+});
+
+test("un fichier envoyé sans lecture des données peut être lu ensuite, puis converti", async (t) => {
+  const { upload, request, audit, metadata } = await setup(t);
+  const record = await upload(alice, "villes.csv", CSV);
+  const missing = await request(`/files/${record.id}/data`);
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).code, "DATA_UNAVAILABLE");
+
+  const ingested = await request(`/files/${record.id}/data`, { method: "POST" });
+  assert.equal(ingested.status, 200);
+  assert.equal((await ingested.json()).dataset.sheets[0].rowCount, 3);
+  assert.equal((await (await request(`/files/${record.id}/data?filter=ville:contains:LI`)).json()).total, 1);
+
+  const json = await request(`/files/${record.id}/convert?format=json`);
+  assert.match(json.headers.get("content-disposition"), /villes\.json/);
+  assert.deepEqual((await json.json())[0], { ville: "Lyon", code: 69000, habitants: 522000, superficie: 47.87, capitale: false, fondation: null });
+  const xlsx = await request(`/files/${record.id}/convert?format=xlsx`);
+  const workbook = XLSX.read(Buffer.from(await xlsx.arrayBuffer()));
+  assert.equal(XLSX.utils.sheet_to_csv(workbook.Sheets[workbook.SheetNames[0]]).split("\n")[1], "Lyon,69000,522000,47.87,faux,");
+  const same = await request(`/files/${record.id}/convert?format=csv`);
+  assert.deepEqual((await same.json()).allowed, ["json", "xlsx"]);
+
+  // La conversion est un téléchargement : journalisée et datée après l'envoi
+  const [latest] = (await waitFor(() => audit.page({ where: [["action", "==", "download"]] }), ({ items }) => items.length === 2)).items;
+  await waitFor(() => metadata.uploads.get(record.id), (file) => file.lastDownloadedAt === latest.at);
+});
@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import fsPromises from "fs/promises";
+import path from "path";
+import { createServices, startServer } from "./helpers.js";
+import filesRouter from "../routes/files.js";
+
+const CSV = "ville;habitants\nLyon;522000\n";
+const SHA = crypto.createHash("sha256").update(CSV).digest("hex");
+const alice = { uid: "alice" };
+const bob = { uid: "bob" };
+
+const storedObjects = (dir) => fsPromises.readdir(path.join(dir, "storage", "uploads")).catch(() => []);
+
+test("même contenu : réutilisé pour le même utilisateur, objet partagé avec un autre", async (t) => {
+  const { upload, metadata, dir } = await createServices(t);
+  const first = await upload(alice, "villes.csv", CSV);
+  assert.equal(first.sha256, SHA);
+
+  const again = await upload(alice, "copie.csv", CSV);
+  assert.equal(again.duplicate, true);
+  assert.equal(again.id, first.id);
+
+  const theirs = await upload(bob, "villes.csv", CSV);
+  assert.notEqual(theirs.id, first.id);
+  assert.equal(theirs.fileId, first.fileId);
+  assert.equal((await metadata.uploads.list()).length, 2);
+  assert.equal((await storedObjects(dir)).length, 1);
+});
+
+test("UPLOAD_DEDUP=reject refuse le doublon ; une empreinte annoncée fausse est refusée", async (t) => {
+  const { upload } = await createServices(t, { upload: { dedup: "reject" } });
+  const first = await upload(alice, "villes.csv", CSV);
+
+  await assert.rejects(upload(alice, "copie.csv", CSV), { status: 409, code: "DUPLICATE_FILE", details: { existingId: first.id, originalName: "villes.csv" } });
+  await assert.rejects(upload(alice, "autre.csv", "a;b\n1;2\n", { expectedSha256: SHA }), { status: 422, code: "CHECKSUM_MISMATCH" });
+});
+
+test("échec de l'enregistrement : l'objet envoyé au stockage est supprimé, sauf s'il est partagé", async (t) => {
+  const { upload, metadata, dir } = await createServices(t);
+  const create = metadata.uploads.create;
+  metadata.uploads.create = async () => { throw new Error("métadonnées indisponibles"); };
+
+  await assert.rejects(upload(alice, "villes.csv", CSV), /métadonnées indisponibles/);
+  assert.deepEqual(await storedObjects(dir), []);
+
+  metadata.uploads.create = create;
+  await upload(alice, "villes.csv", CSV);
+  metadata.uploads.create = async () => { throw new Error("métadonnées indisponibles"); };
+  await assert.rejects(upload(bob, "villes.csv", CSV), /métadonnées indisponibles/);
+  assert.equal((await storedObjects(dir)).length, 1);
+});
+
+test("l'empreinte sert d'ETag et de Digest au téléchargement, et de clé pour HEAD /exists", async (t) => {
+  const services = await createServices(t, { download: { mode: "stream" } });
+  const request = await startServer(t, services, (app, deps) => app.use(filesRouter(deps)));
+  const record = await services.upload(alice, "villes.csv", CSV);
+
+  const res = await request(`/download/${record.storedAs}`);
+  assert.equal(res.status, 200);
+  assert.equal(await res.text(), CSV);
+  assert.equal(res.headers.get("etag"), `"${SHA}"`);
+  assert.equal(res.headers.get("digest"), `sha-256=${Buffer.from(SHA, "hex").toString("base64")}`);
+  assert.equal((await request(`/download/${record.storedAs}`, { headers: { "If-None-Match": `"${SHA}"` } })).status, 304);
+
+  const found = await request(`/exists/sha256/${SHA}`, { method: "HEAD" });
+  assert.equal(found.status, 200);
+  assert.equal(found.headers.get("x-file-id"), record.id);
+  // Le contenu d'alice n'est pas visible de bob
+  assert.equal((await request(`/exists/sha256/${SHA}`, { method: "HEAD", user: "bob" })).status, 404);
+});
@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer } from "./helpers.js";
+import { HttpError } from "../errors.js";
+import { translate } from "../messages.js";
+
+async function setup(t) {
+  const services = await createServices(t);
+  return startServer(t, services, (app, { auth }) => {
+    app.get("/protected", auth.authenticate, (req, res) => res.json({ uid: req.user.uid }));
+    app.post("/echo", (req, res) => res.json(req.body));
+    app.get("/conflict", (req, res, next) => next(new HttpError(409, "FOLDER_EXISTS", { name: "Compta" })));
+    app.get("/boom", () => {
+      throw new Error("secret interne");
+    });
+  });
+}
+
+test("les messages sont traduits, avec les paramètres de l'erreur", () => {
+  assert.equal(translate("RATE_LIMITED", { retryAfter: 5 }), "Trop de requêtes, réessayez dans 5 s");
+  assert.equal(translate("RATE_LIMITED", { retryAfter: 5 }, "en"), "Too many requests, retry in 5 s");
+  assert.equal(translate("CODE_INCONNU"), "CODE_INCONNU");
+  assert.equal(new HttpError(401, "AUTH_REQUIRED").message, "Authentification requise");
+});
+
+test("toutes les erreurs ont la même enveloppe JSON, dans la langue du client", async (t) => {
+  const request = await setup(t);
+
+  const missing = await request("/nulle-part", { headers: { "X-Request-Id": "req-42" } });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.headers.get("x-request-id"), "req-42");
+  assert.deepEqual(await missing.json(), {
+    error: "Aucune route pour GET /nulle-part", code: "ROUTE_NOT_FOUND", method: "GET", path: "/nulle-part", requestId: "req-42",
+  });
+
+  const english = await request("/conflict", { headers: { "Accept-Language": "en-US,en;q=0.9,fr;q=0.5" } });
+  assert.equal(english.status, 409);
+  assert.deepEqual(await english.json(), {
+    error: translate("FOLDER_EXISTS", { name: "Compta" }, "en"), code: "FOLDER_EXISTS", name: "Compta", requestId: english.headers.get("x-request-id"),
+  });
+  // Langue non proposée : français
+  assert.equal((await (await request("/protected", { user: null, headers: { "Accept-Language": "de" } })).json()).error, "Authentification requise");
+
+  const malformed = await request("/echo", { method: "POST", body: "{", headers: { "Content-Type": "application/json" } });
+  assert.equal(malformed.status, 400);
+  assert.equal((await malformed.json()).code, "INVALID_JSON");
+});
+
+test("une erreur inattendue répond 500 sans détail, avec l'identifiant de la requête", async (t) => {
+  const request = await setup(t);
+  const logged = t.mock.method(console, "error", () => {});
+
+  const res = await request("/boom", { headers: { "X-Request-Id": "pas un identifiant valide" } });
+  assert.equal(res.status, 500);
+  const body = await res.json();
+  const id = res.headers.get("x-request-id");
+  assert.match(id, /^[0-9a-f-]{36}$/);
+  assert.deepEqual(body, { error: "Erreur serveur", code: "INTERNAL_ERROR", requestId: id });
+  // Le détail ne va qu'au journal du serveur
+  assert.ok(logged.mock.calls.some((call) => String(call.arguments[0]).includes(id) && call.arguments[1]?.message === "secret interne"));
+});
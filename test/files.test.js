@@ -0,0 +1,61 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer } from "./helpers.js";
+import filesRouter from "../routes/files.js";
+
+async function setup(t) {
+  const services = await createServices(t);
+  const request = await startServer(t, services, (app, deps) => app.use(filesRouter(deps)));
+  const add = (originalName, fields = {}) => services.metadata.uploads.create({
+    originalName, ownerId: "alice", access: ["alice"], size: 100, folderId: null, receivedAt: "2024-03-01T10:00:00.000Z", ...fields,
+  });
+  const list = async (query, user) => {
+    const res = await request(`/files?${new URLSearchParams(query)}`, { user });
+    assert.equal(res.status, 200);
+    return res.json();
+  };
+  return { ...services, request, add, list };
+}
+
+const names = (page) => page.items.map((item) => item.originalName);
+
+test("pagination par curseur, triée par nom", async (t) => {
+  const { add, list } = await setup(t);
+  for (const name of ["e.pdf", "b.pdf", "d.pdf", "a.pdf", "c.pdf"]) await add(name);
+
+  const first = await list({ sort: "originalName", limit: 2 });
+  assert.deepEqual(names(first), ["a.pdf", "b.pdf"]);
+  const second = await list({ sort: "originalName", limit: 2, cursor: first.nextCursor });
+  assert.deepEqual(names(second), ["c.pdf", "d.pdf"]);
+  const last = await list({ sort: "originalName", limit: 2, cursor: second.nextCursor });
+  assert.deepEqual(names(last), ["e.pdf"]);
+  assert.equal(last.nextCursor, null);
+});
+
+test("filtres : nom, extension, dates, tailles, dossier ; la corbeille et les fichiers des autres sont exclus", async (t) => {
+  const { add, list, metadata } = await setup(t);
+  await add("Facture mars.pdf", { size: 2000 });
+  await add("facture avril.xlsx", { receivedAt: "2024-04-02T10:00:00.000Z" });
+  await add("devis.pdf", { folderId: "dossier-1" });
+  await add("facture bob.pdf", { ownerId: "bob", access: ["bob"] });
+  const trashed = await add("facture supprimée.pdf");
+  await metadata.uploads.update(trashed.id, { deletedAt: new Date().toISOString() });
+
+  assert.deepEqual(names(await list({ q: "FACTURE", sort: "originalName" })), ["Facture mars.pdf", "facture avril.xlsx"]);
+  assert.deepEqual(names(await list({ ext: "pdf", sort: "originalName" })), ["Facture mars.pdf", "devis.pdf"]);
+  assert.deepEqual(names(await list({ from: "2024-04-01" })), ["facture avril.xlsx"]);
+  assert.deepEqual(names(await list({ minSize: 1000 })), ["Facture mars.pdf"]);
+  assert.deepEqual(names(await list({ folder: "dossier-1" })), ["devis.pdf"]);
+  assert.equal((await list({ folder: "root" })).items.length, 2);
+  // Un administrateur voit aussi les fichiers des autres
+  assert.deepEqual(names(await list({ q: "bob" }, "admin")), ["facture bob.pdf"]);
+});
+
+test("paramètres de liste invalides : 400 avec le paramètre en cause", async (t) => {
+  const { request } = await setup(t);
+  for (const query of ["limit=500", "sort=ownerId", "order=up", "from=hier", "minSize=beaucoup"]) {
+    const res = await request(`/files?${query}`);
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).param, query.split("=")[0]);
+  }
+});
@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer } from "./helpers.js";
+import foldersRouter from "../routes/folders.js";
+
+const alice = { uid: "alice" };
+const bob = { uid: "bob" };
+
+async function setup(t) {
+  const services = await createServices(t);
+  const request = await startServer(t, services, (app, deps) => app.use(foldersRouter(deps)));
+  return { ...services, request };
+}
+
+test("un fichier ou un sous-dossier rangé dans un dossier partagé en hérite les membres", async (t) => {
+  const { folders, upload } = await setup(t);
+  const shared = await folders.create({ name: "Compta", sharedWith: ["bob"] }, alice);
+  const child = await folders.create({ name: "2024", parentId: shared.id, sharedWith: ["carol"] }, alice);
+  assert.deepEqual(child.access.sort(), ["alice", "bob", "carol"]);
+
+  const record = await upload(alice, "facture.csv", "date;montant\n", { folderId: child.id });
+  assert.deepEqual(record.access.sort(), ["alice", "bob", "carol"]);
+  assert.equal((await folders.get(child.id, bob)).id, child.id);
+
+  // Un membre hérité peut ranger un fichier : le propriétaire du dossier le voit
+  const theirs = await upload(bob, "devis.csv", "article;prix\n", { folderId: shared.id });
+  assert.deepEqual(theirs.access.sort(), ["alice", "bob"]);
+  await assert.rejects(upload({ uid: "dave" }, "x.csv", "x\n", { folderId: shared.id }), { status: 404, code: "FOLDER_NOT_FOUND" });
+});
+
+test("un dossier déplacé sous un dossier partagé transmet ses membres aux fichiers et sous-dossiers", async (t) => {
+  const { folders, upload, trash, metadata } = await setup(t);
+  const shared = await folders.create({ name: "Équipe", sharedWith: ["bob"] }, alice);
+  const moved = await folders.create({ name: "Projets" }, alice);
+  const child = await folders.create({ name: "Archives", parentId: moved.id }, alice);
+  const active = await upload(alice, "plan.csv", "plan", { folderId: child.id });
+  const trashed = await trash.moveToTrash(await upload(alice, "brouillon.csv", "brouillon", { folderId: moved.id }), alice);
+
+  const updated = await folders.update(moved, { parentId: shared.id }, alice);
+  assert.deepEqual(updated.access.sort(), ["alice", "bob"]);
+  assert.deepEqual((await folders.get(child.id, bob)).access.sort(), ["alice", "bob"]);
+  assert.deepEqual((await metadata.uploads.get(active.id)).access.sort(), ["alice", "bob"]);
+  assert.deepEqual((await metadata.uploads.get(trashed.id)).access.sort(), ["alice", "bob"]);
+
+  await assert.rejects(folders.update(shared, { parentId: child.id }, alice), { status: 400, code: "FOLDER_MOVE_INTO_SELF" });
+});
+
+test("l'archive ZIP d'un dossier contient ses sous-dossiers ; un dossier invisible répond 404", async (t) => {
+  const { folders, upload, request } = await setup(t);
+  const root = await folders.create({ name: "Rapports", sharedWith: ["bob"] }, alice);
+  const child = await folders.create({ name: "Annexes", parentId: root.id }, alice);
+  await upload(alice, "synthese.csv", "synthèse", { folderId: root.id });
+  await upload(alice, "annexe.csv", "annexe", { folderId: child.id });
+
+  const res = await request(`/folders/${root.id}/zip`, { user: "bob" });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-disposition"), /Rapports\.zip/);
+  const zip = Buffer.from(await res.arrayBuffer());
+  assert.equal(zip.readUInt32LE(0), 0x04034b50);
+  assert.ok(zip.includes("synthese.csv"));
+  assert.ok(zip.includes("Annexes/annexe.csv"));
+
+  assert.equal((await request(`/folders/${root.id}/zip`, { user: "admin" })).status, 200);
+  const other = await folders.create({ name: "Privé" }, alice);
+  assert.equal((await request(`/folders/${other.id}/zip`, { user: "bob" })).status, 404);
+});
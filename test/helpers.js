@@ -0,0 +1,202 @@
+// Outils communs des tests : dossier et magasin de métadonnées JSON temporaires (supprimés
+// à la fin du test), configuration de test, modules du serveur câblés comme dans index.js,
+// requête Express minimale, destinataire HTTP local des webhooks.
+import fsPromises from "fs/promises";
+import http from "http";
+import { once } from "events";
+import os from "os";
+import path from "path";
+import { setTimeout as sleep } from "timers/promises";
+import express from "express";
+import baseConfig from "../config.js";
+import { createAuth } from "../auth.js";
+import { requestId, notFound, errorHandler } from "../errors.js";
+import { rateLimit } from "../ratelimit.js";
+import { createMetadataStore } from "../metadata/index.js";
+import { createStorage } from "../storage/index.js";
+import { createJobTracker } from "../jobs.js";
+import { createScanner } from "../scanner.js";
+import { createPreviews } from "../previews.js";
+import { createDatasets } from "../datasets.js";
+import { createSearch } from "../search.js";
+import { createQuotas } from "../quotas.js";
+import { createWebhooks } from "../webhooks.js";
+import { createAudit } from "../audit.js";
+import { createFolders } from "../folders.js";
+import { createVersioning } from "../versions.js";
+import { createNotifications } from "../notifications.js";
+import createMemoryNotifier from "../notifier/memory.js";
+import { createUploadPipeline } from "../pipeline.js";
+import { createTrash } from "../trash.js";
+import { createShares } from "../shares.js";
+import { createRetention } from "../retention.js";
+
+export const admin = { uid: "admin", admin: true };
+
+// Clés d'API des utilisateurs des tests HTTP : "key-<uid>"
+const users = { alice: { uid: "alice", admin: false }, bob: { uid: "bob", admin: false }, admin };
+
+const makeTempDir = () => fsPromises.mkdtemp(path.join(os.tmpdir(), "fichiers-test-"));
+const removeDir = (dir) => fsPromises.rm(dir, { recursive: true, force: true });
+
+export async function tempDir(t) {
+  const dir = await makeTempDir();
+  t.after(() => removeDir(dir));
+  return dir;
+}
+
+export async function createTestMetadata(t) {
+  const dir = await tempDir(t);
+  return createMetadataStore({ driver: "json", json: { file: path.join(dir, "metadata.json") } });
+}
+
+// Configuration du serveur, avec ses fichiers dans `dir` (stockage local, sans archive), sans
+// quota, sans antivirus et des webhooks rapides. `overrides` remplace des champs d'une section :
+// testConfig(dir, { shares: { resumeWindow: 10 } })
+export function testConfig(dir, overrides = {}) {
+  const config = structuredClone(baseConfig);
+  Object.assign(config, {
+    uploadDir: path.join(dir, "uploads"),
+    storage: {
+      driver: "local",
+      local: { dir: path.join(dir, "storage"), folder: "uploads" },
+      archive: { ...config.storage.archive, driver: null },
+    },
+    scanner: { ...config.scanner, driver: "none" },
+    quotas: { user: { bytes: null, files: null }, global: { bytes: null, files: null } },
+    search: { ...config.search, file: path.join(dir, "search-index.json") },
+    webhooks: { ...config.webhooks, timeout: 2000, maxAttempts: 1, retryDelay: 10, maxRetryDelay: 10, pollInterval: 10 },
+  });
+  for (const [section, fields] of Object.entries(overrides)) config[section] = { ...config[section], ...fields };
+  return config;
+}
+
+// socket.io minimal : les événements émis sont ignorés
+export const fakeIo = () => ({ emit() {}, to() { return this; }, on() {} });
+
+// Les modules du serveur câblés comme dans index.js, sur un stockage local et des
+// métadonnées JSON temporaires. `upload(user, name, content, fields)` passe par le
+// traitement commun des uploads (pipeline.js).
+export async function createServices(t, overrides = {}) {
+  const dir = await makeTempDir();
+  const config = testConfig(dir, overrides);
+  await fsPromises.mkdir(config.uploadDir, { recursive: true });
+  const io = fakeIo();
+  const metadata = await createMetadataStore({ driver: "json", json: { file: path.join(dir, "metadata.json") } });
+  const storage = await createStorage(config.storage);
+
+  const notifier = createMemoryNotifier({ log: false });
+  const notifications = createNotifications({ config, notifier, metadata });
+  const webhooks = createWebhooks({ config, metadata });
+  const audit = createAudit({ config, metadata, io, webhooks });
+  const search = createSearch({ config, storage, metadata });
+  // L'index en attente d'écriture est enregistré avant la suppression du dossier
+  t.after(async () => {
+    await search.flush();
+    await removeDir(dir);
+  });
+  const folders = createFolders({ metadata, io });
+  const versioning = createVersioning({ metadata, io, notify: notifications.notifyFile, search });
+  const previews = createPreviews({ config, storage });
+  const datasets = createDatasets({ config, storage });
+  const quotas = createQuotas({ config, metadata });
+  const scanner = createScanner({ options: config.scanner, metadata, io });
+  const storeUpload = createUploadPipeline({
+    config, storage, metadata, io, scanner, previews, datasets, search, quotas, notify: notifications.notifyFile, versioning, folders, audit,
+  });
+  const trash = createTrash({ config, storage, metadata, io, previews, datasets, search, quotas, folders, audit });
+  const shares = createShares({ config, metadata });
+  const retention = createRetention({ config, storage, metadata, io, trash, notifications, audit });
+  const jobs = createJobTracker(io);
+
+  let count = 0;
+  async function upload(user, name, content, fields = {}) {
+    const storedAs = `${++count}-${name}`;
+    const source = path.join(config.uploadDir, storedAs);
+    await fsPromises.writeFile(source, content);
+    const job = jobs.start({ ownerId: user.uid, originalName: name });
+    return storeUpload({ source, originalName: name, storedAs, size: Buffer.byteLength(content), user, job, ...fields });
+  }
+
+  return {
+    dir, config, io, metadata, storage, notifier, notifications, webhooks, audit, search, folders, versioning,
+    previews, datasets, quotas, scanner, storeUpload, trash, shares, retention, jobs, upload,
+  };
+}
+
+// Serveur HTTP local avec les routeurs montés par `mount(app, deps)` entre les middlewares
+// d'index.js. Renvoie request(path, { user, method, body, headers }) -> Response (fetch) ;
+// un `body` objet est envoyé en JSON, une chaîne ou un Buffer tel quel. `request.base` est
+// l'adresse du serveur.
+export async function startServer(t, services, mount) {
+  const auth = createAuth({ apiKeys: Object.fromEntries(Object.entries(users).map(([uid, user]) => [`key-${uid}`, user])), admin: null });
+  const limits = {
+    upload: rateLimit(services.config.rateLimits.upload),
+    download: rateLimit(services.config.rateLimits.download),
+    ping: rateLimit(services.config.rateLimits.ping),
+  };
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  mount(app, { ...services, auth, limits });
+  app.use(notFound);
+  app.use(errorHandler);
+
+  const server = app.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  function request(url, { user = "alice", method = "GET", body, headers = {} } = {}) {
+    const json = body !== undefined && typeof body === "object" && !Buffer.isBuffer(body) && !(body instanceof FormData);
+    return fetch(`${base}${url}`, {
+      method,
+      headers: {
+        ...(user && { "X-API-Key": `key-${user}` }),
+        ...(json && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: json ? JSON.stringify(body) : body,
+    });
+  }
+  return Object.assign(request, { base });
+}
+
+// Relit `read()` jusqu'à ce que `until(valeur)` soit vrai
+export async function waitFor(read, until) {
+  for (let i = 0; i < 200; i++) {
+    const value = await read();
+    if (until(value)) return value;
+    await sleep(10);
+  }
+  throw new Error("Condition non atteinte à temps");
+}
+
+const settled = (items) => items.every((delivery) => delivery.status !== "pending");
+
+// Journal des livraisons de webhooks, une fois toutes les livraisons terminées (ou `until`)
+export function deliveries(webhooks, until = settled) {
+  return waitFor(async () => (await webhooks.deliveryLog()).items, until);
+}
+
+// Ce que les modules lisent d'une requête : la méthode, l'adresse du client et ses en-têtes
+export function fakeRequest({ method = "GET", ip = "203.0.113.7", headers = {} } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { method, ip, get: (name) => lower[name.toLowerCase()] };
+}
+
+// Serveur local qui répond `status` à toute requête et garde chacune d'elles
+export async function receiver(t, status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => {
+      received.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => new Promise((resolve) => server.close(resolve)));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+}
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobTracker, jobRoom } from "../jobs.js";
+
+// socket.io minimal : garde les rooms de chaque événement émis
+function fakeIo() {
+  const emitted = [];
+  return {
+    emitted,
+    on() {},
+    to(rooms) {
+      return { emit: (event, state) => emitted.push({ rooms, event, state }) };
+    },
+  };
+}
+
+test("un id de job choisi par un autre utilisateur désigne un autre job", () => {
+  const io = fakeIo();
+  const jobs = createJobTracker(io);
+  const mine = jobs.start({ id: "job-partage-1", ownerId: "alice", originalName: "a.pdf" });
+  const theirs = jobs.start({ id: "job-partage-1", ownerId: "bob", originalName: "b.pdf" });
+
+  assert.notEqual(mine, theirs);
+  assert.equal(jobs.get("alice", "job-partage-1"), mine);
+  assert.equal(jobs.resume({ id: "job-partage-1", ownerId: "bob" }), theirs);
+  assert.equal(jobs.resume({ id: "job-partage-1", ownerId: "alice" }), mine);
+
+  theirs.update("relaying");
+  assert.ok(io.emitted.at(-1).rooms.includes(jobRoom("bob", "job-partage-1")));
+  assert.ok(!io.emitted.some(({ rooms, state }) => state.originalName === "b.pdf" && rooms.includes(jobRoom("alice", "job-partage-1"))));
+});
+
+test("un id invalide est remplacé par un identifiant aléatoire", () => {
+  const jobs = createJobTracker(fakeIo());
+  const job = jobs.start({ id: "../x", ownerId: "alice" });
+  assert.notEqual(job.id, "../x");
+  assert.equal(jobs.get("alice", job.id), job);
+});
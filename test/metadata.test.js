@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createTestMetadata } from "./helpers.js";
+
+const record = (fields) => ({ originalName: "a.pdf", storage: "local", ownerId: "alice", access: ["alice"], ...fields });
+
+test("les recherches courantes ignorent la corbeille", async (t) => {
+  const metadata = await createTestMetadata(t);
+  const kept = await metadata.uploads.create(record({ sha256: "aa", storedAs: "1-a.pdf" }));
+  const trashed = await metadata.uploads.create(record({ sha256: "bb", storedAs: "2-b.pdf" }));
+  await metadata.uploads.update(trashed.id, { deletedAt: new Date().toISOString() });
+
+  assert.deepEqual((await metadata.uploads.list()).map((r) => r.id), [kept.id]);
+  assert.deepEqual((await metadata.uploads.listTrash()).map((r) => r.id), [trashed.id]);
+  assert.equal(await metadata.uploads.findBySha256("bb"), null);
+  assert.equal(await metadata.uploads.findByStoredAs("2-b.pdf"), null);
+  assert.equal((await metadata.uploads.findByStoredAs("1-a.pdf")).id, kept.id);
+});
+
+test("objets et contenus partagés se retrouvent, corbeille et versions comprises", async (t) => {
+  const metadata = await createTestMetadata(t);
+  const first = await metadata.uploads.create(record({ sha256: "aa", fileId: "uploads/x" }));
+  const twin = await metadata.uploads.create(record({ sha256: "aa", fileId: "uploads/x", ownerId: "bob", access: ["bob"] }));
+  await metadata.uploads.update(twin.id, { deletedAt: new Date().toISOString() });
+  const other = await metadata.uploads.create(record({ sha256: "cc", fileId: "uploads/y" }));
+  await metadata.uploads.versions(other.id).add({ version: 1, sha256: "aa", fileId: "uploads/z" });
+
+  assert.deepEqual((await metadata.uploads.findByStorageObject("uploads/x")).map((r) => r.id).sort(), [first.id, twin.id].sort());
+  assert.deepEqual((await metadata.uploads.findByContent("aa")).map((r) => r.id).sort(), [first.id, twin.id].sort());
+  const versions = await metadata.uploads.findVersionsByContent("aa");
+  assert.deepEqual(versions.map((entry) => entry.uploadId), [other.id]);
+});
+
+test("l'historique des versions est rangé par fichier", async (t) => {
+  const metadata = await createTestMetadata(t);
+  const { id } = await metadata.uploads.create(record({ sha256: "aa" }));
+  const versions = metadata.uploads.versions(id);
+  await versions.add({ version: 1, sha256: "aa" });
+  await versions.add({ version: 2, sha256: "bb" });
+
+  assert.deepEqual((await versions.list()).map((entry) => entry.version), [2, 1]);
+  assert.equal((await versions.get(1)).sha256, "aa");
+  await versions.removeAll();
+  assert.deepEqual(await versions.list(), []);
+});
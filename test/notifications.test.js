@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices } from "./helpers.js";
+import { EVERYONE } from "../auth.js";
+
+async function setup(t) {
+  const { notifier, notifications } = await createServices(t, { rateLimits: { notifications: null } });
+  for (const uid of ["alice", "bob", "carol"]) await notifications.registerDevice({ uid, admin: false }, `token-${uid}`);
+  return { notifier, notifications };
+}
+
+const record = (fields) => ({ id: "f1", originalName: "a.pdf", storedAs: "1-a.pdf", ownerId: "alice", access: ["alice"], ...fields });
+
+test("un fichier partagé est notifié aux membres du partage, pas à son auteur", async (t) => {
+  const { notifier, notifications } = await setup(t);
+  await notifications.notifyFile({ type: "fileUploaded", record: record({ access: ["alice", "bob"] }), actor: { uid: "alice" }, title: "t", body: "b" });
+
+  assert.equal(notifier.sent.length, 1);
+  assert.deepEqual(notifier.sent[0].tokens, ["token-bob"]);
+  assert.equal(notifier.sent[0].data.fileId, "f1");
+});
+
+test("les abonnés d'un canal ne reçoivent que les fichiers auxquels ils ont accès", async (t) => {
+  const { notifier, notifications } = await setup(t);
+  await notifications.savePreferences("bob", { topics: [] });
+  await notifications.subscribe("carol", "channel:compta");
+
+  await notifications.notifyFile({ type: "fileUploaded", record: record({ channel: "compta" }), actor: { uid: "alice" }, title: "t", body: "b" });
+  assert.equal(notifier.sent.length, 0);
+
+  await notifications.notifyFile({ type: "fileUploaded", record: record({ channel: "compta", access: ["alice", EVERYONE] }), actor: { uid: "alice" }, title: "t", body: "b" });
+  // bob s'est désabonné de tout, y compris du sujet "all" des fichiers publics
+  assert.deepEqual(notifier.sent[0].tokens, ["token-carol"]);
+});
+
+test("un type coupé n'est pas envoyé, le résumé quotidien met de côté", async (t) => {
+  const { notifier, notifications } = await setup(t);
+  await notifications.savePreferences("bob", { muted: ["fileVersion"] });
+  await notifications.savePreferences("carol", { digest: "daily" });
+  const shared = record({ access: ["alice", "bob", "carol"] });
+
+  await notifications.notifyFile({ type: "fileVersion", record: shared, actor: { uid: "alice" }, title: "t", body: "b" });
+  assert.equal(notifier.sent.length, 0);
+
+  await notifications.notifyFile({ type: "fileUploaded", record: shared, actor: { uid: "alice" }, title: "t", body: "b" });
+  assert.deepEqual(notifier.sent.map((message) => message.tokens), [["token-bob"]]);
+});
+
+test("des préférences invalides sont refusées", async (t) => {
+  const { notifications } = await setup(t);
+  await assert.rejects(notifications.savePreferences("bob", { muted: ["inconnu"] }), { code: "INVALID_PARAMETER" });
+  await assert.rejects(notifications.subscribe("bob", "salon:x"), { code: "INVALID_TOPIC" });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer } from "./helpers.js";
+import usageRouter from "../routes/usage.js";
+
+const alice = { uid: "alice" };
+const bob = { uid: "bob" };
+const row = (n) => `a;${String(n).padStart(8, "0")}\n`; // 11 octets
+
+async function setup(t, quotas) {
+  const services = await createServices(t, { quotas });
+  const request = await startServer(t, services, (app, deps) => app.use(usageRouter(deps)));
+  return { ...services, request };
+}
+
+test("au-delà du quota d'un utilisateur, l'upload est refusé (413) ; la purge libère l'espace", async (t) => {
+  const { upload, trash, quotas, metadata } = await setup(t, { user: { bytes: 40, files: 2 } });
+  const first = await upload(alice, "a.csv", row(1));
+  await upload(alice, "b.csv", row(2));
+
+  await assert.rejects(upload(alice, "c.csv", row(3)), (err) => {
+    assert.equal(err.status, 413);
+    assert.equal(err.code, "QUOTA_EXCEEDED");
+    assert.deepEqual({ scope: err.details.quota.scope, exceeded: err.details.quota.exceeded }, { scope: "user", exceeded: "files" });
+    return true;
+  });
+  // Une nouvelle version ne compte pas de fichier en plus, mais ses octets
+  await assert.rejects(upload(alice, "a.csv", `${row(4)}${row(5)}`, { replaces: first.id }), (err) => err.details.quota?.exceeded === "bytes");
+  assert.equal((await quotas.report("alice")).bytes, 22);
+  assert.equal((await metadata.uploads.list({ where: [["ownerId", "==", "alice"]] })).length, 2);
+
+  // Un fichier de la corbeille compte jusqu'à sa purge
+  const trashed = await trash.moveToTrash(first, alice);
+  await assert.rejects(upload(alice, "c.csv", row(3)), { code: "QUOTA_EXCEEDED" });
+  await trash.purge(trashed, alice);
+  assert.deepEqual(await quotas.report("alice"), { uid: "alice", bytes: 11, files: 1, limits: { bytes: 40, files: 2 }, remaining: { bytes: 29, files: 1 } });
+  await upload(alice, "c.csv", row(3));
+  // Les autres utilisateurs ont leur propre quota
+  await upload(bob, "d.csv", row(6));
+});
+
+test("le quota global s'applique à l'ensemble des utilisateurs", async (t) => {
+  const { upload, request } = await setup(t, { global: { bytes: 25, files: null } });
+  await upload(alice, "a.csv", row(1));
+  await upload(bob, "b.csv", row(2));
+  await assert.rejects(upload(alice, "c.csv", row(3)), (err) => err.code === "QUOTA_EXCEEDED" && err.details.quota.scope === "global");
+
+  const own = await (await request("/usage")).json();
+  assert.equal(own.bytes, 11);
+  assert.equal(own.global, undefined);
+  assert.equal((await request("/usage?user=bob")).status, 403);
+  const report = await (await request("/usage?user=bob", { user: "admin" })).json();
+  assert.deepEqual([report.uid, report.bytes, report.global.bytes, report.global.remaining.bytes], ["bob", 11, 22, 3]);
+});
@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer } from "./helpers.js";
+import { createRateLimiter } from "../ratelimit.js";
+import filesRouter from "../routes/files.js";
+
+test("chaque clé a son seau de jetons, regagnés au fil du temps", (t) => {
+  t.mock.timers.enable({ apis: ["Date"] });
+  const limiter = createRateLimiter({ capacity: 2, perMinute: 6 });
+
+  assert.deepEqual(limiter.take("alice"), { allowed: true, remaining: 1 });
+  assert.deepEqual(limiter.take("alice"), { allowed: true, remaining: 0 });
+  // Un jeton toutes les 10 s
+  assert.deepEqual(limiter.take("alice"), { allowed: false, remaining: 0, retryAfter: 10 });
+  assert.equal(limiter.take("bob").allowed, true);
+
+  t.mock.timers.tick(4000);
+  assert.equal(limiter.take("alice").retryAfter, 6);
+  t.mock.timers.tick(6000);
+  assert.deepEqual(limiter.take("alice"), { allowed: true, remaining: 0 });
+  assert.equal(limiter.take("alice", 3).allowed, false);
+});
+
+test("au-delà de la limite, la route répond 429 avec Retry-After", async (t) => {
+  const services = await createServices(t, { rateLimits: { download: { capacity: 2, perMinute: 1 } } });
+  const request = await startServer(t, services, (app, deps) => app.use(filesRouter(deps)));
+  const download = (user) => request("/download/inconnu.csv", { user });
+
+  const first = await download("alice");
+  assert.equal(first.status, 404);
+  assert.equal(first.headers.get("ratelimit-limit"), "2");
+  assert.equal(first.headers.get("ratelimit-remaining"), "1");
+  await download("alice");
+
+  const limited = await download("alice");
+  assert.equal(limited.status, 429);
+  assert.equal(limited.headers.get("retry-after"), "60");
+  assert.deepEqual(await limited.json(), {
+    error: "Trop de requêtes, réessayez dans 60 s", code: "RATE_LIMITED", retryAfter: 60, requestId: limited.headers.get("x-request-id"),
+  });
+  // La limite est propre à chaque utilisateur
+  assert.equal((await download("bob")).status, 404);
+});
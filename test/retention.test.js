@@ -0,0 +1,106 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { admin, createServices, startServer } from "./helpers.js";
+import { ARCHIVE } from "../storage/index.js";
+import retentionRouter from "../routes/retention.js";
+
+const alice = { uid: "alice" };
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+async function setup(t, overrides = {}) {
+  const services = await createServices(t, { rateLimits: { notifications: null }, ...overrides });
+  const request = await startServer(t, services, (app, deps) => app.use(retentionRouter(deps)));
+  await services.notifications.registerDevice(alice, "token-alice");
+  t.mock.method(console, "log", () => {});
+
+  // Fichier reçu il y a `age` jours
+  async function file(name, age, fields = {}) {
+    const record = await services.upload(alice, name, `${name};${age}\n`, fields);
+    return services.metadata.uploads.update(record.id, { receivedAt: daysAgo(age) });
+  }
+  return { ...services, request, file };
+}
+
+test("simulation : la règle la plus forte par fichier, selon le dossier, le type et l'âge", async (t) => {
+  const { retention, folders, file, request, metadata } = await setup(t);
+  const projects = await folders.create({ name: "Projets" }, alice);
+  const sub = await folders.create({ name: "2020", parentId: projects.id }, alice);
+  const old = await file("ancien.csv", 400, { folderId: sub.id });
+  const recent = await file("recent.csv", 10, { folderId: projects.id });
+  const atRoot = await file("racine.csv", 400);
+
+  const notify = await retention.create({ name: "Anciens", action: "notify", olderThanDays: 365 }, admin);
+  const remove = await retention.create({ name: "Projets", action: "delete", folder: projects.id, types: "CSV", olderThanDays: 300 }, admin);
+  await retention.create({ name: "Racine", action: "delete", folder: "root", types: [".pdf"], olderThanDays: 1 }, admin);
+
+  const res = await request("/retention/report", { user: "admin" });
+  const report = await res.json();
+  assert.deepEqual(report.steps.map((step) => [step.originalName, step.action, step.policyId]).sort(), [
+    ["ancien.csv", "delete", remove.id],
+    ["racine.csv", "notify", notify.id],
+  ]);
+  assert.deepEqual(report.totals.delete, { files: 1, bytes: old.size });
+  assert.equal(report.lastRun, null);
+  // Rien n'est appliqué
+  assert.equal((await metadata.uploads.get(old.id)).deletedAt ?? null, null);
+  assert.equal((await metadata.uploads.get(atRoot.id)).retentionNotices, undefined);
+  assert.equal((await metadata.uploads.get(recent.id)).deletedAt ?? null, null);
+  assert.equal((await request("/retention/report")).status, 403);
+});
+
+test("un passage supprime, prévient une seule fois par échéance et avertit avant l'échéance", async (t) => {
+  const { retention, folders, file, metadata, notifier } = await setup(t);
+  const drafts = await folders.create({ name: "Brouillons" }, alice);
+  const expired = await file("expire.csv", 40);
+  const soon = await file("bientot.csv", 27);
+  const kept = await file("garde.csv", 5, { folderId: drafts.id });
+  await retention.create({ name: "Un mois", action: "delete", olderThanDays: 30, warnDays: 5 }, admin);
+  const reminder = await retention.create({ name: "Rappel", action: "notify", folder: drafts.id, olderThanDays: 3 }, admin);
+
+  const run = await retention.run();
+  assert.deepEqual(run.totals, { delete: { files: 1, bytes: expired.size }, warn: { files: 1, bytes: soon.size }, notify: { files: 1, bytes: kept.size } });
+  assert.deepEqual(run.failures, []);
+  assert.ok((await metadata.uploads.get(expired.id)).deletedAt);
+  assert.equal((await metadata.uploads.get(kept.id)).retentionNotices[reminder.id], new Date(Date.parse(kept.receivedAt) + 3 * DAY).toISOString());
+  assert.deepEqual(notifier.sent.map((message) => message.title).sort(), ["Durée de conservation atteinte", "Fichier bientôt expiré"]);
+  assert.match(notifier.sent.find((message) => message.title === "Fichier bientôt expiré").body, /"bientot\.csv" sera supprimé le /);
+
+  // Déjà prévenu pour ces échéances : rien de plus
+  assert.deepEqual((await retention.run()).totals, {});
+  assert.equal(notifier.sent.length, 2);
+  assert.deepEqual((await retention.report()).lastRun.totals, {});
+});
+
+test("l'archivage déplace les objets du fichier et de ses doublons vers l'archive", async (t) => {
+  const { retention, file, upload, metadata, storage } = await setup(t, { storage: { archive: { driver: "local", folder: "archive" } } });
+  const record = await file("rapport.csv", 200);
+  // Même contenu envoyé par bob : même objet de stockage
+  const twin = await upload({ uid: "bob" }, "copie.csv", "rapport.csv;200\n");
+  assert.equal(twin.fileId, record.fileId);
+  await retention.create({ name: "Archive", action: "archive", olderThanDays: 100, types: ["csv"] }, admin);
+
+  assert.deepEqual((await retention.run()).totals, { archive: { files: 1, bytes: record.size } });
+  const archived = await metadata.uploads.get(record.id);
+  assert.equal(archived.storage, ARCHIVE);
+  assert.equal((await metadata.uploads.get(twin.id)).fileId, archived.fileId);
+  assert.equal(await storage.exists(record), false);
+  assert.equal(await storage.exists(archived), true);
+  const chunks = [];
+  for await (const chunk of await storage.stream(archived)) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), "rapport.csv;200\n");
+
+  // Déjà archivé : la règle ne s'applique plus
+  assert.deepEqual((await retention.report()).steps, []);
+});
+
+test("une règle invalide est refusée", async (t) => {
+  const { retention } = await setup(t);
+  assert.deepEqual(retention.actions, ["delete", "notify"]);
+  await assert.rejects(retention.create({ name: "x", action: "archive", olderThanDays: 1 }, admin), { status: 400, code: "INVALID_PARAMETER" });
+  await assert.rejects(retention.create({ name: "x", action: "delete" }, admin), { code: "MISSING_PARAMETER" });
+  await assert.rejects(retention.create({ name: "x", action: "delete", olderThanDays: 0 }, admin), { code: "INVALID_PARAMETER" });
+  await assert.rejects(retention.create({ name: "x", action: "delete", olderThanDays: 1, types: "exe" }, admin), { code: "INVALID_PARAMETER" });
+  await assert.rejects(retention.create({ name: "x", action: "delete", olderThanDays: 1, folder: "inconnu" }, admin), { code: "INVALID_PARAMETER" });
+  await assert.rejects(retention.update("inconnue", { name: "y" }), { status: 404, code: "RETENTION_POLICY_NOT_FOUND" });
+});
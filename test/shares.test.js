@@ -0,0 +1,173 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, fakeRequest, startServer, waitFor } from "./helpers.js";
+import sharesRouter from "../routes/shares.js";
+
+const SIZE = 1000;
+
+async function setup(t, { mode = "stream", maxDownloads = 1 } = {}) {
+  const { metadata, shares } = await createServices(t, { download: { mode } });
+  const record = await metadata.uploads.create({ originalName: "a.pdf", size: SIZE, ownerId: "alice", access: ["alice"] });
+  const { token } = await shares.create(record, { uid: "alice" }, { maxDownloads });
+  return { shares, token };
+}
+
+// Ce que fait GET /s/:token en mode "stream" pour la plage [start, end], entièrement reçue
+async function download(shares, token, { start = 0, end = SIZE - 1, ip } = {}) {
+  const req = fakeRequest({ ip });
+  const { link } = await shares.open(token, undefined, req);
+  const length = end - start + 1;
+  const finish = await shares.startDownload(link, req, { start, length, size: SIZE });
+  finish(length);
+}
+
+const downloads = async (shares, token) => (await shares.get(token)).downloads;
+
+test("mode redirect : le téléchargement est compté à l'ouverture du lien", async (t) => {
+  const { shares, token } = await setup(t, { mode: "redirect" });
+  const { link } = await shares.open(token, undefined, fakeRequest());
+  assert.equal(link.downloads, 1);
+  await assert.rejects(shares.open(token, undefined, fakeRequest()), { status: 410, code: "SHARE_EXHAUSTED" });
+});
+
+test("une plage qui s'arrête avant la fin compte et épuise le lien", async (t) => {
+  const { shares, token } = await setup(t);
+  await download(shares, token, { end: 262 });
+  assert.equal(await downloads(shares, token), 1);
+
+  for (let i = 0; i < 3; i++) {
+    await assert.rejects(download(shares, token, { end: 262 }), { status: 410, code: "SHARE_EXHAUSTED" });
+  }
+  assert.equal(await downloads(shares, token), 1);
+});
+
+test("la reprise d'un téléchargement compté ne compte pas une seconde fois", async (t) => {
+  const { shares, token } = await setup(t);
+  await download(shares, token, { end: 399 });
+  await download(shares, token, { start: 400, end: 699 });
+  await download(shares, token, { start: 700 });
+  assert.equal(await downloads(shares, token), 1);
+
+  // Le fichier a été reçu en entier : une plage de plus est un nouveau téléchargement
+  await assert.rejects(download(shares, token, { start: 500 }), { status: 410, code: "SHARE_EXHAUSTED" });
+});
+
+test("les octets non reçus restent disponibles pour la reprise", async (t) => {
+  const { shares, token } = await setup(t);
+  const req = fakeRequest();
+  const { link } = await shares.open(token, undefined, req);
+  // Réponse entière interrompue après 300 octets
+  const finish = await shares.startDownload(link, req, { start: 0, length: SIZE, size: SIZE });
+  finish(300);
+
+  await download(shares, token, { start: 300 });
+  assert.equal(await downloads(shares, token), 1);
+});
+
+test("une autre adresse ne profite pas de la session", async (t) => {
+  const { shares, token } = await setup(t, { maxDownloads: 2 });
+  await download(shares, token, { end: 499 });
+  await download(shares, token, { start: 500, ip: "198.51.100.1" });
+  assert.equal(await downloads(shares, token), 2);
+  await assert.rejects(download(shares, token, { start: 500, ip: "198.51.100.2" }), { status: 410, code: "SHARE_EXHAUSTED" });
+});
+
+test("mode redirect : une requête HEAD ne consomme pas de téléchargement", async (t) => {
+  const { shares, token } = await setup(t, { mode: "redirect" });
+  await shares.open(token, undefined, fakeRequest({ method: "HEAD" }));
+  await shares.open(token, undefined, fakeRequest({ method: "HEAD" }));
+  assert.equal(await downloads(shares, token), 0);
+  await shares.open(token, undefined, fakeRequest());
+  assert.equal(await downloads(shares, token), 1);
+});
+
+test("des téléchargements simultanés ne dépassent pas la limite", async (t) => {
+  const { shares, token } = await setup(t, { mode: "redirect", maxDownloads: 3 });
+  const results = await Promise.allSettled(Array.from({ length: 10 }, () => shares.open(token, undefined, fakeRequest())));
+  assert.equal(results.filter((result) => result.status === "fulfilled").length, 3);
+  assert.ok(results.filter((result) => result.status === "rejected").every((result) => result.reason.code === "SHARE_EXHAUSTED"));
+  assert.equal(await downloads(shares, token), 3);
+
+  const { shares: streamed, token: other } = await setup(t, { maxDownloads: 2 });
+  const ips = ["198.51.100.1", "198.51.100.2", "198.51.100.3", "198.51.100.4"];
+  await Promise.allSettled(ips.map((ip) => download(streamed, other, { ip })));
+  assert.equal(await downloads(streamed, other), 2);
+});
+
+// Lien public servi par routes/shares.js, sur un vrai fichier d'alice
+async function serve(t) {
+  const services = await createServices(t, { download: { mode: "stream" } });
+  const request = await startServer(t, services, (app, deps) => app.use(sharesRouter(deps)));
+  const record = await services.upload({ uid: "alice" }, "tarifs.csv", "produit;prix\nA;10\n");
+  const share = async (body, user = "alice") => request(`/files/${record.id}/shares`, { user, method: "POST", body });
+  // Le téléchargement est journalisé et daté après l'envoi de la réponse
+  const downloaded = (count) => waitFor(async () => (await services.audit.page({ where: [["action", "==", "shareDownload"]] })).items, (items) => items.length === count)
+    .then(([latest]) => waitFor(() => services.metadata.uploads.get(record.id), (file) => file.lastDownloadedAt === latest.at));
+  return { ...services, request, record, share, downloaded };
+}
+
+test("lien protégé : mot de passe demandé, refusé puis accepté ; accès journalisés", async (t) => {
+  const { request, share, downloaded } = await serve(t);
+  const link = await (await share({ password: "s3cret", maxDownloads: 5 })).json();
+  assert.equal(link.hasPassword, true);
+  assert.equal(link.passwordHash, undefined);
+
+  const missing = await request(link.url, { user: null });
+  assert.equal(missing.status, 401);
+  assert.equal((await missing.json()).code, "SHARE_PASSWORD_REQUIRED");
+  // Un navigateur reçoit le formulaire de saisie
+  const form = await request(link.url, { user: null, headers: { Accept: "text/html" } });
+  assert.equal(form.status, 401);
+  assert.match(await form.text(), /<form method="post" action="\/s\//);
+
+  const wrong = await request(link.url, { user: null, headers: { "X-Share-Password": "autre" } });
+  assert.equal(wrong.status, 403);
+  assert.equal((await wrong.json()).code, "SHARE_PASSWORD_INVALID");
+
+  const ok = await request(link.url, { user: null, headers: { "X-Share-Password": "s3cret" } });
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get("cache-control"), "no-store");
+  assert.equal(await ok.text(), "produit;prix\nA;10\n");
+  const posted = await request(link.url, {
+    user: null, method: "POST", body: "password=s3cret", headers: { "Content-Type": "application/x-www-form-urlencoded" },
+  });
+  assert.equal(await posted.text(), "produit;prix\nA;10\n");
+  await downloaded(2);
+
+  const log = await (await request(`/shares/${link.token}/accesses`)).json();
+  assert.deepEqual(log.map((access) => access.outcome).sort(), ["bad-password", "download", "download", "password-required", "password-required"]);
+  assert.equal((await request(`/shares/${link.token}/accesses`, { user: "bob" })).status, 404);
+});
+
+test("durée de validité : bornée, refusée si passée ou trop longue", async (t) => {
+  const { config, share } = await serve(t);
+  const link = await (await share({})).json();
+  const lifetime = Date.parse(link.expiresAt) - Date.parse(link.createdAt);
+  assert.ok(Math.abs(lifetime - config.shares.defaultExpiresIn * 1000) < 1000);
+
+  assert.equal((await (await share({ expiresAt: "2000-01-01T00:00:00Z" })).json()).code, "SHARE_INVALID_EXPIRY");
+  const tooLong = await share({ expiresIn: config.shares.maxExpiresIn + 3600 });
+  assert.equal(tooLong.status, 400);
+  assert.equal((await tooLong.json()).code, "SHARE_EXPIRY_TOO_LONG");
+  assert.equal((await (await share({ password: "abc" })).json()).code, "SHARE_PASSWORD_TOO_SHORT");
+  assert.equal((await share({ maxDownloads: 0 })).status, 400);
+  // bob ne voit pas le fichier d'alice
+  assert.equal((await share({}, "bob")).status, 404);
+});
+
+test("un lien révoqué ou expiré ne donne plus accès au fichier", async (t) => {
+  const { request, share, shares, metadata } = await serve(t);
+  const revoked = await (await share({})).json();
+  assert.equal((await request(`/shares/${revoked.token}`, { user: "bob", method: "DELETE" })).status, 404);
+  const res = await request(`/shares/${revoked.token}`, { method: "DELETE" });
+  assert.equal((await res.json()).status, "revoked");
+  const gone = await request(revoked.url, { user: null });
+  assert.equal(gone.status, 410);
+  assert.equal((await gone.json()).code, "SHARE_REVOKED");
+
+  const expired = await (await share({ expiresIn: 60 })).json();
+  await metadata.collection("shareLinks").update(expired.token, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  assert.equal((await (await request(expired.url, { user: null })).json()).code, "SHARE_EXPIRED");
+  assert.equal((await shares.get(expired.token)).downloads, 0);
+  assert.equal((await request("/s/inconnu", { user: null })).status, 404);
+});
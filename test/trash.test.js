@@ -0,0 +1,90 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fsPromises from "fs/promises";
+import path from "path";
+import { admin, createServices, deliveries, receiver } from "./helpers.js";
+
+const SHA = "ab".repeat(32);
+
+async function setup(t) {
+  const services = await createServices(t);
+  const { dir, config, storage, metadata, search, webhooks } = services;
+  const target = await receiver(t);
+  await webhooks.create({ url: target.url, events: ["fileDeleted"] }, admin);
+
+  // Objet stocké à partir d'un petit fichier temporaire
+  let count = 0;
+  async function put(folder, name) {
+    const source = path.join(dir, `source-${count++}`);
+    await fsPromises.writeFile(source, name);
+    return storage.put({ source, name, folder });
+  }
+
+  // Fichier indexé ; `object` : objet de stockage déjà existant (fichier de même contenu)
+  async function addFile(ownerId, { object, preview } = {}) {
+    const stored = object || await put("uploads", `${ownerId}-${count}.pdf`);
+    const record = await metadata.uploads.create({
+      originalName: "facture.pdf", ownerId, access: [ownerId], size: 10, sha256: SHA,
+      storage: "local", ...stored, preview,
+    });
+    search.add(record, "facture fournisseur");
+    return record;
+  }
+
+  const deliveredEvents = async () => (await deliveries(webhooks)).map((delivery) => [delivery.event, delivery.payload.file.id]);
+
+  async function savedIndex() {
+    await search.flush();
+    return Object.keys(JSON.parse(await fsPromises.readFile(config.search.file, "utf8")));
+  }
+
+  return { ...services, put, addFile, deliveredEvents, savedIndex };
+}
+
+test("purge directe : index de recherche, aperçus partagés et webhook fileDeleted", async (t) => {
+  const { storage, search, trash, put, addFile, deliveredEvents, savedIndex } = await setup(t);
+  const preview = { status: "ready", type: "image/png", content: await put("previews", `${SHA}.png`), thumbnail: await put("previews", `${SHA}-thumb.png`) };
+  // Même contenu, envoyé par deux utilisateurs dans deux objets distincts : un seul aperçu
+  const mine = await addFile("alice", { preview });
+  const theirs = await addFile("bob", { preview });
+
+  await trash.purge(mine, { uid: "alice" });
+
+  assert.equal(await storage.exists(mine), false);
+  assert.equal(await storage.exists(preview.content), true);
+  assert.equal(await storage.exists(preview.thumbnail), true);
+  assert.deepEqual((await search.query("facture", admin)).items.map((item) => item.id), [theirs.id]);
+  assert.deepEqual(await savedIndex(), [theirs.id]);
+  assert.deepEqual(await deliveredEvents(), [["fileDeleted", mine.id]]);
+
+  // Dernier fichier de ce contenu : l'aperçu part avec lui
+  await trash.purge(theirs, { uid: "bob" });
+  assert.equal(await storage.exists(preview.content), false);
+  assert.equal(await storage.exists(preview.thumbnail), false);
+  assert.deepEqual(await savedIndex(), []);
+});
+
+test("purge après la corbeille : un seul webhook fileDeleted, à la mise à la corbeille", async (t) => {
+  const { metadata, search, trash, addFile, deliveredEvents, savedIndex } = await setup(t);
+  const record = await addFile("alice");
+
+  const trashed = await trash.moveToTrash(record, { uid: "alice" });
+  assert.deepEqual((await search.query("facture", admin)).items, []);
+  await trash.purge(trashed);
+
+  assert.equal(await metadata.uploads.get(record.id), null);
+  assert.deepEqual(await savedIndex(), []);
+  assert.deepEqual(await deliveredEvents(), [["fileDeleted", record.id]]);
+});
+
+test("un objet de stockage partagé n'est supprimé qu'avec son dernier fichier", async (t) => {
+  const { storage, trash, addFile, savedIndex } = await setup(t);
+  const first = await addFile("alice");
+  const twin = await addFile("bob", { object: { fileId: first.fileId, filePath: first.filePath } });
+
+  await trash.purge(first);
+  assert.equal(await storage.exists(twin), true);
+  await trash.purge(twin);
+  assert.equal(await storage.exists(twin), false);
+  assert.deepEqual(await savedIndex(), []);
+});
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { createServices, startServer } from "./helpers.js";
+import uploadRouter from "../routes/upload.js";
+
+const CSV = "ville,habitants\nLyon,522000\nLille,236000\n".repeat(20);
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+async function setup(t) {
+  const services = await createServices(t);
+  const request = await startServer(t, services, (app, deps) => app.use(uploadRouter(deps)));
+  return { ...services, request };
+}
+
+async function openSession(request, fields = {}) {
+  const res = await request("/upload/sessions", { method: "POST", body: { filename: "villes.csv", size: CSV.length, ...fields } });
+  assert.equal(res.status, 201);
+  return res.json();
+}
+
+const putChunk = (request, id, offset, chunk) => request(`/upload/sessions/${id}`, {
+  method: "PUT", body: chunk, headers: { "Upload-Offset": String(offset), "Content-Type": "application/offset+octet-stream" },
+});
+
+test("upload par morceaux : reprise à l'offset du serveur, puis enregistrement", async (t) => {
+  const { request, metadata } = await setup(t);
+  const session = await openSession(request);
+  const half = Math.floor(CSV.length / 2);
+
+  assert.equal((await putChunk(request, session.id, 0, CSV.slice(0, half))).status, 200);
+  // Morceau renvoyé après une coupure : le serveur indique où reprendre
+  const mismatch = await putChunk(request, session.id, 0, CSV.slice(0, half));
+  assert.equal(mismatch.status, 409);
+  assert.equal(mismatch.headers.get("upload-offset"), String(half));
+  const head = await request(`/upload/sessions/${session.id}`, { method: "HEAD" });
+  assert.equal(head.headers.get("upload-offset"), String(half));
+
+  // Fin prématurée : refusée
+  assert.equal((await request(`/upload/sessions/${session.id}/complete`, { method: "POST" })).status, 409);
+  await putChunk(request, session.id, half, CSV.slice(half));
+  const res = await request(`/upload/sessions/${session.id}/complete`, { method: "POST" });
+  const body = await res.json();
+
+  assert.equal(res.status, 200);
+  assert.equal(body.sha256, sha256(CSV));
+  assert.equal((await metadata.uploads.get(body.id)).size, CSV.length);
+  assert.equal((await request(`/upload/sessions/${session.id}`)).status, 404);
+});
+
+test("upload par morceaux : la session d'un autre utilisateur est introuvable, l'empreinte annoncée est vérifiée", async (t) => {
+  const { request } = await setup(t);
+  const session = await openSession(request, { sha256: sha256("autre contenu") });
+
+  assert.equal((await request(`/upload/sessions/${session.id}`, { user: "bob" })).status, 404);
+  assert.equal((await putChunk(request, session.id, 0, CSV + "en trop")).status, 413);
+
+  await putChunk(request, session.id, 0, CSV);
+  const res = await request(`/upload/sessions/${session.id}/complete`, { method: "POST" });
+  assert.equal(res.status, 422);
+  assert.equal((await res.json()).code, "CHECKSUM_MISMATCH");
+});
+
+test("envoi multiple : un résultat par fichier, erreurs comprises", async (t) => {
+  const { request } = await setup(t);
+  const form = new FormData();
+  form.append("files", new Blob([CSV]), "villes.csv");
+  form.append("files", new Blob(["MZ"]), "outil.exe");
+  form.append("files", new Blob(["a;b\n1;2\n"]), "petit.csv");
+
+  const res = await request("/upload", { method: "POST", body: form });
+  const { results } = await res.json();
+  assert.equal(res.status, 200);
+  assert.deepEqual(results.map((result) => [result.originalName, result.code || "ok"]).sort(), [
+    ["outil.exe", "FILE_TYPE_NOT_ALLOWED"],
+    ["petit.csv", "ok"],
+    ["villes.csv", "ok"],
+  ]);
+});
@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import fsPromises from "fs/promises";
+import path from "path";
+import archiver from "archiver";
+import { createServices, tempDir } from "./helpers.js";
+import { sniff, validateFile } from "../filetypes.js";
+
+const PDF = "%PDF-1.4\n1 0 obj << >> endobj\ntrailer << >>\n%%EOF\n";
+const limits = { default: 1024 * 1024, ".csv": 100 };
+
+// Archive ZIP contenant les entrées `names` (structure d'un DOCX ou d'un XLSX)
+async function zip(file, names) {
+  const archive = archiver("zip");
+  const done = new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(file);
+    output.on("close", resolve);
+    archive.on("error", reject);
+    archive.pipe(output);
+  });
+  for (const name of names) archive.append("<xml/>", { name });
+  await archive.finalize();
+  await done;
+}
+
+test("le type réel est lu dans le contenu, pas dans l'extension", async (t) => {
+  const dir = await tempDir(t);
+  const file = (name, content) => {
+    const target = path.join(dir, name);
+    return fsPromises.writeFile(target, content).then(() => target);
+  };
+  await zip(path.join(dir, "rapport.docx"), ["[Content_Types].xml", "word/document.xml"]);
+  await zip(path.join(dir, "budget.xlsx"), ["[Content_Types].xml", "xl/workbook.xml"]);
+  await zip(path.join(dir, "archive.zip"), ["photo.jpg"]);
+
+  assert.equal(await sniff(await file("a.pdf", PDF)), "pdf");
+  assert.equal(await sniff(path.join(dir, "rapport.docx")), "docx");
+  assert.equal(await sniff(path.join(dir, "budget.xlsx")), "xlsx");
+  assert.equal(await sniff(path.join(dir, "archive.zip")), null);
+  assert.equal(await sniff(await file("a.csv", "a;b\n1;2\n")), "text");
+  assert.equal(await sniff(await file("outil.pdf", Buffer.from([0x4d, 0x5a, 0x90, 0x00, 0x03]))), null);
+});
+
+test("un fichier déguisé ou trop gros est refusé", async (t) => {
+  const dir = await tempDir(t);
+  const source = path.join(dir, "facture.pdf");
+  await fsPromises.writeFile(source, "ville;habitants\nLyon;522000\n");
+
+  await assert.rejects(validateFile({ source, originalName: "facture.pdf", size: 30 }, limits), { status: 415, code: "CONTENT_MISMATCH" });
+  assert.deepEqual(await validateFile({ source, originalName: "villes.csv", size: 30 }, limits), { mime: "text/csv" });
+  await assert.rejects(validateFile({ source, originalName: "villes.csv", size: 200 }, limits), { status: 413, code: "FILE_TOO_LARGE" });
+  await assert.rejects(validateFile({ source, originalName: "outil.exe", size: 30 }, limits), { status: 415, code: "FILE_TYPE_NOT_ALLOWED" });
+});
+
+// Antivirus factice (driver "command") : code 1 et "<fichier>: <signature> FOUND" pour un
+// fichier qui contient EICAR, code 2 (analyse impossible) pour un fichier qui contient PANNE
+async function fakeScanner(t) {
+  const dir = await tempDir(t);
+  const script = path.join(dir, "scan.sh");
+  await fsPromises.writeFile(script, [
+    'if grep -q PANNE "$1"; then exit 2; fi',
+    'if grep -q EICAR "$1"; then echo "$1: Eicar-Test-Signature FOUND"; exit 1; fi',
+    "exit 0",
+  ].join("\n"));
+  return { driver: "command", command: `sh ${script}`, quarantineDir: path.join(dir, "quarantaine") };
+}
+
+test("un fichier infecté est mis en quarantaine et n'est pas enregistré", async (t) => {
+  const scanner = await fakeScanner(t);
+  const { upload, metadata } = await createServices(t, { scanner });
+  const alice = { uid: "alice" };
+
+  await assert.rejects(upload(alice, "virus.csv", "a;b\nEICAR;1\n"), { status: 422, code: "VIRUS_DETECTED", details: { signature: "Eicar-Test-Signature" } });
+  const [entry] = await metadata.collection("quarantine").find();
+  assert.equal(entry.originalName, "virus.csv");
+  assert.equal(entry.ownerId, "alice");
+  assert.equal(await fsPromises.readFile(entry.path, "utf8"), "a;b\nEICAR;1\n");
+  assert.deepEqual(await metadata.uploads.list(), []);
+
+  await assert.rejects(upload(alice, "panne.csv", "a;b\nPANNE;1\n"), { status: 503, code: "SCANNER_UNAVAILABLE" });
+  assert.equal((await upload(alice, "sain.csv", "a;b\n1;2\n")).originalName, "sain.csv");
+});
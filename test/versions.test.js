@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createServices, startServer, waitFor } from "./helpers.js";
+import filesRouter from "../routes/files.js";
+
+const alice = { uid: "alice" };
+
+async function setup(t) {
+  const services = await createServices(t, { download: { mode: "stream" } });
+  const request = await startServer(t, services, (app, deps) => app.use(filesRouter(deps)));
+  return { ...services, request };
+}
+
+test("une nouvelle version garde l'id et le nom ; le retour arrière ajoute une version", async (t) => {
+  const { upload, request, quotas, audit, metadata } = await setup(t);
+  const first = await upload(alice, "tarifs.csv", "produit;prix\nA;10\n");
+  const second = await upload(alice, "tarifs-2024.csv", "produit;prix\nA;12\n", { replaces: first.id });
+  assert.equal(second.id, first.id);
+  assert.equal(second.version, 2);
+  assert.equal(second.originalName, "tarifs.csv");
+
+  const rollback = await request(`/files/${first.id}/rollback`, { method: "POST", body: { version: 1 } });
+  assert.equal(rollback.status, 200);
+  const current = await rollback.json();
+  assert.equal(current.version, 3);
+  assert.equal(current.sha256, first.sha256);
+
+  const { currentVersion, versions } = await (await request(`/files/${first.id}/versions`)).json();
+  assert.equal(currentVersion, 3);
+  assert.deepEqual(versions.map(({ version, rollbackOf }) => [version, rollbackOf]), [[3, 1], [2, undefined], [1, undefined]]);
+
+  // Chaque version reste téléchargeable ; le retour arrière ne compte pas d'octets en plus
+  assert.equal(await (await request(`/download/${first.storedAs}?version=2`)).text(), "produit;prix\nA;12\n");
+  assert.equal(await (await request(`/download/${first.storedAs}`)).text(), "produit;prix\nA;10\n");
+  assert.equal((await quotas.report("alice")).bytes, first.size + second.size);
+
+  // Le téléchargement est journalisé et daté après l'envoi de la réponse
+  const [latest] = (await waitFor(() => audit.page({ where: [["action", "==", "download"]] }), ({ items }) => items.length === 2)).items;
+  await waitFor(() => metadata.uploads.get(first.id), (record) => record.lastDownloadedAt === latest.at);
+});
+
+test("versions refusées : autre extension, fichier d'un autre, version déjà courante", async (t) => {
+  const { upload, request } = await setup(t);
+  const record = await upload(alice, "tarifs.csv", "produit;prix\nA;10\n");
+
+  await assert.rejects(upload(alice, "tarifs.pdf", "%PDF-1.4\n", { replaces: record.id }), { status: 400, code: "VERSION_EXTENSION_MISMATCH" });
+  await assert.rejects(upload({ uid: "bob" }, "tarifs.csv", "produit;prix\nB;1\n", { replaces: record.id }), { status: 404, code: "REPLACE_TARGET_NOT_FOUND" });
+  // Le même contenu n'ajoute pas de version
+  assert.equal((await upload(alice, "tarifs.csv", "produit;prix\nA;10\n", { replaces: record.id })).duplicate, true);
+
+  const res = await request(`/files/${record.id}/rollback`, { method: "POST", body: { version: 1 } });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).code, "VERSION_ALREADY_CURRENT");
+  assert.equal((await request(`/files/${record.id}/rollback`, { method: "POST", body: { version: 5 } })).status, 404);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { admin, createServices, deliveries, receiver } from "./helpers.js";
+import { retryDelay, sign } from "../webhooks.js";
+
+const retries = { maxAttempts: 3, retryDelay: 20, maxRetryDelay: 50 };
+
+async function setup(t, status) {
+  const { webhooks } = await createServices(t, { webhooks: retries });
+  const target = await receiver(t, status);
+  const webhook = await webhooks.create({ url: target.url }, admin);
+  return { webhooks, webhook, received: target.received };
+}
+
+const file = (fields) => ({ id: "f1", originalName: "a.pdf", storedAs: "1-a.pdf", ownerId: "alice", ...fields });
+
+test("la signature est le HMAC-SHA256 de \"<horodatage>.<corps>\"", () => {
+  const body = JSON.stringify({ event: "ping" });
+  const expected = crypto.createHmac("sha256", "whsec_test").update(`1700000000.${body}`).digest("hex");
+  assert.equal(sign("whsec_test", 1700000000, body), `sha256=${expected}`);
+  assert.notEqual(sign("whsec_test", 1700000001, body), sign("whsec_test", 1700000000, body));
+  assert.notEqual(sign("whsec_autre", 1700000000, body), sign("whsec_test", 1700000000, body));
+});
+
+test("l'attente entre deux envois double à chaque échec, dans la limite de maxRetryDelay", () => {
+  const schedule = { retryDelay: 30_000, maxRetryDelay: 6 * 60 * 60 * 1000 };
+  assert.deepEqual([1, 2, 3, 4].map((attempts) => retryDelay(attempts, schedule)), [30_000, 60_000, 120_000, 240_000]);
+  assert.equal(retryDelay(20, schedule), schedule.maxRetryDelay);
+});
+
+test("chaque livraison est signée avec le secret du webhook", async (t) => {
+  const { webhooks, webhook, received } = await setup(t);
+  await webhooks.dispatch("upload", { user: { uid: "alice" }, file: file() });
+  const [delivery] = await deliveries(webhooks);
+
+  assert.equal(delivery.status, "delivered");
+  const [{ headers, body }] = received;
+  assert.equal(headers["x-webhook-event"], "fileUploaded");
+  assert.equal(headers["x-webhook-signature"], sign(webhook.secret, headers["x-webhook-timestamp"], body));
+  assert.equal(JSON.parse(body).file.id, "f1");
+});
+
+test("une livraison en échec est retentée puis abandonnée après maxAttempts envois", async (t) => {
+  const { webhooks, received } = await setup(t, 500);
+  webhooks.start();
+  await webhooks.dispatch("upload", { user: { uid: "alice" }, file: file() });
+  const [delivery] = await deliveries(webhooks);
+
+  assert.equal(delivery.status, "dead");
+  assert.equal(delivery.attempts, retries.maxAttempts);
+  assert.equal(received.length, retries.maxAttempts);
+  assert.ok(delivery.log.every((attempt) => attempt.status === 500));
+  // Deuxième envoi après retryDelay, troisième après 2 × retryDelay
+  assert.ok(received[1].at - received[0].at >= retries.retryDelay);
+  assert.ok(received[2].at - received[1].at >= 2 * retries.retryDelay);
+});
+
+test("événements des actions du journal", async (t) => {
+  const { webhooks } = await setup(t);
+  const events = async () => (await deliveries(webhooks)).map((delivery) => delivery.event).sort();
+
+  // Doublon réutilisé à l'envoi : rien n'est envoyé
+  await webhooks.dispatch("upload", { file: file(), details: { duplicate: true } });
+  await webhooks.dispatch("newVersion", { file: file(), details: { duplicate: true } });
+  assert.deepEqual(await events(), []);
+
+  // Purge d'un fichier à la corbeille : fileDeleted est déjà parti à la suppression
+  await webhooks.dispatch("purge", { file: file({ deletedAt: "2024-01-01T00:00:00.000Z" }), details: { automatic: true } });
+  assert.deepEqual(await events(), []);
+
+  await webhooks.dispatch("purge", { file: file({ deletedAt: null }), details: { automatic: false } });
+  await webhooks.dispatch("rollback", { file: file() });
+  await webhooks.dispatch("download", { file: file() });
+  assert.deepEqual(await events(), ["fileDeleted", "fileVersion"]);
+});
@@ -0,0 +1,101 @@
+// Corbeille : les fichiers supprimés y restent `retentionDays` jours avant d'être purgés
+// (objets de stockage, aperçus et données de toutes ses versions, historique puis
+// enregistrement de métadonnées).
+import { emitFileEvent } from "./realtime.js";
+import { storedBytes } from "./quotas.js";
+import { ARCHIVE } from "./storage/index.js";
+
+// Un objet de stockage peut être partagé par plusieurs fichiers (contenu identique),
+// y compris par une de leurs anciennes versions. Les identifiants d'objet ne sont uniques
+// que dans un même stockage (principal ou archive).
+export async function isSharedObject(metadata, ref, recordId) {
+  const sameStorage = (other) => (other.storage === ARCHIVE) === (ref.storage === ARCHIVE);
+  const records = (await metadata.uploads.findByStorageObject(ref.fileId)).filter(sameStorage);
+  if (records.some((other) => other.id !== recordId)) return true;
+  const versions = (await metadata.uploads.findVersionsByStorageObject(ref.fileId)).filter(sameStorage);
+  return versions.some((entry) => entry.uploadId !== recordId);
+}
+
+// Aperçus et données sont nommés d'après l'empreinte du contenu : un autre fichier de même
+// contenu les partage, même s'il est stocké dans un autre objet
+export async function isSharedContent(metadata, sha256, recordId) {
+  if (!sha256) return false;
+  const records = await metadata.uploads.findByContent(sha256);
+  if (records.some((other) => other.id !== recordId)) return true;
+  const versions = await metadata.uploads.findVersionsByContent(sha256);
+  return versions.some((entry) => entry.uploadId !== recordId);
+}
+
+export function createTrash({ config, storage, metadata, io, previews, datasets, search, quotas, folders, audit }) {
+  // `user` (et la requête `req`, pour le journal) est absent pour une mise à la corbeille
+  // par une règle de conservation
+  async function moveToTrash(record, user = null, req = null) {
+    const updated = await metadata.uploads.update(record.id, {
+      deletedAt: new Date().toISOString(),
+      deletedBy: user?.uid || null,
+    });
+    search.remove(record.id);
+    emitFileEvent(io, record, "fileDeleted", { id: record.id, originalName: record.originalName, purged: false });
+    await audit.record("delete", { user, file: updated, req });
+    return updated;
+  }
+
+  // Un fichier dont le dossier a été supprimé entre-temps revient à la racine
+  async function restore(record, user, req = null) {
+    const patch = { deletedAt: null, deletedBy: null };
+    if (record.folderId && !(await folders.exists(record.folderId))) patch.folderId = null;
+    const updated = await metadata.uploads.update(record.id, patch);
+    await search.reindex(updated).catch((err) => console.error(`❌ Indexation impossible pour ${record.id} :`, err.message));
+    emitFileEvent(io, record, "fileRestored", { id: record.id, originalName: record.originalName });
+    await audit.record("restore", { user, file: record, req });
+    return updated;
+  }
+
+  // `user` est absent pour la purge automatique des fichiers expirés
+  async function purge(record, user = null, req = null) {
+    const versions = metadata.uploads.versions(record.id);
+    const entries = await versions.list();
+    const objects = new Map([[record.fileId, record]]);
+    for (const entry of entries) objects.set(entry.fileId, entry);
+
+    for (const ref of objects.values()) {
+      if (await isSharedObject(metadata, ref, record.id)) continue;
+      try {
+        await storage.delete(ref);
+      } catch (err) {
+        // Objet déjà absent du stockage : on peut supprimer l'enregistrement
+        if (await storage.exists(ref)) throw err;
+      }
+      if (await isSharedContent(metadata, ref.sha256, record.id)) continue;
+      await previews.remove(ref.preview);
+      await datasets.remove(ref.dataset);
+    }
+    await versions.removeAll();
+    await metadata.uploads.remove(record.id);
+    // Déjà fait au passage en corbeille, pas pour une suppression définitive directe
+    search.remove(record.id);
+    await quotas.add(record.ownerId, { bytes: -storedBytes(record, entries), files: -1 });
+    emitFileEvent(io, record, "fileDeleted", { id: record.id, originalName: record.originalName, purged: true });
+    await audit.record("purge", { user, file: record, req, automatic: !user });
+  }
+
+  async function purgeExpired() {
+    const cutoff = new Date(Date.now() - config.trash.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const record of await metadata.uploads.listExpiredTrash(cutoff)) {
+      try {
+        await purge(record);
+        console.log(`🗑️ Fichier purgé : ${record.originalName} (${record.id})`);
+      } catch (err) {
+        console.error(`❌ Purge impossible pour ${record.id} :`, err.message);
+      }
+    }
+  }
+
+  function start() {
+    const run = () => purgeExpired().catch((err) => console.error("Purge error", err));
+    run();
+    setInterval(run, config.trash.purgeInterval).unref();
+  }
+
+  return { moveToTrash, restore, purge, purgeExpired, start };
+}
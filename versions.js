@@ -0,0 +1,94 @@
+// Versions d'un fichier : un envoi "replace" ajoute une version au même enregistrement
+// (même id, même nom de téléchargement) au lieu de créer un nouveau fichier.
+// L'enregistrement d'upload décrit toujours la version courante ; chaque version, y
+// compris la première, a son entrée dans l'historique (voir metadata/uploads.js).
+// Un retour arrière ne réécrit pas l'historique : il ajoute une version qui reprend
+// l'objet de stockage de la version choisie.
+import path from "path";
+import { canAccess, canEdit } from "./auth.js";
+import { emitFileEvent } from "./realtime.js";
+import { HttpError } from "./errors.js";
+
+export function versionEntry({ size, sha256, storedAs, storage, fileId, filePath, preview = null, dataset = null }, { version, uploaderId, uploadedAt }) {
+  return { version, uploaderId, uploadedAt, size, sha256, storedAs, storage, fileId, filePath, preview, dataset };
+}
+
+// Fichier auquel `filename` peut être ajouté comme nouvelle version par `user`
+export async function loadReplaceTarget(metadata, id, user, filename) {
+  const record = await metadata.uploads.get(String(id));
+  if (!record || record.deletedAt || !canAccess(user, record)) throw new HttpError(404, "REPLACE_TARGET_NOT_FOUND");
+  if (!canEdit(user, record)) throw new HttpError(403, "VERSION_FORBIDDEN");
+
+  const ext = path.extname(record.originalName).toLowerCase();
+  if (path.extname(filename).toLowerCase() !== ext) {
+    throw new HttpError(400, "VERSION_EXTENSION_MISMATCH", { extension: ext });
+  }
+  return record;
+}
+
+export function createVersioning({ metadata, io, notify, search }) {
+  // Historique, de la plus récente à la plus ancienne. Un fichier envoyé avant le
+  // versionnement n'a pas d'historique : sa version courante y est inscrite.
+  async function history(record) {
+    const versions = metadata.uploads.versions(record.id);
+    const entries = await versions.list();
+    if (entries.length) return entries;
+    return [await versions.add(versionEntry(record, {
+      version: record.version || 1,
+      uploaderId: record.ownerId,
+      uploadedAt: record.receivedAt,
+    }))];
+  }
+
+  async function addVersion(record, object, user, extra = {}) {
+    await history(record);
+    const current = await metadata.uploads.get(record.id);
+    const version = (current.version || 1) + 1;
+    const uploadedAt = new Date().toISOString();
+
+    await metadata.uploads.versions(record.id).add({
+      ...versionEntry(object, { version, uploaderId: user.uid, uploadedAt }),
+      ...extra,
+    });
+    return metadata.uploads.update(record.id, {
+      version,
+      size: object.size,
+      sha256: object.sha256,
+      storage: object.storage,
+      fileId: object.fileId,
+      filePath: object.filePath,
+      preview: object.preview ?? null,
+      dataset: object.dataset ?? null,
+      updatedAt: uploadedAt,
+      updatedBy: user.uid,
+    });
+  }
+
+  async function announce(record, actor, extra = {}) {
+    const { id, originalName, storedAs, ownerId, receivedAt, version, updatedAt, folderId, preview } = record;
+    await notify({
+      type: "fileVersion",
+      record,
+      actor,
+      title: "Nouvelle version reçue",
+      body: `Nouvelle version de "${originalName}"`,
+    });
+    emitFileEvent(io, record, "fileUploaded", {
+      id, originalName, storedAs, ownerId, receivedAt, updatedAt, folderId, version, preview, newVersion: true, ...extra,
+    });
+  }
+
+  async function rollback(record, version, user) {
+    await history(record);
+    const entry = await metadata.uploads.versions(record.id).get(version);
+    if (!entry) throw new HttpError(404, "VERSION_NOT_FOUND");
+    if (version === (record.version || 1)) throw new HttpError(409, "VERSION_ALREADY_CURRENT");
+
+    const updated = await addVersion(record, entry, user, { rollbackOf: version });
+    await search.reindex(updated).catch((err) => console.error(`❌ Indexation impossible pour ${record.id} :`, err.message));
+    await announce(updated, user, { rollbackOf: version });
+    return updated;
+  }
+
+  return { history, addVersion, announce, rollback };
+}
@@ -0,0 +1,304 @@
+// Webhooks sortants : les systèmes tiers enregistrent une URL et les événements qui les
+// intéressent (WEBHOOK_EVENTS). Chaque événement du journal d'audit correspondant crée
+// une livraison par webhook abonné (collection "webhookDeliveries") : c'est la file
+// d'attente, qui survit à un redémarrage. Un envoi en échec (réseau, délai, statut hors
+// 2xx) est retenté après retryDelay × 2^(n-1), jusqu'à maxAttempts envois ; la livraison
+// passe alors en "dead" et n'est plus renvoyée qu'à la demande (redeliver).
+//
+// Chaque requête est signée : X-Webhook-Signature = "sha256=" + HMAC-SHA256, avec le
+// secret du webhook, de "<X-Webhook-Timestamp>.<corps>". Le destinataire vérifie la
+// signature et rejette un horodatage trop ancien. X-Webhook-Id (id de l'événement) est
+// le même pour tous les webhooks et toutes les tentatives : il permet d'ignorer un doublon.
+import crypto from "crypto";
+import axios from "axios";
+import { performance } from "perf_hooks";
+import { HttpError } from "./errors.js";
+import { scanPage } from "./metadata/paging.js";
+
+export const WEBHOOK_EVENTS = ["fileUploaded", "fileVersion", "fileDeleted", "fileShared"];
+export const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+// Actions du journal d'audit qui déclenchent un événement
+const EVENT_OF_ACTION = {
+  upload: "fileUploaded",
+  newVersion: "fileVersion",
+  rollback: "fileVersion",
+  delete: "fileDeleted",
+  share: "fileShared",
+};
+
+// Une purge ne déclenche fileDeleted que pour un fichier qui n'était pas à la corbeille :
+// sinon l'événement est déjà parti au passage en corbeille. Un envoi résolu en doublon
+// (details.duplicate) réutilise un fichier existant et ne déclenche rien.
+function eventOf(action, file, details) {
+  if (details.duplicate) return null;
+  if (action === "purge") return file && !file.deletedAt ? "fileDeleted" : null;
+  return EVENT_OF_ACTION[action] || null;
+}
+
+// Tentatives gardées dans le journal d'une livraison
+const LOG_SIZE = 20;
+// Livraisons envoyées par passage du worker
+const BATCH = 20;
+
+const newSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+export function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// Attente avant l'envoi suivant, après `attempts` envois en échec
+export function retryDelay(attempts, { retryDelay: base, maxRetryDelay }) {
+  return Math.min(base * 2 ** (attempts - 1), maxRetryDelay);
+}
+
+function normalizeWebhook(input, current = { events: WEBHOOK_EVENTS, description: "", enabled: true }) {
+  const webhook = { ...current, ...Object.fromEntries(Object.entries(input).filter(([, v]) => v !== undefined)) };
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "url" });
+  }
+  if (!["http:", "https:"].includes(url.protocol)) throw new HttpError(400, "INVALID_PARAMETER", { param: "url", allowed: ["http", "https"] });
+
+  const events = [].concat(webhook.events);
+  if (!events.length || events.some((event) => !WEBHOOK_EVENTS.includes(event))) {
+    throw new HttpError(400, "INVALID_PARAMETER", { param: "events", allowed: WEBHOOK_EVENTS });
+  }
+
+  return {
+    url: url.href,
+    events: [...new Set(events)],
+    description: String(webhook.description || "").slice(0, 200),
+    enabled: Boolean(webhook.enabled),
+  };
+}
+
+function fileSummary(file) {
+  if (!file) return null;
+  const { id, originalName, storedAs, size, sha256, version, ownerId, folderId, channel, deletedAt } = file;
+  return { id, originalName, storedAs, size, sha256: sha256 || null, version: version || 1, ownerId, folderId: folderId ?? null, channel: channel || null, deletedAt: deletedAt || null };
+}
+
+// Le secret n'est montré qu'à la création et à son renouvellement
+function webhookView({ secret, ...webhook }) {
+  return webhook;
+}
+
+export function createWebhooks({ config, metadata }) {
+  const webhooks = metadata.collection("webhooks");
+  const deliveries = metadata.collection("webhookDeliveries");
+  const options = config.webhooks;
+  let running = false;
+  let again = false;
+  // Tentatives depuis le démarrage (/metrics)
+  const counters = { delivered: 0, failed: 0, dead: 0 };
+
+  async function get(id) {
+    const webhook = await webhooks.get(id);
+    if (!webhook) throw new HttpError(404, "WEBHOOK_NOT_FOUND");
+    return webhook;
+  }
+
+  async function list() {
+    return (await webhooks.find({ orderBy: "createdAt" })).map(webhookView);
+  }
+
+  async function create(input, user) {
+    const secret = newSecret();
+    const webhook = await webhooks.add({ ...normalizeWebhook(input), secret, createdBy: user.uid, createdAt: new Date().toISOString() });
+    return { ...webhookView(webhook), secret };
+  }
+
+  async function update(id, input) {
+    const { id: _, secret, createdBy, createdAt, ...current } = await get(id);
+    return webhookView(await webhooks.update(id, normalizeWebhook(input, current)));
+  }
+
+  async function rotateSecret(id) {
+    await get(id);
+    const secret = newSecret();
+    await webhooks.update(id, { secret });
+    return { id, secret };
+  }
+
+  // Les livraisons du webhook restent consultables ; celles en attente ne partiront plus
+  async function remove(id) {
+    await get(id);
+    await webhooks.delete(id);
+  }
+
+  async function enqueue(webhook, event, data) {
+    const now = new Date().toISOString();
+    return deliveries.add({
+      webhookId: webhook.id,
+      eventId: data.id,
+      event,
+      payload: { event, ...data },
+      status: "pending",
+      attempts: 0,
+      nextAttemptAt: now,
+      createdAt: now,
+      deliveredAt: null,
+      lastError: null,
+      log: [],
+    });
+  }
+
+  // Appelé par le journal d'audit pour chaque action enregistrée
+  async function dispatch(action, { user = null, file = null, details = {} }) {
+    const event = eventOf(action, file, details);
+    if (!event) return;
+    const targets = (await webhooks.find({ where: [["events", "array-contains", event]] })).filter((webhook) => webhook.enabled);
+    if (!targets.length) return;
+
+    const data = { id: crypto.randomUUID(), createdAt: new Date().toISOString(), actorId: user?.uid || null, file: fileSummary(file), details };
+    for (const webhook of targets) await enqueue(webhook, event, data);
+    kick();
+  }
+
+  // Événement de test, envoyé à un seul webhook même s'il est désactivé
+  async function ping(id) {
+    const delivery = await enqueue(await get(id), "ping", { id: crypto.randomUUID(), createdAt: new Date().toISOString() });
+    kick();
+    return delivery;
+  }
+
+  async function send(delivery) {
+    const webhook = await webhooks.get(delivery.webhookId);
+    const attempts = delivery.attempts + 1;
+    const at = new Date().toISOString();
+    const started = performance.now();
+    let status = null;
+    let error = null;
+
+    if (!webhook) {
+      error = "Webhook supprimé";
+    } else {
+      const body = JSON.stringify(delivery.payload);
+      const timestamp = Math.floor(Date.now() / 1000);
+      try {
+        const res = await axios.post(webhook.url, body, {
+          headers: {
+            "Content-Type": "application/json",
+            "User-Agent": "fichiers-serveur-webhooks",
+            "X-Webhook-Id": delivery.eventId,
+            "X-Webhook-Event": delivery.event,
+            "X-Webhook-Delivery": delivery.id,
+            "X-Webhook-Timestamp": String(timestamp),
+            "X-Webhook-Signature": sign(webhook.secret, timestamp, body),
+          },
+          timeout: options.timeout,
+          maxRedirects: 0,
+          responseType: "stream",
+          validateStatus: () => true,
+        });
+        res.data.destroy();
+        status = res.status;
+        if (status < 200 || status >= 300) error = `Statut ${status}`;
+      } catch (err) {
+        error = err.code === "ECONNABORTED" ? `Délai dépassé (${options.timeout / 1000} s)` : err.message;
+      }
+    }
+
+    const patch = {
+      attempts,
+      lastError: error,
+      log: [...delivery.log, { at, status, error, duration: Math.round(performance.now() - started) }].slice(-LOG_SIZE),
+    };
+    counters[error ? "failed" : "delivered"]++;
+    if (!error) {
+      Object.assign(patch, { status: "delivered", deliveredAt: at, nextAttemptAt: null });
+    } else if (!webhook || attempts >= options.maxAttempts) {
+      Object.assign(patch, { status: "dead", nextAttemptAt: null });
+      counters.dead++;
+      console.error(`❌ Webhook ${delivery.webhookId} : livraison ${delivery.id} (${delivery.event}) abandonnée après ${attempts} envoi(s) — ${error}`);
+    } else {
+      patch.nextAttemptAt = new Date(Date.now() + retryDelay(attempts, options)).toISOString();
+    }
+    return deliveries.update(delivery.id, patch);
+  }
+
+  async function processDue() {
+    let due;
+    do {
+      due = await deliveries.find({
+        where: [["status", "==", "pending"], ["nextAttemptAt", "<=", new Date().toISOString()]],
+        orderBy: "nextAttemptAt",
+        limit: BATCH,
+      });
+      for (const delivery of due) await send(delivery);
+    } while (due.length === BATCH);
+  }
+
+  // Un seul passage à la fois ; un appel pendant un passage en relance un autre ensuite
+  function kick() {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    processDue()
+      .catch((err) => console.error("Webhook delivery error", err))
+      .finally(() => {
+        running = false;
+        if (again) {
+          again = false;
+          kick();
+        }
+      });
+  }
+
+  async function getDelivery(id) {
+    const delivery = await deliveries.get(id);
+    if (!delivery) throw new HttpError(404, "WEBHOOK_DELIVERY_NOT_FOUND");
+    return delivery;
+  }
+
+  // Journal des livraisons, de la plus récente à la plus ancienne ; status=dead donne la
+  // liste des livraisons abandonnées
+  function deliveryLog({ webhookId, status, event, limit = 50, after } = {}) {
+    const where = [];
+    if (webhookId) where.push(["webhookId", "==", webhookId]);
+    if (status) where.push(["status", "==", status]);
+    return scanPage(deliveries, {
+      where,
+      orderBy: "createdAt",
+      direction: "desc",
+      limit,
+      after,
+      filter: event ? (delivery) => delivery.event === event : null,
+    });
+  }
+
+  // Nouvel envoi immédiat, quel que soit l'état de la livraison ; le compteur de tentatives
+  // repart de zéro, le journal est conservé
+  async function redeliver(id) {
+    const delivery = await getDelivery(id);
+    await get(delivery.webhookId);
+    const updated = await deliveries.update(id, { status: "pending", attempts: 0, nextAttemptAt: new Date().toISOString() });
+    kick();
+    return updated;
+  }
+
+  async function purgeDelivered() {
+    const cutoff = new Date(Date.now() - options.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    for (const delivery of await deliveries.find({ where: [["createdAt", "<", cutoff]] })) {
+      if (delivery.status !== "pending") await deliveries.delete(delivery.id);
+    }
+  }
+
+  function start() {
+    kick();
+    setInterval(kick, options.pollInterval).unref();
+    const purge = () => purgeDelivered().catch((err) => console.error("Webhook purge error", err));
+    setInterval(purge, options.purgeInterval).unref();
+  }
+
+  return {
+    list, create, update, rotateSecret, remove, dispatch, ping, getDelivery, deliveryLog, redeliver, start,
+    counters: () => ({ ...counters }),
+  };
+}